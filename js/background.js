@@ -3,6 +3,19 @@
  * 处理扩展级别的事件和消息
  */
 
+import { sendChatRequest } from './services/llm-providers.js';
+import { apiRouter } from './services/api-router.js';
+import { requestQueue } from './services/request-queue.js';
+import { JsonArrayStreamParser } from './services/json-stream-parser.js';
+import { usageTracker } from './services/usage-tracker.js';
+import { dictionaryService } from './services/dictionary-service.js';
+import { cacheService } from './services/cache-service.js';
+import { cacheWarmup } from './services/cache-warmup.js';
+import {
+  DEFAULT_PROMPT_TEMPLATES, LANGUAGE_PROMPT_NOTES, PROMPT_VARIABLES,
+  getCustomTemplates, renderPrompt, buildPromptMessages, getPromptVersion
+} from './core/prompt-templates.js';
+
 // 安装/更新时初始化
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('[VocabMeld] Extension installed/updated:', details.reason);
@@ -13,10 +26,12 @@ chrome.runtime.onInstalled.addListener((details) => {
       apiEndpoint: 'https://api.deepseek.com/chat/completions',
       apiKey: '',
       modelName: 'deepseek-chat',
+      apiProvider: 'openai',
       nativeLanguage: 'zh-CN',
       targetLanguage: 'en',
       difficultyLevel: 'B1',
       intensity: 'medium',
+      replaceOccurrences: 'first',
       autoProcess: true,
       showPhonetic: true,
       translationStyle: 'translation-original',
@@ -139,20 +154,113 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
   // 测试 API 连接
   if (message.action === 'testApi') {
-    testApiConnection(message.endpoint, message.apiKey, message.model)
+    testApiConnection({
+      provider: message.provider,
+      endpoint: message.endpoint,
+      apiKey: message.apiKey,
+      model: message.model,
+      timeoutMs: message.timeoutMs
+    })
       .then(result => sendResponse(result))
       .catch(error => sendResponse({ success: false, message: error.message }));
     return true;
   }
   
-  // 发送 API 请求（避免 CORS 问题）
+  // 发送 API 请求（避免 CORS 问题），所有标签页共用一个队列，按配置链自动故障转移
+  // errorName 区分超时（TimeoutError）与取消（AbortError）
   if (message.action === 'apiRequest') {
-    callApi(message.endpoint, message.apiKey, message.body)
+    const controller = trackRequest(sender);
+    callApi(message.request, message.priority, null, controller.signal)
       .then(data => sendResponse({ success: true, data }))
+      .catch(error => sendResponse({ success: false, error: error.message, errorName: error.name }))
+      .finally(() => activeRequests.delete(controller));
+    return true;
+  }
+  
+  // 取消发送方页面（同一标签页和框架）的所有进行中请求：页面导航、禁用或恢复时发送
+  if (message.action === 'cancelRequests') {
+    abortRequests(sender.tab?.id, sender.frameId);
+    sendResponse({ success: true });
+    return;
+  }
+  
+  // 提示词模板：默认模板、语言预设、可用变量与用户自定义模板（设置页编辑器使用）
+  if (message.action === 'getPromptTemplates') {
+    getCustomTemplates()
+      .then(custom => sendResponse({
+        defaults: DEFAULT_PROMPT_TEMPLATES,
+        notes: LANGUAGE_PROMPT_NOTES,
+        variables: PROMPT_VARIABLES,
+        custom
+      }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+  
+  // 预览渲染后的提示词
+  if (message.action === 'renderPrompt') {
+    renderPrompt(message.prompt)
+      .then(prompt => sendResponse({ success: true, prompt }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // 本地词典：列表、分块导入、启用/停用、删除
+  if (message.action === 'getDictionaries') {
+    dictionaryService.list()
+      .then(dictionaries => sendResponse({ success: true, dictionaries }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (message.action === 'importDictionaryChunk') {
+    dictionaryService.appendImportChunk(message.importId, message.fileName, message.data);
+    sendResponse({ success: true });
+    return;
+  }
+  
+  if (message.action === 'importDictionary') {
+    dictionaryService.finishImport(message.importId, message.options)
+      .then(dictionary => sendResponse({ success: true, dictionary }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (message.action === 'cancelDictionaryImport') {
+    dictionaryService.cancelImport(message.importId);
+    sendResponse({ success: true });
+    return;
+  }
+  
+  if (message.action === 'setDictionaryEnabled') {
+    dictionaryService.setEnabled(message.id, message.enabled)
+      .then(() => sendResponse({ success: true }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   }
   
+  if (message.action === 'deleteDictionary') {
+    dictionaryService.remove(message.id)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // 获取 token 用量、花费与预算状态
+  if (message.action === 'getUsage') {
+    usageTracker.getSummary()
+      .then(summary => sendResponse(summary))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+  
+  // 记录校验时被丢弃的 AI 结果
+  if (message.action === 'recordRejections') {
+    apiRouter.recordRejections(message.counts);
+    sendResponse({ success: true });
+    return;
+  }
+  
   // 获取统计数据
   if (message.action === 'getStats') {
     chrome.storage.sync.get([
@@ -167,36 +275,146 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         chrome.storage.sync.set({ todayWords: 0, lastResetDate: today });
       }
       
-      sendResponse({
-        totalWords: result.totalWords || 0,
-        todayWords: result.todayWords || 0,
-        learnedCount: (result.learnedWords || []).length,
-        memorizeCount: (result.memorizeList || []).length,
-        cacheHits: result.cacheHits || 0,
-        cacheMisses: result.cacheMisses || 0
+      chrome.storage.local.get('vocabmeld_api_stats', (local) => {
+        const apiStats = local.vocabmeld_api_stats || {};
+        sendResponse({
+          totalWords: result.totalWords || 0,
+          todayWords: result.todayWords || 0,
+          learnedCount: (result.learnedWords || []).length,
+          memorizeCount: (result.memorizeList || []).length,
+          cacheHits: result.cacheHits || 0,
+          cacheMisses: result.cacheMisses || 0,
+          lastServedBy: apiStats.lastServedBy || '',
+          servedBy: apiStats.servedBy || {}
+        });
       });
     });
     return true;
   }
   
+  // 获取各 API 配置的熔断状态
+  if (message.action === 'getApiHealth') {
+    sendResponse({ health: apiRouter.getHealth() });
+    return;
+  }
+  
+  // 词汇缓存：所有标签页共用后台的一个 CacheService 实例
+  if (message.action === 'cacheGet') {
+    withCache(() => cacheService.get(message.word, message.sourceLang, message.targetLang))
+      .then(item => sendResponse({ success: true, item }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (message.action === 'cacheSet') {
+    withCache(() => cacheService.setMany(message.items || []))
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // 导入备份：替换现有缓存
+  if (message.action === 'cacheImport') {
+    withCache(() => cacheService.importAll(message.items || []))
+      .then(count => sendResponse({ success: true, count }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // 返回 { cached: [{ word, translation, phonetic, difficulty }], uncached }
+  if (message.action === 'cacheCheckWords') {
+    withCache(() => cacheService.checkWords(
+      message.words || [], message.sourceLang, message.targetLang, message.text, { senses: message.senses }
+    ))
+      .then(({ cached, uncached }) => sendResponse({
+        success: true,
+        cached: [...cached].map(([word, { senses, ...item }]) => ({ word, ...item })),
+        uncached
+      }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
   // 获取缓存统计
   if (message.action === 'getCacheStats') {
-    chrome.storage.sync.get('cacheMaxSize', (syncResult) => {
-      const maxSize = syncResult.cacheMaxSize || 2000;
-      chrome.storage.local.get('vocabmeld_word_cache', (result) => {
-        const cache = result.vocabmeld_word_cache || [];
-        sendResponse({
-          size: cache.length,
-          maxSize: maxSize
-        });
-      });
-    });
+    withCache(() => cacheService.getStats())
+      .then(stats => sendResponse(stats))
+      .catch(() => sendResponse({ size: 0, maxSize: cacheService.maxSize }));
+    return true;
+  }
+  
+  // 读取全部缓存（按最近访问从旧到新）
+  if (message.action === 'getWordCache') {
+    withCache(() => cacheService.getAllWords())
+      .then(items => sendResponse({ success: true, items }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // 删除指定缓存条目
+  if (message.action === 'deleteCachedWords') {
+    withCache(() => cacheService.remove(message.keys || []))
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // 作废某个模型生成的全部译文，返回删除的条目数
+  if (message.action === 'invalidateCacheModel') {
+    withCache(() => cacheService.removeByModel(message.model || ''))
+      .then(removed => sendResponse({ success: true, removed }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // 用当前模型重新翻译单个缓存词
+  if (message.action === 'retranslateCachedWord') {
+    withCache(() => retranslateCachedWord(message.key))
+      .then(item => sendResponse({ success: true, item }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // 缓存预热：进度保存在 storage.local 的 WARMUP_STATE_KEY 中，设置页监听变化显示
+  if (message.action === 'warmupStart') {
+    cacheWarmup.start(message.options || {})
+      .then(state => sendResponse({ success: true, state }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (message.action === 'warmupPause') {
+    cacheWarmup.pause()
+      .then(state => sendResponse({ success: true, state }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // 继续时可传入新的 token 预算
+  if (message.action === 'warmupResume') {
+    cacheWarmup.resume(message.tokenBudget)
+      .then(state => sendResponse({ success: true, state }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (message.action === 'warmupCancel') {
+    cacheWarmup.cancel()
+      .then(state => sendResponse({ success: true, state }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (message.action === 'warmupStatus') {
+    cacheWarmup.getState()
+      .then(state => sendResponse({ success: true, state }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   }
   
   // 清空缓存
   if (message.action === 'clearCache') {
-    chrome.storage.local.remove('vocabmeld_word_cache', () => {
+    withCache(() => cacheService.clear()).finally(() => {
       chrome.storage.sync.set({ cacheHits: 0, cacheMisses: 0 }, () => {
         sendResponse({ success: true });
       });
@@ -221,48 +439,241 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
-// 通用 API 调用（从 background 发起，避免 CORS）
-async function callApi(endpoint, apiKey, body) {
-  const headers = { 'Content-Type': 'application/json' };
-  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
-  
-  const response = await fetch(endpoint, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(body)
+// 流式 API 请求：内容脚本通过长连接发送请求，每解析出一个完整的数组元素就推送给标签页
+// 消息格式：{ type: 'item', item } / { type: 'done', data } / { type: 'error', error }
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'vocabmeld-stream') return;
+
+  // 内容脚本断开连接（取消、页面卸载或标签页关闭）即中止请求
+  const controller = trackRequest(port.sender);
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    controller.abort();
+    activeRequests.delete(controller);
   });
-  
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    throw new Error(error.error?.message || `API Error: ${response.status}`);
+  const post = (message) => {
+    if (!disconnected) port.postMessage(message);
+  };
+
+  port.onMessage.addListener((message) => {
+    // 每次尝试（重试或故障转移）都从新的响应开始解析
+    const createTextHandler = () => {
+      const parser = new JsonArrayStreamParser();
+      return (text) => {
+        for (const item of parser.push(text)) {
+          post({ type: 'item', item });
+        }
+      };
+    };
+
+    callApi({ ...message.request, stream: true }, message.priority, createTextHandler, controller.signal)
+      .then(data => post({ type: 'done', data }))
+      .catch(error => post({ type: 'error', error: error.message, errorName: error.name }));
+  });
+});
+
+// 进行中的请求：AbortController -> { tabId, frameId }
+const activeRequests = new Map();
+
+/**
+ * 登记来自标签页的请求，返回用于取消的 AbortController
+ * @param {object} sender - chrome.runtime.MessageSender
+ * @returns {AbortController}
+ */
+function trackRequest(sender) {
+  const controller = new AbortController();
+  activeRequests.set(controller, { tabId: sender?.tab?.id, frameId: sender?.frameId });
+  return controller;
+}
+
+/**
+ * 取消某个标签页（可限定框架）的所有请求
+ * @param {number} tabId
+ * @param {number} [frameId] - 不传时取消整个标签页
+ */
+function abortRequests(tabId, frameId) {
+  if (tabId === undefined) return;
+  for (const [controller, owner] of activeRequests) {
+    if (owner.tabId === tabId && (frameId === undefined || owner.frameId === frameId)) {
+      controller.abort();
+      activeRequests.delete(controller);
+    }
   }
-  
-  return await response.json();
 }
 
+// 标签页关闭时取消其请求
+chrome.tabs.onRemoved.addListener((tabId) => {
+  abortRequests(tabId);
+});
+
+// 本地词典给出结果时的服务名
+const DICTIONARY_SERVED_BY = '本地词典';
+
+// 通用 API 调用（从 background 发起，避免 CORS）
+// 经全局队列限流、重试后分发，返回统一格式 { content, usage, servedBy, budgetExceeded }
+// 传入 createTextHandler 时使用流式响应；request.prompt 按用户模板渲染为 messages
+// 结果附带 budgetExceeded，内容脚本据此暂停自动处理；signal 取消后排队、重试和请求都会停止
+// 启用本地词典时先查词典：仅用词典或词典结果已足够时不请求 LLM，否则合并两者结果，LLM 失败时退回词典结果
+async function callApi(request, priority, createTextHandler, signal) {
+  const { prompt, ...rest } = request;
+  const dictionaryMode = prompt ? await dictionaryService.getMode() : 'off';
+
+  let local = null;
+  if (dictionaryMode !== 'off') {
+    local = await dictionaryService.answerPrompt(prompt);
+    if (dictionaryMode === 'only' || local.complete) {
+      return withBudgetStatus(respondWithItems(local.items, createTextHandler), dictionaryMode);
+    }
+    if (createTextHandler && local.items.length > 0) {
+      createTextHandler()(JSON.stringify(local.items));
+    }
+  }
+
+  // prompt 保留在请求中，离线模拟服务直接根据其中的变量生成结果
+  const resolved = prompt ? { ...rest, prompt, messages: await buildPromptMessages(prompt) } : request;
+  let data;
+  try {
+    data = await requestQueue.enqueue(
+      () => apiRouter.dispatch(resolved, createTextHandler, signal),
+      { priority, signal }
+    );
+  } catch (error) {
+    if (!local?.items.length || error.name === 'AbortError') throw error;
+    console.warn('[VocabMeld] LLM request failed, using dictionary results:', error.message);
+    return withBudgetStatus(respondWithItems(local.items), dictionaryMode);
+  }
+
+  if (local?.items.length) {
+    data = { ...data, content: JSON.stringify(mergeItems(local.items, parseItems(data.content))) };
+  }
+  // 记录提示词版本，随译文写入缓存
+  if (prompt) {
+    data = { ...data, promptVersion: await getPromptVersion(prompt) };
+  }
+  return withBudgetStatus(data, dictionaryMode);
+}
+
+// 附带预算状态；只用本地词典时不产生花费，不暂停自动处理
+async function withBudgetStatus(data, dictionaryMode) {
+  const { overBudget } = await usageTracker.getSummary();
+  return { ...data, budgetExceeded: dictionaryMode !== 'only' && overBudget };
+}
+
+// 将本地结果包装为与 LLM 相同的响应格式
+function respondWithItems(items, createTextHandler) {
+  const content = JSON.stringify(items);
+  createTextHandler?.()(content);
+  return {
+    content,
+    usage: { promptTokens: 0, completionTokens: 0 },
+    servedBy: DICTIONARY_SERVED_BY,
+    model: DICTIONARY_SERVED_BY
+  };
+}
+
+// 从 LLM 输出中取出所有完整的数组元素
+function parseItems(content) {
+  return new JsonArrayStreamParser().push(content || '');
+}
+
+// 合并词典与 LLM 结果，同一段落中的同一个词以词典为准
+function mergeItems(localItems, llmItems) {
+  const keyOf = item => `${item.segment || ''}|${String(item.original).toLowerCase()}`;
+  const seen = new Set(localItems.map(keyOf));
+  return [...localItems, ...llmItems.filter(item => !seen.has(keyOf(item)))];
+}
+
+// 缓存在 service worker 每次启动后首次使用时从 IndexedDB 加载
+async function withCache(fn) {
+  await cacheService.init();
+  return fn();
+}
+
+// 按指定词汇模板翻译一组词，返回 { items, usage, model, promptVersion, budgetExceeded }
+async function translateWords(words, sourceLang, targetLang, priority, signal) {
+  const { targetLanguage } = await new Promise(resolve => chrome.storage.sync.get('targetLanguage', resolve));
+  const data = await callApi({
+    prompt: {
+      kind: 'specificWords',
+      language: targetLanguage || 'en',
+      variables: { sourceLang, targetLang, count: words.length, text: words.join(', ') }
+    },
+    temperature: 0.3,
+    maxTokens: Math.min(8000, 80 * words.length + 400)
+  }, priority, null, signal);
+  return {
+    items: parseItems(data.content),
+    usage: data.usage,
+    model: data.model || data.servedBy,
+    promptVersion: data.promptVersion,
+    budgetExceeded: data.budgetExceeded
+  };
+}
+
+// 缓存预热走与页面翻译相同的 API 路径（队列、限流、故障转移、用量统计），排在页面请求之后
+cacheWarmup.setTranslator((words, sourceLang, targetLang, signal) => (
+  translateWords(words, sourceLang, targetLang, 'prefetch', signal)
+));
+cacheWarmup.restore();
+
+// 重新翻译一个缓存词：按指定词汇模板请求，新译文替换原条目（原有义项一并丢弃）
+// 请求使用页面中出现的原词形（键中的词元可能不是完整的词），结果仍写回同一个键
+async function retranslateCachedWord(key) {
+  const entry = cacheService.peek(key || '');
+  if (!entry) throw new Error('缓存中没有该词汇');
+
+  const { word, surface, sourceLang, targetLang } = entry;
+  const data = await translateWords([surface || word], sourceLang, targetLang, 'visible');
+  const result = data.items.find(item => item?.translation);
+  if (!result) throw new Error('模型未返回译文');
+
+  const item = {
+    word,
+    ...(surface ? { surface } : {}),
+    sourceLang,
+    targetLang,
+    translation: String(result.translation),
+    phonetic: result.phonetic || '',
+    difficulty: /^[ABC][12]$/.test(result.difficulty) ? result.difficulty : entry.difficulty,
+    model: data.model || data.servedBy,
+    promptVersion: data.promptVersion,
+    senses: []
+  };
+  await cacheService.setMany([item]);
+  return item;
+}
+
+// 缓存上限修改后立即按淘汰策略淘汰
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.cacheMaxSize) {
+    withCache(() => cacheService.setMaxSize(changes.cacheMaxSize.newValue));
+  }
+  if (areaName === 'sync' && changes.cacheTtlDays) {
+    withCache(() => cacheService.setTtl(changes.cacheTtlDays.newValue));
+  }
+  if (areaName === 'sync' && (changes.cacheEvictionPolicy || changes.cachePinWords)) {
+    chrome.storage.sync.get(['cacheEvictionPolicy', 'cachePinWords'], ({ cacheEvictionPolicy, cachePinWords }) => {
+      cacheService.setEvictionPolicy(cacheEvictionPolicy, cachePinWords);
+    });
+  }
+  // 需记忆和已学会的词固定在缓存中，不被淘汰
+  if (areaName === 'sync' && (changes.memorizeList || changes.learnedWords)) {
+    chrome.storage.sync.get(['memorizeList', 'learnedWords'], ({ memorizeList, learnedWords }) => {
+      cacheService.setPinnedWords(memorizeList, learnedWords);
+    });
+  }
+});
+
 // 测试 API 连接
-async function testApiConnection(endpoint, apiKey, model) {
+async function testApiConnection(apiConfig) {
   try {
-    const headers = { 'Content-Type': 'application/json' };
-    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
-    
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({
-        model: model,
-        messages: [{ role: 'user', content: 'Say OK' }],
-        max_tokens: 10
-      })
+    const result = await sendChatRequest(apiConfig, {
+      messages: [{ role: 'user', content: 'Say OK' }],
+      maxTokens: 10
     });
     
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      throw new Error(error.error?.message || `HTTP ${response.status}`);
-    }
-    
-    const data = await response.json();
-    if (data.choices && data.choices[0]) {
+    if (typeof result.content === 'string') {
       return { success: true, message: '连接成功！' };
     }
     
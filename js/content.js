@@ -17,18 +17,25 @@
   };
   const SKIP_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'CODE', 'PRE', 'KBD', 'TEXTAREA', 'INPUT', 'SELECT', 'BUTTON'];
   const SKIP_CLASSES = ['vocabmeld-translated', 'vocabmeld-tooltip', 'hljs', 'code', 'syntax'];
-  const DEFAULT_CACHE_MAX_SIZE = 2000;
+  const DEFAULT_BATCH_TOKEN_BUDGET = 1500; // 批量模式下单个请求包含的段落文本 token 上限
+  const TIMEOUT_NOTICE_INTERVAL_MS = 30000; // 超时提示的最短间隔，避免多个请求同时超时刷屏
+  const CJK_WORD = /^[\u3040-\u30ff\u4e00-\u9fff\uac00-\ud7af]+$/; // 中日韩文字组成的词（不以空格分词）
 
   // ============ 状态管理 ============
   let config = null;
   let isProcessing = false;
   let processedFingerprints = new Set();
-  let wordCache = new Map();
   let tooltip = null;
   let selectionPopup = null;
   let intersectionObserver = null;
   let pendingContainers = new Set(); // 待处理的可见容器
   let tooltipHideTimeout = null; // tooltip 延迟隐藏计时器
+  let budgetExceeded = false; // 本月花费已达到预算上限
+  let budgetOverride = false; // 用户手动触发处理时，超出预算也继续处理本页
+  let activeStreams = new Set(); // 进行中流式请求的取消函数
+  let lastTimeoutNotice = 0; // 上次显示超时提示的时间
+  let pageWords = new Map(); // 替换范围为整个页面时已选中的词：词元 -> 替换项
+  let pageSegments = new Set(); // 替换范围为整个页面时已处理过的段落（含没有替换任何词的段落）
 
   // ============ 工具函数 ============
   function isDifficultyCompatible(wordDifficulty, userDifficulty) {
@@ -57,31 +64,38 @@
     };
   }
 
-  function detectLanguage(text) {
-    const chineseRegex = /[\u4e00-\u9fff]/g;
-    const japaneseRegex = /[\u3040-\u309f\u30a0-\u30ff]/g;
-    const koreanRegex = /[\uac00-\ud7af]/g;
-    const latinRegex = /[a-zA-Z]/g;
+  // 检测文本语言；hint 为页面或元素声明的 lang，文本特征不明显时采用
+  function detectLanguage(text, hint = '') {
+    return globalThis.VocabMeldLanguageDetector.detect(text, hint);
+  }
 
-    const chineseCount = (text.match(chineseRegex) || []).length;
-    const japaneseCount = (text.match(japaneseRegex) || []).length;
-    const koreanCount = (text.match(koreanRegex) || []).length;
-    const latinCount = (text.match(latinRegex) || []).length;
-    const total = chineseCount + japaneseCount + koreanCount + latinCount || 1;
+  // 文本的书写方向（rtl / ltr），没有字母时为空字符串
+  function textDirection(text) {
+    return globalThis.VocabMeldLanguageDetector.direction(text);
+  }
 
-    if (japaneseCount / total > 0.1) return 'ja';
-    if (koreanCount / total > 0.1) return 'ko';
-    if (chineseCount / total > 0.3) return 'zh'; // 返回通用中文标识
-    return 'en';
+  // 段落的书写方向：优先采用元素或祖先声明的 dir，未声明时按段落文本检测
+  function getSegmentDirection(element) {
+    const declared = element?.closest?.('[dir]')?.getAttribute('dir')?.toLowerCase();
+    if (declared === 'rtl' || declared === 'ltr') return declared;
+    return textDirection(element?.textContent || '') || 'ltr';
   }
 
-  // 判断检测到的语言是否与用户设置的母语匹配
-  function isNativeLanguage(detectedLang, nativeLang) {
-    // 中文简繁体视为同一语系
-    if (detectedLang === 'zh' && (nativeLang === 'zh-CN' || nativeLang === 'zh-TW')) {
-      return true;
-    }
-    return detectedLang === nativeLang;
+  // 元素声明的语言：最近的 lang 属性，没有时取页面 <html lang>
+  function getDeclaredLanguage(element) {
+    return element?.closest?.('[lang]')?.getAttribute('lang') || document.documentElement.getAttribute('lang') || '';
+  }
+
+  // 判断检测到的语言是否与设置的语言相同：按主语言代码比较，中文简繁体视为同一语系
+  function isSameLanguage(detectedLang, lang) {
+    return detectedLang === lang || detectedLang === (lang || '').split('-')[0];
+  }
+
+  // 拼音文字（拉丁、西里尔、希腊、阿拉伯、希伯来字母）的候选词：
+  // 最短长度取自语言表，未指定时拉丁字母至少 5 个，其余至少 3 个
+  function extractAlphabeticWords(text, minLength) {
+    return (text.match(/[\p{Script=Latin}\p{Script=Cyrillic}\p{Script=Greek}\p{Script=Arabic}\p{Script=Hebrew}\p{M}]+/gu) || [])
+      .filter(word => word.length >= (minLength || (/\p{Script=Latin}/u.test(word) ? 5 : 3)));
   }
 
   function isCodeText(text) {
@@ -103,19 +117,12 @@
     const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
 
     const relevantSentences = sentences.filter(sentence => {
-      const lowerSentence = sentence.toLowerCase();
       // 检查英文单词
-      const words = sentence.match(/\b[a-zA-Z]{5,}\b/g) || [];
+      const words = extractAlphabeticWords(sentence);
       const hasEnglishMatch = words.some(word => targetWordSet.has(word.toLowerCase()));
       
-      // 检查中文短语（直接检查是否包含目标词汇）
-      const hasChineseMatch = Array.from(targetWordSet).some(word => {
-        // 只检查中文词汇
-        if (/[\u4e00-\u9fff]/.test(word)) {
-          return lowerSentence.includes(word);
-        }
-        return false;
-      });
+      // 检查中日韩词汇（按分词结果匹配）
+      const hasChineseMatch = extractCjkWords(sentence).some(word => targetWordSet.has(word));
       
       return hasEnglishMatch || hasChineseMatch;
     });
@@ -135,11 +142,16 @@
           targetLanguage: result.targetLanguage || 'en',
           difficultyLevel: result.difficultyLevel || 'B1',
           intensity: result.intensity || 'medium',
+          replaceOccurrences: result.replaceOccurrences || 'first',
           processMode: result.processMode || 'both',
           autoProcess: result.autoProcess ?? false,
           showPhonetic: result.showPhonetic ?? true,
           showAddMemorize: result.showAddMemorize ?? true,
-          cacheMaxSize: result.cacheMaxSize || DEFAULT_CACHE_MAX_SIZE,
+          batchMode: result.batchMode ?? false,
+          batchTokenBudget: result.batchTokenBudget || DEFAULT_BATCH_TOKEN_BUDGET,
+          streamResponses: result.streamResponses ?? true,
+          structuredOutput: result.structuredOutput ?? true,
+          senseDisambiguation: result.senseDisambiguation ?? false,
           translationStyle: result.translationStyle || 'translation-original',
           theme: result.theme || 'dark',
           enabled: result.enabled ?? true,
@@ -147,8 +159,10 @@
           excludedSites: result.excludedSites || result.blacklist || [],
           allowedSites: result.allowedSites || [],
           learnedWords: result.learnedWords || [],
-          memorizeList: result.memorizeList || []
+          memorizeList: result.memorizeList || [],
+          segmentationWords: result.segmentationWords || []
         };
+        updateSegmenterWords();
         resolve(config);
       });
     });
@@ -165,37 +179,128 @@
     }
   }
 
-  async function loadWordCache() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get('vocabmeld_word_cache', (result) => {
-        const cached = result.vocabmeld_word_cache;
-        if (cached && Array.isArray(cached)) {
-          cached.forEach(item => {
-            wordCache.set(item.key, {
-              translation: item.translation,
-              phonetic: item.phonetic,
-              difficulty: item.difficulty
-            });
-          });
+  // 词形还原：缓存键、已学会词汇和需记忆词汇都按词元比较，页面上仍替换实际出现的词形
+  // 未指定语言时，含假名的词按日语、含谚文的词按韩语还原，其余取学习语言和母语中有还原规则的一个
+  // （拉丁字母词汇基本只属于其中之一）
+  function toLemma(word, lang) {
+    const { lemmatize, hasRules } = globalThis.VocabMeldLemmatizer;
+    const language = lang || segmentLang(word, null) || [config.targetLanguage, config.nativeLanguage].find(hasRules) || 'en';
+    return lemmatize(word, language);
+  }
+
+  // 在文本中查找与 word 词元相同的词形，找不到返回 null；中日韩文本按分词结果查找，
+  // 短语逐词比较（gave up 之于 give up），返回文本中的原样片段
+  function findInflectedForm(text, word) {
+    const lemma = toLemma(word);
+    if (isPhrase(word)) {
+      const length = word.trim().split(/\s+/).length;
+      const tokens = [...text.matchAll(/[\p{L}\p{M}'’-]+/gu)];
+      for (let i = 0; i + length <= tokens.length; i++) {
+        const group = tokens.slice(i, i + length);
+        const start = group[0].index;
+        const end = group[length - 1].index + group[length - 1][0].length;
+        const candidate = text.slice(start, end);
+        // 相邻两词之间只能是空白
+        if (group.every((t, j) => j === 0 || /^\s+$/.test(text.slice(group[j - 1].index + group[j - 1][0].length, t.index)))
+          && toLemma(candidate) === lemma) {
+          return candidate;
         }
-        resolve(wordCache);
-      });
-    });
+      }
+      return null;
+    }
+    if (CJK_WORD.test(word)) {
+      return extractCjkWords(text).find(candidate => toLemma(candidate) === lemma) || null;
+    }
+    for (const [candidate] of text.matchAll(/\p{L}+/gu)) {
+      if (candidate.length > 2 && toLemma(candidate) === lemma) return candidate;
+    }
+    return null;
+  }
+
+  // 多词短语（短语动词、固定搭配、习语），与设置页共用 lemmatizer.js 中的判断
+  const { isPhrase } = globalThis.VocabMeldLemmatizer;
+
+  // 已学会词汇的词元集合
+  function getLearnedLemmas() {
+    return new Set((config.learnedWords || []).map(w => toLemma(w.original)));
+  }
+
+  // 按文字判断分词语言：含假名为日语，含谚文为韩语，否则按中文
+  function segmentLang(text, fallback = 'zh') {
+    if (/[\u3040-\u30ff]/.test(text)) return 'ja';
+    if (/[\uac00-\ud7af]/.test(text)) return 'ko';
+    return fallback;
+  }
+
+  // 分词：中日韩文本按 Intl.Segmenter 切出真实的词，自定义分词词典和需记忆列表中的中文词整体保留
+  function updateSegmenterWords() {
+    globalThis.VocabMeldSegmenter.setCustomWords([
+      ...(config.segmentationWords || []),
+      ...(config.memorizeList || []).map(w => w.word)
+    ]);
+  }
+
+  // 文本中 2 个字及以上的中日韩词汇
+  function extractCjkWords(text) {
+    return globalThis.VocabMeldSegmenter.words(text, segmentLang(text))
+      .filter(word => word.length >= 2 && CJK_WORD.test(word));
   }
 
-  async function saveWordCache() {
-    const data = [];
-    for (const [key, value] of wordCache) {
-      data.push({ key, ...value });
+  // 相邻中日韩词的组合（如「人工」「智能」→「人工智能」），用于查找 AI 返回并缓存的复合词
+  function extractCjkCompounds(text) {
+    const segments = globalThis.VocabMeldSegmenter.segment(text, segmentLang(text));
+    const compounds = [];
+    for (let i = 0; i < segments.length; i++) {
+      let compound = '';
+      for (let j = i; j < Math.min(i + 3, segments.length); j++) {
+        if (!CJK_WORD.test(segments[j].segment)) break;
+        compound += segments[j].segment;
+        if (j > i && compound.length <= 6) compounds.push(compound);
+      }
     }
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.set({ vocabmeld_word_cache: data }, () => {
-        if (chrome.runtime.lastError) {
-          console.error('[VocabMeld] Failed to save cache:', chrome.runtime.lastError);
-          reject(chrome.runtime.lastError);
-        } else {
-          resolve();
+    return compounds;
+  }
+
+  // 以空格分词的文本中相邻 2-3 个词组成的短语（如 give up、take into account），用于查找 AI 返回并缓存的
+  // 短语动词、固定搭配和习语；不跨越标点，全部由停用词组成的组合不算
+  function extractPhrases(text, stopWords) {
+    const phrases = [];
+    for (const clause of text.split(/[^\p{L}\p{M}\s'’-]+/u)) {
+      const tokens = clause.match(/[\p{L}\p{M}'’-]+/gu) || [];
+      for (let i = 0; i < tokens.length; i++) {
+        for (let n = 2; n <= 3 && i + n <= tokens.length; n++) {
+          const group = tokens.slice(i, i + n);
+          if (group.every(token => stopWords.has(token.toLowerCase()))) continue;
+          phrases.push(group.join(' '));
         }
+      }
+    }
+    return phrases;
+  }
+
+  // 词汇缓存由后台的 CacheService 统一管理，所有标签页共用同一份缓存和 LRU 顺序
+  // 传入原文时开启多义词区分后按原文语境选择释义；出错时视为全部未缓存
+  // 缓存按词元查询，结果换回页面上出现的词形
+  async function checkCachedWords(words, sourceLang, targetLang, text) {
+    const senses = Boolean(text && config.senseDisambiguation);
+    const surfaces = new Map();
+    for (const word of words) {
+      const lemma = toLemma(word, sourceLang);
+      if (!surfaces.has(lemma)) surfaces.set(lemma, []);
+      surfaces.get(lemma).push(word);
+    }
+    const lemmas = [...surfaces.keys()];
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'cacheCheckWords', words: lemmas, sourceLang, targetLang, text: senses ? text : '', senses }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          console.error('[VocabMeld] Failed to check cache:', chrome.runtime.lastError || response?.error);
+          resolve({ cached: [], uncached: words });
+          return;
+        }
+        resolve({
+          cached: response.cached.map(item => ({ ...item, word: surfaces.get(item.word)?.[0] || item.word })),
+          uncached: response.uncached.flatMap(lemma => surfaces.get(lemma) || [lemma])
+        });
       });
     });
   }
@@ -241,13 +346,15 @@
       return;
     }
 
-    const trimmedWord = word.trim();
+    // 跨行选中的短语把换行和连续空白合并为一个空格
+    const trimmedWord = word.trim().replace(/\s+/g, ' ');
     const list = config.memorizeList || [];
     const exists = list.some(w => w.word === trimmedWord);
     
     if (!exists) {
       list.push({ word: trimmedWord, addedAt: Date.now() });
       config.memorizeList = list;
+      updateSegmenterWords();
       await new Promise(resolve => chrome.storage.sync.set({ memorizeList: list }, resolve));
 
       // 添加到记忆列表后，立即检查页面上是否存在这些单词并触发翻译
@@ -406,14 +513,45 @@
   }
 
   // ============ 文本替换 ============
-  function createReplacementElement(original, translation, phonetic, difficulty) {
+  // 译文、读音和原文都来自模型或页面，拼入 HTML 前转义
+  function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+  }
+
+  // 日语译文的振假名：按汉字和假名分组与读音对齐，只给汉字部分注音（食べる → 食[た]べる），
+  // 无法对齐时给整个词注音
+  function buildFurigana(word, reading) {
+    const toHiragana = str => str.replace(/[\u30a1-\u30f6]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+    const groups = word.match(/\p{Script=Han}+|\P{Script=Han}+/gu) || [];
+    const pattern = groups
+      .map(g => /\p{Script=Han}/u.test(g) ? '(.+?)' : `(${toHiragana(g).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`)
+      .join('');
+    const match = new RegExp(`^${pattern}$`, 'u').exec(toHiragana(reading.replace(/\s+/g, '')));
+    if (!match) return `<ruby>${escapeHtml(word)}<rt>${escapeHtml(reading)}</rt></ruby>`;
+    return groups
+      .map((g, i) => /\p{Script=Han}/u.test(g) ? `<ruby>${escapeHtml(g)}<rt>${escapeHtml(match[i + 1])}</rt></ruby>` : escapeHtml(g))
+      .join('');
+  }
+
+  // contextDir 为所在段落的书写方向，决定译文和原文的先后；译文、原文各自按文字隔离方向，
+  // 阿拉伯语、希伯来语的词插入从左到右的段落（或反过来）时不会打乱周围文字的顺序
+  function createReplacementElement(original, translation, phonetic, difficulty, contextDir = 'ltr') {
     const wrapper = document.createElement('span');
     wrapper.className = 'vocabmeld-translated';
+    wrapper.dir = contextDir;
     wrapper.setAttribute('data-original', original);
     wrapper.setAttribute('data-translation', translation);
     wrapper.setAttribute('data-phonetic', phonetic || '');
     wrapper.setAttribute('data-difficulty', difficulty || 'B1');
     
+    // 学习日语时，含汉字的译文按假名读音显示振假名
+    const furigana = config.targetLanguage === 'ja' && config.showPhonetic
+      && /\p{Script=Han}/u.test(translation) && /^[\u3040-\u30ff\s]+$/.test(phonetic || '');
+    const word = furigana ? buildFurigana(translation, phonetic.trim()) : escapeHtml(translation);
+    const originalHtml = escapeHtml(original);
+    const wordDir = textDirection(translation) || 'auto';
+    const originalDir = textDirection(original) || 'auto';
+
     // 根据配置的样式生成不同的HTML
     const style = config.translationStyle || 'translation-original';
     let innerHTML = '';
@@ -421,16 +559,16 @@
     switch (style) {
       case 'translation-only':
         // 只显示译文
-        innerHTML = `<span class="vocabmeld-word">${translation}</span>`;
+        innerHTML = `<span class="vocabmeld-word" dir="${wordDir}">${word}</span>`;
         break;
       case 'original-translation':
         // 原文(译文)
-        innerHTML = `<span class="vocabmeld-original">${original}</span><span class="vocabmeld-word">(${translation})</span>`;
+        innerHTML = `<span class="vocabmeld-original" dir="${originalDir}">${originalHtml}</span><span class="vocabmeld-word" dir="${wordDir}">(${word})</span>`;
         break;
       case 'translation-original':
       default:
         // 译文(原文) - 默认样式
-        innerHTML = `<span class="vocabmeld-word">${translation}</span><span class="vocabmeld-original">(${original})</span>`;
+        innerHTML = `<span class="vocabmeld-word" dir="${wordDir}">${word}</span><span class="vocabmeld-original" dir="${originalDir}">(${originalHtml})</span>`;
         break;
     }
     
@@ -438,13 +576,38 @@
     return wrapper;
   }
 
-  function applyReplacements(element, replacements) {
+  // 词在文本中的位置：中日韩词汇按分词边界匹配，不替换跨越词边界的片段；
+  // 其余按单词边界匹配完整单词，找不到时退回普通查找；boundaryOnly 时不退回（start 中的 art 不算）
+  function findSurfaceIndex(text, surface, boundaryOnly = false) {
+    if (CJK_WORD.test(surface)) {
+      return globalThis.VocabMeldSegmenter.findWord(text, surface, segmentLang(text));
+    }
+    const escapedSurface = surface.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // 匹配单词边界（前后不是任何文字的字母、附加符号或数字）
+    const regex = new RegExp(`(^|[^\\p{L}\\p{M}\\p{N}_])${escapedSurface}([^\\p{L}\\p{M}\\p{N}_]|$)`, 'iu');
+    const match = regex.exec(text);
+    if (match) return match.index + match[1].length;
+    return boundaryOnly ? -1 : text.toLowerCase().indexOf(surface.toLowerCase());
+  }
+
+  // 文本节点所在的块级元素（跳过 a、em 等行内元素）
+  function getBlockAncestor(node) {
+    let el = node.parentElement;
+    while (el?.parentElement && getComputedStyle(el).display.startsWith('inline')) {
+      el = el.parentElement;
+    }
+    return el;
+  }
+
+  // boundaryOnly：其他段落选中的词（替换范围为整个页面）只替换完整单词
+  function applyReplacements(element, replacements, boundaryOnly = false) {
     if (!element || !replacements?.length) return 0;
 
     let count = 0;
     
     // 获取文本节点的辅助函数（每次调用都重新获取，确保节点引用有效）
-    function getTextNodes() {
+    // keepWhitespace 保留只含空白的节点（跨节点匹配短语时它们是词之间的空格）
+    function getTextNodes(keepWhitespace = false) {
       const nodes = [];
       const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
         acceptNode: (node) => {
@@ -477,7 +640,7 @@
           if (parent.isContentEditable) return NodeFilter.FILTER_REJECT;
           
           const text = node.textContent.trim();
-          if (text.length === 0) return NodeFilter.FILTER_REJECT;
+          if (text.length === 0 && !keepWhitespace) return NodeFilter.FILTER_REJECT;
           
           return NodeFilter.FILTER_ACCEPT;
         }
@@ -490,10 +653,63 @@
       return nodes;
     }
 
-    // 按位置从后往前排序，避免位置偏移问题
-    const sortedReplacements = [...replacements].sort((a, b) => (b.position || 0) - (a.position || 0));
+    // 被行内标签分开的短语（give <em>up</em>）：把同一块级元素内相邻的文本节点拼接后查找，
+    // 找到后用跨节点的 Range 整体替换
+    function replaceAcrossNodes(replacement) {
+      // 按块级元素分组，已替换的词把分组隔开
+      const runs = [];
+      let run = null;
+      for (const node of getTextNodes(true)) {
+        if (node.parentElement.closest('.vocabmeld-translated')) {
+          run = null;
+          continue;
+        }
+        const block = getBlockAncestor(node);
+        if (!run || run.block !== block) {
+          run = { block, nodes: [], text: '' };
+          runs.push(run);
+        }
+        run.nodes.push({ node, start: run.text.length });
+        run.text += node.textContent;
+      }
 
-    for (const replacement of sortedReplacements) {
+      for (const { nodes, text } of runs) {
+        if (nodes.length < 2) continue;
+
+        const surface = findInflectedForm(text, replacement.original);
+        const startIndex = surface ? findSurfaceIndex(text, surface) : -1;
+        if (startIndex === -1) continue;
+
+        const endIndex = startIndex + surface.length;
+        const first = nodes.findLast(r => r.start <= startIndex);
+        const last = nodes.findLast(r => r.start < endIndex);
+        try {
+          const range = document.createRange();
+          range.setStart(first.node, startIndex - first.start);
+          range.setEnd(last.node, endIndex - last.start);
+          if (range.toString().toLowerCase() !== surface.toLowerCase()) continue;
+
+          const wrapper = createReplacementElement(surface.replace(/\s+/g, ' '), replacement.translation,
+            replacement.phonetic, replacement.difficulty, contextDir);
+          range.deleteContents();
+          range.insertNode(wrapper);
+          return true;
+        } catch (e) {
+          console.error('[VocabMeld] Replacement error:', e, replacement.original);
+        }
+      }
+      return false;
+    }
+
+    const contextDir = getSegmentDirection(element);
+
+    // 短语先于单词替换（短语中的词先被替换后短语就无法匹配），其余按位置从后往前排序，避免位置偏移问题
+    const sortedReplacements = [...replacements].sort((a, b) => (
+      (isPhrase(b.original) - isPhrase(a.original)) || (b.position || 0) - (a.position || 0)
+    ));
+
+    // 替换一处出现，成功返回 true；strict 时只接受完整单词（同一个词的后续出现、其他段落选中的词）
+    function replaceOnce(replacement, strict = boundaryOnly) {
       const { original, translation, phonetic, difficulty } = replacement;
       const lowerOriginal = original.toLowerCase();
       
@@ -511,26 +727,24 @@
         const text = textNode.textContent;
         const lowerText = text.toLowerCase();
         
-        // 检查文本节点是否包含目标单词
-        if (!lowerText.includes(lowerOriginal)) continue;
-        
-        // 使用单词边界匹配，确保匹配完整单词
-        const escapedOriginal = original.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        // 匹配单词边界（包括中文标点）
-        const regex = new RegExp(`(^|[^\\w\\u4e00-\\u9fff])${escapedOriginal}([^\\w\\u4e00-\\u9fff]|$)`, 'i');
-        
-        let match = regex.exec(text);
-        let startIndex = match ? match.index + match[1].length : text.toLowerCase().indexOf(lowerOriginal);
+        // 检查文本节点是否包含目标单词；不含原词时按词元查找变形（如 run → running），替换页面上的实际词形
+        const containsOriginal = strict
+          ? findSurfaceIndex(text, original, true) !== -1
+          : lowerText.includes(lowerOriginal);
+        const surface = containsOriginal ? original : findInflectedForm(text, original);
+        if (!surface) continue;
+        const lowerSurface = surface.toLowerCase();
         
+        const startIndex = findSurfaceIndex(text, surface, strict);
         if (startIndex === -1) continue;
 
         try {
           const range = document.createRange();
           range.setStart(textNode, startIndex);
-          range.setEnd(textNode, startIndex + original.length);
+          range.setEnd(textNode, startIndex + surface.length);
           
           const rangeContent = range.toString();
-          if (rangeContent.toLowerCase() !== lowerOriginal) continue;
+          if (rangeContent.toLowerCase() !== lowerSurface) continue;
 
           // 检查是否已经被替换（检查父元素是否是已翻译的元素）
           let parent = textNode.parentElement;
@@ -545,23 +759,56 @@
           
           if (isAlreadyReplaced) continue;
 
-          const wrapper = createReplacementElement(original, translation, phonetic, difficulty);
+          const wrapper = createReplacementElement(surface, translation, phonetic, difficulty, contextDir);
           range.deleteContents();
           range.insertNode(wrapper);
-          count++;
           
-          // 找到匹配后立即跳出，因为DOM结构已改变，需要重新获取节点
-          break;
+          // 找到匹配后立即返回，因为DOM结构已改变，需要重新获取节点
+          return true;
         } catch (e) {
           console.error('[VocabMeld] Replacement error:', e, original);
         }
       }
+
+      // 单个文本节点内没有找到的短语，可能被行内标签分开
+      return isPhrase(original) && replaceAcrossNodes(replacement);
+    }
+
+    // 替换范围不是「第一次出现」时，同一个词在段落中的每次出现都替换；返回值按词计数，不按出现次数
+    const everyOccurrence = config.replaceOccurrences === 'paragraph' || config.replaceOccurrences === 'page';
+    const applied = [];
+    for (const replacement of sortedReplacements) {
+      if (!replaceOnce(replacement)) continue;
+      applied.push(replacement);
+      count++;
+      while (everyOccurrence && replaceOnce(replacement, true)) {
+        // 继续替换同一个词的下一处出现
+      }
     }
 
     if (count > 0) element.setAttribute('data-vocabmeld-processed', 'true');
+    if (config.replaceOccurrences === 'page') spreadToPage(applied, element);
     return count;
   }
 
+  // 替换范围为整个页面：新选中的词记入 pageWords，并在其他已处理的段落中同样替换；
+  // 之后处理的段落在应用缓存结果时一并替换这些词（见 applyImmediateReplacements）
+  // 不属于任何段落的文本（过短、代码、尚未进入视口的容器）不会被替换，进入视口处理时再补上
+  function spreadToPage(applied, source) {
+    const fresh = applied.filter(r => !pageWords.has(toLemma(r.original)));
+    if (fresh.length === 0) return;
+    fresh.forEach(r => pageWords.set(toLemma(r.original), r));
+    const containers = new Set([...document.querySelectorAll('[data-vocabmeld-processed]'), ...pageSegments]);
+    containers.forEach(container => {
+      if (!container.isConnected) {
+        pageSegments.delete(container);
+        return;
+      }
+      if (container.contains(source) || source.contains(container)) return;
+      applyReplacements(container, fresh, true);
+    });
+  }
+
   function restoreOriginal(element) {
     if (!element.classList?.contains('vocabmeld-translated')) return;
     const original = element.getAttribute('data-original');
@@ -569,46 +816,187 @@
     element.parentNode.replaceChild(textNode, element);
   }
 
-  // 恢复页面上所有相同单词的原文
+  // 恢复页面上所有相同单词（含其变形）的原文
   function restoreAllSameWord(originalWord) {
+    const lemma = toLemma(originalWord);
+    pageWords.delete(lemma);
     document.querySelectorAll('.vocabmeld-translated').forEach(el => {
-      if (el.getAttribute('data-original')?.toLowerCase() === originalWord.toLowerCase()) {
+      const original = el.getAttribute('data-original');
+      if (original && toLemma(original) === lemma) {
         restoreOriginal(el);
       }
     });
   }
 
   function restoreAll() {
+    // 恢复后不再需要进行中请求的结果
+    cancelPendingRequests();
     document.querySelectorAll('.vocabmeld-translated').forEach(restoreOriginal);
     document.querySelectorAll('[data-vocabmeld-processed]').forEach(el => el.removeAttribute('data-vocabmeld-processed'));
     document.querySelectorAll('[data-vocabmeld-observing]').forEach(el => el.removeAttribute('data-vocabmeld-observing'));
     processedFingerprints.clear();
     pendingContainers.clear();
+    pageWords.clear();
+    pageSegments.clear();
   }
 
   // ============ API 调用 ============
-  async function translateText(text) {
-    if (!config.apiEndpoint) {
-      throw new Error('API 未配置');
+  // 通过 background 发送 LLM 请求，返回统一格式 { content, usage, servedBy }
+  // request.prompt 为 { kind, language, variables }，由 background 按用户模板渲染为消息
+  // 使用哪个 API 配置（含故障转移）以及限流排队由 background 决定
+  // priority: 'visible' 视口内段落优先处理，'prefetch' 预加载段落排在其后
+  function sendApiRequest(request, priority = 'prefetch') {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({
+        action: 'apiRequest',
+        request,
+        priority
+      }, response => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response?.success) {
+          reject(createRequestError(response?.error || 'API request failed', response?.errorName));
+        } else {
+          checkBudget(response.data);
+          resolve(response.data);
+        }
+      });
+    });
+  }
+
+  // 通过长连接发送流式 LLM 请求，background 每解析出一个完整的 JSON 数组元素就推送过来
+  // 返回与 sendApiRequest 相同格式的完整结果
+  // 断开连接即通知 background 中止请求
+  function sendApiStreamRequest(request, priority, onItem) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: 'vocabmeld-stream' });
+      let settled = false;
+
+      const cancel = () => {
+        settled = true;
+        port.disconnect();
+        reject(createRequestError('请求已取消', 'AbortError'));
+      };
+      activeStreams.add(cancel);
+
+      port.onMessage.addListener(message => {
+        if (message.type === 'item') {
+          try {
+            onItem(message.item);
+          } catch (e) {
+            console.error('[VocabMeld] Stream item error:', e);
+          }
+          return;
+        }
+        settled = true;
+        activeStreams.delete(cancel);
+        port.disconnect();
+        if (message.type === 'done') {
+          checkBudget(message.data);
+          resolve(message.data);
+        } else {
+          reject(createRequestError(message.error || 'API request failed', message.errorName));
+        }
+      });
+      port.onDisconnect.addListener(() => {
+        activeStreams.delete(cancel);
+        if (!settled) reject(new Error(chrome.runtime.lastError?.message || 'Stream disconnected'));
+      });
+
+      port.postMessage({ request, priority });
+    });
+  }
+
+  // background 返回的错误保留类型：TimeoutError 表示服务商无响应，AbortError 表示请求已取消
+  function createRequestError(message, name) {
+    const error = new Error(message);
+    if (name) error.name = name;
+    return error;
+  }
+
+  function isAbortError(error) {
+    return error?.name === 'AbortError';
+  }
+
+  // 取消本页所有进行中的请求：流式请求直接断开，其余请求由 background 按标签页和框架中止
+  function cancelPendingRequests() {
+    for (const cancel of activeStreams) cancel();
+    activeStreams.clear();
+    try {
+      chrome.runtime.sendMessage({ action: 'cancelRequests' }, () => void chrome.runtime.lastError);
+    } catch (e) {
+      // 扩展已重新加载，旧页面上的脚本无法再发送消息
     }
+  }
+
+  // 请求失败时的提示：超时单独提示，取消不提示
+  function notifyRequestError(error) {
+    if (error?.name !== 'TimeoutError') return;
+    const now = Date.now();
+    if (now - lastTimeoutNotice < TIMEOUT_NOTICE_INTERVAL_MS) return;
+    lastTimeoutNotice = now;
+    showToast(error.message);
+  }
 
-    // 确保缓存已加载
-    if (wordCache.size === 0) {
-      await loadWordCache();
+  // 开启流式响应且需要逐项结果时走流式请求，否则等待完整响应
+  function requestLlm(request, priority, onItem) {
+    if (onItem && config.streamResponses) {
+      return sendApiStreamRequest(request, priority, onItem);
     }
+    return sendApiRequest(request, priority);
+  }
 
-    const detectedLang = detectLanguage(text);
-    const isNative = isNativeLanguage(detectedLang, config.nativeLanguage);
+  // ============ 预算控制 ============
+  // 查询本月花费是否已达到预算上限
+  function refreshBudgetStatus() {
+    return new Promise(resolve => {
+      chrome.runtime.sendMessage({ action: 'getUsage' }, summary => {
+        if (chrome.runtime.lastError) {
+          resolve(budgetExceeded);
+          return;
+        }
+        budgetExceeded = Boolean(summary?.overBudget);
+        resolve(budgetExceeded);
+      });
+    });
+  }
+
+  // API 响应附带预算状态，超出时暂停自动处理
+  function checkBudget(data) {
+    if (data?.budgetExceeded && !budgetExceeded) {
+      console.warn('[VocabMeld] Monthly budget reached, auto-processing paused');
+    }
+    budgetExceeded = Boolean(data?.budgetExceeded);
+  }
+
+  // 是否允许在无用户操作时继续发起请求
+  function canAutoProcess() {
+    return !budgetExceeded || budgetOverride;
+  }
+
+  // 命中的短语包含某个同样命中的单词时只保留短语（take into account 与 account）
+  function dropWordsInsidePhrases(items) {
+    const phraseTokens = new Set(
+      items.filter(item => isPhrase(item.word)).flatMap(item => item.word.toLowerCase().split(/\s+/))
+    );
+    return items.filter(item => isPhrase(item.word) || !phraseTokens.has(item.word.toLowerCase()));
+  }
+
+  // 准备段落翻译：检查缓存，返回可立即显示的缓存结果，以及需要请求 AI 的任务（无需请求时为 null）
+  // langHint 为段落所在元素声明的语言，混合语言页面逐段检测
+  async function prepareTranslation(text, langHint) {
+    const detectedLang = detectLanguage(text, langHint);
+    const isNative = isSameLanguage(detectedLang, config.nativeLanguage);
     
     // 根据处理模式检查是否需要处理该文本
     // native-only: 只处理母语网页（将母语翻译为目标语言）
     // target-only: 只处理目标语言网页（将目标语言翻译为母语）
     // both: 两者均处理
     if (config.processMode === 'native-only' && !isNative) {
-      return { immediate: [], async: null };
+      return { immediate: [], job: null };
     }
     if (config.processMode === 'target-only' && isNative) {
-      return { immediate: [], async: null };
+      return { immediate: [], job: null };
     }
     
     const sourceLang = isNative ? config.nativeLanguage : detectedLang;
@@ -618,83 +1006,34 @@
     // 检查缓存 - 只检查有意义的词汇（排除常见停用词）
     const stopWords = new Set(['the', 'a', 'an', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'must', 'shall', 'can', 'need', 'dare', 'ought', 'used', 'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by', 'from', 'as', 'into', 'through', 'during', 'before', 'after', 'above', 'below', 'between', 'under', 'again', 'further', 'then', 'once', 'here', 'there', 'when', 'where', 'why', 'how', 'all', 'each', 'few', 'more', 'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'so', 'than', 'too', 'very', 'just', 'and', 'but', 'if', 'or', 'because', 'until', 'while', 'this', 'that', 'these', 'those', 'what', 'which', 'who', 'whom', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them', 'my', 'your', 'his', 'its', 'our', 'their']);
     
-    const words = (text.match(/\b[a-zA-Z]{5,}\b/g) || []).filter(w => !stopWords.has(w.toLowerCase()));
+    // 以空格分词的语言按语言表的最短长度取词；语言表中没有的语言两种方式都尝试
+    const sourceInfo = VocabMeldLanguages.getLanguage(sourceLang);
+    const spaced = sourceInfo?.wordBoundary === 'space';
+    const words = extractAlphabeticWords(text, spaced ? sourceInfo.minWordLength : 0)
+      .filter(w => !stopWords.has(w.toLowerCase()));
     
-    // 对于中文，提取有意义的短语（2-4个字符）
+    // 对于中日韩文本，按分词结果提取 2 个字及以上的词，以及相邻词组成的复合词
     // 注意：这里只提取用于缓存检查，实际翻译由AI决定返回哪些词汇
-    // 提取2-4个字符的短语（避免提取过多无意义的片段）
-    const chinesePhrases = [];
-    const chineseText = text.match(/[\u4e00-\u9fff]+/g) || [];
-    
-    // 从中文文本中提取2-4个字符的短语（滑动窗口，步长为1）
-    for (const phrase of chineseText) {
-      if (phrase.length >= 2) {
-        // 提取2-4个字符的短语
-        for (let len = 2; len <= Math.min(4, phrase.length); len++) {
-          for (let i = 0; i <= phrase.length - len; i++) {
-            const subPhrase = phrase.substring(i, i + len);
-            chinesePhrases.push(subPhrase);
-          }
-        }
-      }
-    }
-    
-    const allWords = [...new Set([...words, ...chinesePhrases])];
-
-    const cached = [];
-    const uncached = [];
-    const cachedWordsSet = new Set(); // 用于去重
-
-    for (const word of allWords) {
-      const key = `${word.toLowerCase()}:${sourceLang}:${targetLang}`;
-      if (wordCache.has(key)) {
-        const lowerWord = word.toLowerCase();
-        if (!cachedWordsSet.has(lowerWord)) {
-          cached.push({ word, ...wordCache.get(key) });
-          cachedWordsSet.add(lowerWord);
-        }
-      } else {
-        uncached.push(word);
-      }
-    }
+    const cjkWords = spaced ? [] : extractCjkWords(text);
+    const cjkCompounds = spaced ? [] : extractCjkCompounds(text);
+
+    // 短语只用于查找缓存，未命中的短语不算作需要请求 AI 的词
+    const phrases = new Set(spaced ? extractPhrases(text, stopWords) : []);
     
-    // 额外检查：检查文本中是否包含已缓存的词汇（用于处理AI返回的词汇与提取不一致的情况）
-    // 只检查中文词汇，因为英文词汇已经通过上面的逻辑检查了
-    const lowerText = text.toLowerCase();
-    for (const [key, value] of wordCache) {
-      const [cachedWord, cachedSourceLang, cachedTargetLang] = key.split(':');
-      // 只检查相同语言对的缓存，且只检查中文词汇（2个字符以上）
-      if (cachedSourceLang === sourceLang && 
-          cachedTargetLang === targetLang && 
-          /[\u4e00-\u9fff]/.test(cachedWord) && 
-          cachedWord.length >= 2) {
-        const lowerCachedWord = cachedWord.toLowerCase();
-        // 检查是否已经在cached列表中
-        if (!cachedWordsSet.has(lowerCachedWord)) {
-          // 检查文本中是否包含这个词汇（不区分大小写）
-          if (lowerText.includes(lowerCachedWord)) {
-            // 找到词汇在文本中的位置
-            const idx = text.toLowerCase().indexOf(lowerCachedWord);
-            if (idx >= 0) {
-              cached.push({ 
-                word: text.substring(idx, idx + cachedWord.length), 
-                ...value 
-              });
-              cachedWordsSet.add(lowerCachedWord);
-            }
-          }
-        }
-      }
-    }
+    const allWords = [...new Set([...words, ...cjkWords, ...cjkCompounds, ...phrases])];
+
+    const checked = await checkCachedWords(allWords, sourceLang, targetLang, text);
+    const cached = dropWordsInsidePhrases(checked.cached);
+    const uncached = checked.uncached.filter(w => !phrases.has(w));
 
     // 获取已学会单词列表
-    const learnedWordsSet = new Set((config.learnedWords || []).map(w => w.original.toLowerCase()));
+    const learnedWordsSet = getLearnedLemmas();
     
     // 过滤缓存结果（按难度，排除已学会单词）
     const filteredCached = cached
       .filter(c => 
         isDifficultyCompatible(c.difficulty || 'B1', config.difficultyLevel) &&
-        !learnedWordsSet.has(c.word.toLowerCase())
+        !learnedWordsSet.has(toLemma(c.word))
       )
       .map(c => {
         const idx = text.toLowerCase().indexOf(c.word.toLowerCase());
@@ -718,7 +1057,7 @@
 
     // 如果没有未缓存的词汇，直接返回缓存结果
     if (uncached.length === 0) {
-      return { immediate: immediateResults, async: null };
+      return { immediate: immediateResults, job: null };
     }
 
     // 构建只包含未缓存词汇的文本用于发送给 AI
@@ -730,7 +1069,7 @@
     
     // 如果文本太短，不需要调用API
     if (textTooShort) {
-      return { immediate: immediateResults, async: null };
+      return { immediate: immediateResults, job: null };
     }
 
     // 计算还需要翻译的词汇数量
@@ -741,7 +1080,7 @@
     
     // 如果不需要异步替换，直接返回
     if (maxAsyncReplacements <= 0) {
-      return { immediate: immediateResults, async: null };
+      return { immediate: immediateResults, job: null };
     }
     
     // 动态计算AI应该返回的词汇数量（通常是配置值的1.5-2倍，让AI有选择空间）
@@ -750,167 +1089,444 @@
       ? 1 
       : Math.max(maxAsyncReplacements, Math.ceil(maxReplacements * 1.5));
 
-    // 异步调用 API，处理未缓存的词汇（不阻塞立即返回）
-    const asyncPromise = (async () => {
-      try {
-        const prompt = `你是一个语言学习助手。请分析以下文本，选择适合学习的词汇进行翻译。
-
-## 规则：
-1. 选择约 ${aiTargetCount} 个词汇（实际返回数量可以根据文本内容灵活调整，但不要超过 ${maxReplacements * 2} 个）
-2. 不要翻译：域名、地址、缩写、人名、地名、产品名、数字、代码、URL、已经是目标语言的词
-3. 优先选择：有学习价值的词汇、不同难度级别的词汇
-4. 翻译方向：从 ${sourceLang} 翻译到 ${targetLang}
-5. 翻译倾向：结合上下文，夹杂起来也能容易被理解，尽量只翻译成最合适的词汇，而不是多个含义。
-
-## CEFR等级从简单到复杂依次为：A1-C2
-
-## 输出格式：
-返回 JSON 数组，每个元素包含：
-- original: 原词
-- translation: 翻译结果
-- phonetic: 学习语言(${config.targetLanguage})的音标/发音
-- difficulty: CEFR 难度等级 (A1/A2/B1/B2/C1/C2)，请谨慎评估
-- position: 在文本中的起始位置
-
-## 文本：
-${filteredText}
-
-## 输出：
-只返回 JSON 数组，不要其他内容。`;
-
-        const apiResponse = await new Promise((resolve, reject) => {
-          chrome.runtime.sendMessage({
-            action: 'apiRequest',
-            endpoint: config.apiEndpoint,
-            apiKey: config.apiKey,
-            body: {
-              model: config.modelName,
-              messages: [
-                { role: 'system', content: '你是一个专业的语言学习助手。始终返回有效的 JSON 格式。' },
-                { role: 'user', content: prompt }
-              ],
-              temperature: 0.3,
-              max_tokens: 2000
-            }
-          }, response => {
-            if (chrome.runtime.lastError) {
-              reject(new Error(chrome.runtime.lastError.message));
-            } else if (!response?.success) {
-              reject(new Error(response?.error || 'API request failed'));
-            } else {
-              resolve(response.data);
-            }
-          });
-        });
+    return {
+      immediate: immediateResults,
+      job: {
+        text,
+        filteredText,
+        sourceLang,
+        targetLang,
+        cached,
+        immediateResults,
+        maxReplacements,
+        maxAsyncReplacements,
+        aiTargetCount,
+        streamed: new Set() // 流式模式下已应用的词汇（词元）
+      }
+    };
+  }
 
-        const data = apiResponse;
-        const content = data.choices?.[0]?.message?.content || '[]';
-        
-        let allResults = [];
-        try {
-          allResults = JSON.parse(content);
-          if (!Array.isArray(allResults)) {
-            const jsonMatch = content.match(/\[[\s\S]*\]/);
-            if (jsonMatch) allResults = JSON.parse(jsonMatch[0]);
+  // ============ 结构化输出与校验 ============
+  // 结构化输出使用的 JSON Schema：顶层为 { items: [...] }（部分服务要求根节点为对象）
+  // withSegment: 批量请求时每个词汇需要标注所属段落编号
+  function buildResultSchema(withSegment = false) {
+    const properties = {
+      original: { type: 'string' },
+      translation: { type: 'string' },
+      phonetic: { type: 'string' },
+      difficulty: { type: 'string', enum: CEFR_LEVELS },
+      position: { type: 'integer' }
+    };
+    if (withSegment) properties.segment = { type: 'string' };
+
+    return {
+      name: 'vocabulary',
+      schema: {
+        type: 'object',
+        properties: {
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties,
+              required: Object.keys(properties),
+              additionalProperties: false
+            }
           }
-        } catch (e) {
-          const jsonMatch = content.match(/\[[\s\S]*\]/);
-          if (jsonMatch) allResults = JSON.parse(jsonMatch[0]);
+        },
+        required: ['items'],
+        additionalProperties: false
+      }
+    };
+  }
+
+  // 为请求附加结构化输出 schema（是否生效由 background 根据服务商能力决定）
+  function withResultSchema(request, withSegment = false) {
+    return config.structuredOutput ? { ...request, responseSchema: buildResultSchema(withSegment) } : request;
+  }
+
+  // 从文本中截取第一个完整的顶层 JSON 数组（跳过字符串中的括号）
+  function extractJsonArray(content) {
+    const start = content.indexOf('[');
+    if (start < 0) return null;
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < content.length; i++) {
+      const char = content[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '[' || char === '{') {
+        depth++;
+      } else if (char === ']' || char === '}') {
+        depth--;
+        if (depth === 0) return content.slice(start, i + 1);
+      }
+    }
+    return null;
+  }
+
+  // 解析 AI 返回的词汇数组（兼容 { items: [...] } 结构化输出和夹杂说明文字的响应）
+  function parseJsonArray(content) {
+    try {
+      const parsed = JSON.parse(content);
+      if (Array.isArray(parsed)) return parsed;
+      if (Array.isArray(parsed?.items)) return parsed.items;
+    } catch (e) {
+      // 继续尝试截取数组
+    }
+
+    const arrayText = extractJsonArray(content);
+    if (!arrayText) return [];
+    try {
+      return JSON.parse(arrayText);
+    } catch (e) {
+      console.warn('[VocabMeld] Failed to parse AI response:', content);
+      return [];
+    }
+  }
+
+  // 将各种写法的难度等级规范为 A1-C2，无法识别时按 B1 处理
+  const DIFFICULTY_ALIASES = {
+    beginner: 'A1',
+    elementary: 'A2',
+    intermediate: 'B1',
+    'upper-intermediate': 'B2',
+    'upper intermediate': 'B2',
+    advanced: 'C1',
+    proficient: 'C2',
+    proficiency: 'C2',
+    mastery: 'C2'
+  };
+
+  function normalizeDifficulty(value) {
+    const text = String(value ?? '').trim();
+    const match = text.toUpperCase().match(/([ABC])\s*-?\s*([12])/);
+    if (match) return match[1] + match[2];
+    return DIFFICULTY_ALIASES[text.toLowerCase()] || 'B1';
+  }
+
+  // 校验 AI 返回的词汇：丢弃字段缺失、原词不在文本中、重复的项，并规范难度等级
+  // 返回 { items, rejected: { 原因: 数量 } }
+  function validateAiResults(items, text) {
+    const rejected = {};
+    const reject = reason => { rejected[reason] = (rejected[reason] || 0) + 1; };
+    // 短语在页面上可能跨行，比较时合并空白
+    const lowerText = text.toLowerCase().replace(/\s+/g, ' ');
+    const seen = new Set();
+    const valid = [];
+
+    for (const item of Array.isArray(items) ? items : []) {
+      const original = typeof item?.original === 'string' ? item.original.trim().replace(/\s+/g, ' ') : '';
+      const translation = typeof item?.translation === 'string' ? item.translation.trim() : '';
+      if (!original || !translation) {
+        reject('malformed');
+        continue;
+      }
+      if (!lowerText.includes(original.toLowerCase())) {
+        reject('notInText');
+        continue;
+      }
+      if (seen.has(original.toLowerCase())) {
+        reject('duplicate');
+        continue;
+      }
+      seen.add(original.toLowerCase());
+
+      valid.push({
+        ...item,
+        original,
+        translation,
+        phonetic: typeof item.phonetic === 'string' ? item.phonetic : '',
+        difficulty: normalizeDifficulty(item.difficulty)
+      });
+    }
+
+    return { items: valid, rejected };
+  }
+
+  // 记录被丢弃的 AI 结果数量，便于排查模型输出质量
+  function recordRejections(rejected) {
+    if (Object.keys(rejected).length === 0) return;
+    console.debug('[VocabMeld] Rejected AI results:', rejected);
+    chrome.runtime.sendMessage({ action: 'recordRejections', counts: rejected }, () => {
+      void chrome.runtime.lastError;
+    });
+  }
+
+  // 解析并校验 AI 响应，记录被丢弃的数量
+  function parseAndValidate(content, text) {
+    const { items, rejected } = validateAiResults(parseJsonArray(content), text);
+    recordRejections(rejected);
+    return items;
+  }
+
+  // 标记译文来源（模型和提示词版本），随结果写入缓存
+  function withSource(items, data) {
+    const model = data.model || data.servedBy;
+    return items.map(item => ({ ...item, model, promptVersion: data.promptVersion }));
+  }
+
+  // 将 AI 结果写入后台缓存（由后台按 LRU 淘汰）
+  // 过滤掉2字以下的中文词汇和小于5个字符的英文单词（避免简单词影响语境）
+  // 开启多义词区分时附带段落原文，后台据此按语境记录释义；缓存键使用词元
+  async function cacheTranslationResults(items, sourceLang, targetLang, context) {
+    const withContext = Boolean(context && config.senseDisambiguation);
+    const entries = items.filter(item => {
+      // 对于中文，不存储1个字的内容（即只存储2个字及以上的词汇）
+      const isChinese = /[\u4e00-\u9fff]/.test(item.original);
+      if (isChinese && item.original.length < 2) return false;
+      // 对于英文，不存储小于5个字符的单词
+      const isEnglish = /^[a-zA-Z]+$/.test(item.original);
+      return !(isEnglish && item.original.length < 5);
+    }).map(item => ({
+      word: toLemma(item.original, sourceLang),
+      surface: item.original,
+      sourceLang,
+      targetLang,
+      translation: item.translation,
+      phonetic: item.phonetic || '',
+      difficulty: item.difficulty || 'B1',
+      model: item.model,
+      promptVersion: item.promptVersion,
+      ...(withContext ? { context } : {})
+    }));
+    if (entries.length === 0) return;
+
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'cacheSet', items: entries }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          console.error('[VocabMeld] Failed to save cache:', chrome.runtime.lastError || response?.error);
         }
+        resolve();
+      });
+    });
+  }
 
-        // 先缓存所有词汇（包括所有难度级别），供不同难度设置的用户使用
-        // 过滤掉2字以下的中文词汇和小于5个字符的英文单词（避免简单词影响语境）
-        for (const item of allResults) {
-          // 对于中文，不存储1个字的内容（即只存储2个字及以上的词汇）
-          const isChinese = /[\u4e00-\u9fff]/.test(item.original);
-          if (isChinese && item.original.length < 2) {
-            continue; // 跳过1个字的中文词汇（只存储2个字及以上的）
-          }
-          // 对于英文，不存储小于5个字符的单词
-          const isEnglish = /^[a-zA-Z]+$/.test(item.original);
-          if (isEnglish && item.original.length < 5) {
-            continue; // 跳过小于5个字符的英文单词
-          }
-          
-          const key = `${item.original.toLowerCase()}:${sourceLang}:${targetLang}`;
-          // 如果已存在，先删除（LRU）
-          if (wordCache.has(key)) {
-            wordCache.delete(key);
-          }
-          
-          // 如果达到上限，删除最早的项
-          while (wordCache.size >= (config?.cacheMaxSize || DEFAULT_CACHE_MAX_SIZE)) {
-            const firstKey = wordCache.keys().next().value;
-            wordCache.delete(firstKey);
-          }
-          
-          // 添加新项
-          wordCache.set(key, {
-            translation: item.translation,
-            phonetic: item.phonetic || '',
-            difficulty: item.difficulty || 'B1'
-          });
+  // 请求 AI 为单个段落选择并翻译词汇
+  // 传入 onItem 且开启流式响应时，每个词汇输出完成即回调
+  async function requestSegmentTranslation(job, priority, onItem) {
+    const { filteredText, sourceLang, targetLang, aiTargetCount, maxReplacements } = job;
+    const data = await requestLlm(withResultSchema({
+      prompt: {
+        kind: 'segment',
+        language: config.targetLanguage,
+        variables: {
+          sourceLang, targetLang, count: aiTargetCount, maxCount: maxReplacements * 2,
+          level: config.difficultyLevel, text: filteredText
         }
-        // 确保缓存保存完成
-        await saveWordCache();
-
-        // 本地过滤：只保留符合用户难度设置的词汇，并过滤掉小于5个字符的英文单词
-        const filteredResults = allResults.filter(item => {
-          // 过滤难度级别
-          if (!isDifficultyCompatible(item.difficulty || 'B1', config.difficultyLevel)) {
-            return false;
-          }
-          // 过滤小于5个字符的英文单词
-          const isEnglish = /^[a-zA-Z]+$/.test(item.original);
-          if (isEnglish && item.original.length < 5) {
-            return false;
-          }
-          return true;
-        });
+      },
+      temperature: 0.3,
+      maxTokens: 2000
+    }), priority, onItem);
+    return withSource(parseAndValidate(data.content || '[]', filteredText), data);
+  }
 
-        // 更新统计
-        updateStats({ newWords: filteredResults.length, cacheHits: cached.length, cacheMisses: 1 });
-
-        // 修正 AI 返回结果的位置（从过滤文本映射回原始文本）
-        const correctedResults = filteredResults.map(result => {
-          const originalIndex = text.toLowerCase().indexOf(result.original.toLowerCase());
-          return {
-            ...result,
-            position: originalIndex >= 0 ? originalIndex : result.position
-          };
-        });
+  // 本地过滤 AI 结果：只保留符合用户难度设置的词汇，并将位置从过滤文本映射回原始文本
+  function filterAiResults(job, items) {
+    return items.filter(item => {
+      // 过滤难度级别
+      if (!isDifficultyCompatible(item.difficulty || 'B1', config.difficultyLevel)) {
+        return false;
+      }
+      // 过滤小于5个字符的英文单词
+      const isEnglish = /^[a-zA-Z]+$/.test(item.original);
+      if (isEnglish && item.original.length < 5) {
+        return false;
+      }
+      return true;
+    }).map(result => {
+      const originalIndex = job.text.toLowerCase().indexOf(result.original.toLowerCase());
+      return {
+        ...result,
+        position: originalIndex >= 0 ? originalIndex : result.position
+      };
+    });
+  }
 
-        // 合并缓存结果（去重，避免与已显示的缓存结果重复，排除已学会单词）
-        const immediateWords = new Set(immediateResults.map(r => r.original.toLowerCase()));
-        const currentLearnedWords = new Set((config.learnedWords || []).map(w => w.original.toLowerCase()));
-        const cachedResults = cached
-          .filter(c => 
-            !immediateWords.has(c.word.toLowerCase()) && 
-            !correctedResults.some(r => r.original.toLowerCase() === c.word.toLowerCase()) &&
-            !currentLearnedWords.has(c.word.toLowerCase()) &&
-            isDifficultyCompatible(c.difficulty || 'B1', config.difficultyLevel)
-          )
-          .map(c => {
-            const idx = text.toLowerCase().indexOf(c.word.toLowerCase());
-            return { original: c.word, translation: c.translation, phonetic: c.phonetic, difficulty: c.difficulty, position: idx, fromCache: true };
-          });
-        
-        // API 结果也要过滤已学会单词
-        const filteredCorrectedResults = correctedResults.filter(r => !currentLearnedWords.has(r.original.toLowerCase()));
+  // 流式输出的单个词汇：过滤后返回可立即应用的替换项，超出异步替换上限时返回 null
+  // 上限按不同的词（词元）计数，同一个词的不同词形只算一个
+  function takeStreamedItem(job, item) {
+    if (job.streamed.size >= job.maxAsyncReplacements) return null;
+
+    // 流式阶段只做过滤，丢弃数量在完整响应校验时统一记录
+    const { items: validItems } = validateAiResults([item], job.filteredText);
+    const [result] = filterAiResults(job, validItems);
+    const key = result && toLemma(result.original);
+    if (!result || job.streamed.has(key)) return null;
+
+    job.streamed.add(key);
+    return result;
+  }
+
+  // 对 AI 结果做本地过滤，并与未显示的缓存结果合并，得到最终的异步替换项
+  // 流式模式下已应用的词汇不再返回
+  function finalizeTranslation(job, allResults) {
+    const { text, cached, immediateResults, maxAsyncReplacements, streamed } = job;
+
+    const correctedResults = filterAiResults(job, allResults);
+
+    // 更新统计
+    updateStats({ newWords: correctedResults.length, cacheHits: cached.length, cacheMisses: 1 });
+
+    // 合并缓存结果（去重，避免与已显示的缓存结果重复，排除已学会单词）
+    const immediateWords = new Set(immediateResults.map(r => r.original.toLowerCase()));
+    const currentLearnedWords = getLearnedLemmas();
+    const cachedResults = cached
+      .filter(c => 
+        !immediateWords.has(c.word.toLowerCase()) && 
+        !correctedResults.some(r => r.original.toLowerCase() === c.word.toLowerCase()) &&
+        !currentLearnedWords.has(toLemma(c.word)) &&
+        isDifficultyCompatible(c.difficulty || 'B1', config.difficultyLevel)
+      )
+      .map(c => {
+        const idx = text.toLowerCase().indexOf(c.word.toLowerCase());
+        return { original: c.word, translation: c.translation, phonetic: c.phonetic, difficulty: c.difficulty, position: idx, fromCache: true };
+      });
+    
+    // API 结果也要过滤已学会单词
+    const filteredCorrectedResults = correctedResults.filter(r => 
+      !currentLearnedWords.has(toLemma(r.original)) &&
+      !streamed.has(toLemma(r.original))
+    );
+
+    // 合并结果：补充的缓存结果 + API结果，同一个词的不同词形只保留一个
+    // 限制异步替换数量（如果缓存已满足配置或文本极少，最多只替换1个词）
+    const seenLemmas = new Set();
+    const mergedResults = [...cachedResults, ...filteredCorrectedResults].filter(r => {
+      const lemma = toLemma(r.original);
+      if (seenLemmas.has(lemma)) return false;
+      seenLemmas.add(lemma);
+      return true;
+    });
+    return mergedResults.slice(0, Math.max(0, maxAsyncReplacements - streamed.size));
+  }
+
+  async function translateText(text, options = {}) {
+    if (!config.apiEndpoint) {
+      throw new Error('API 未配置');
+    }
+
+    const { immediate, job } = await prepareTranslation(text, options.lang);
+    if (!job) {
+      return { immediate, async: null };
+    }
+
+    // 流式响应时，每个词汇输出完成即通过 onPartial 交给调用方应用
+    const onItem = options.onPartial && ((item) => {
+      const result = takeStreamedItem(job, item);
+      if (result) options.onPartial([result]);
+    });
+
+    // 异步调用 API，处理未缓存的词汇（不阻塞立即返回）
+    const asyncPromise = (async () => {
+      try {
+        const allResults = await requestSegmentTranslation(job, options.priority, onItem);
 
-        // 合并结果：补充的缓存结果 + API结果
-        // 限制异步替换数量（如果缓存已满足配置或文本极少，最多只替换1个词）
-        const mergedResults = [...cachedResults, ...filteredCorrectedResults];
-        return mergedResults.slice(0, maxAsyncReplacements);
+        // 先缓存所有词汇（包括所有难度级别），供不同难度设置的用户使用
+        await cacheTranslationResults(allResults, job.sourceLang, job.targetLang, job.text);
 
+        return finalizeTranslation(job, allResults);
       } catch (error) {
-        console.error('[VocabMeld] Async API Error:', error);
+        if (!isAbortError(error)) {
+          console.error('[VocabMeld] Async API Error:', error);
+          notifyRequestError(error);
+        }
         // API失败时返回空数组，不影响已显示的缓存结果
         return [];
       }
     })();
 
-    return { immediate: immediateResults, async: asyncPromise };
+    return { immediate, async: asyncPromise };
+  }
+
+  // ============ 批量请求 ============
+  // 粗略估算 token 数：中日韩文字约每字 1 token，其余约每 4 个字符 1 token
+  function estimateTokens(text) {
+    const cjkCount = (text.match(/[\u3040-\u30ff\u4e00-\u9fff\uac00-\ud7af]/g) || []).length;
+    return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+  }
+
+  // 按翻译方向分组，并在 token 预算内把多个段落打包为一个请求
+  // entries: [{ segment, job }]，返回 [[{ segment, job, id }]]
+  function packBatches(entries, tokenBudget) {
+    const groups = new Map();
+    for (const entry of entries) {
+      const direction = `${entry.job.sourceLang}:${entry.job.targetLang}`;
+      if (!groups.has(direction)) groups.set(direction, []);
+      groups.get(direction).push(entry);
+    }
+
+    const batches = [];
+    for (const group of groups.values()) {
+      let current = [];
+      let currentTokens = 0;
+      for (const entry of group) {
+        const tokens = estimateTokens(entry.job.filteredText);
+        // 单个段落超出预算时单独成批
+        if (current.length > 0 && currentTokens + tokens > tokenBudget) {
+          batches.push(current);
+          current = [];
+          currentTokens = 0;
+        }
+        current.push({ ...entry, id: `s${current.length + 1}` });
+        currentTokens += tokens;
+      }
+      if (current.length > 0) batches.push(current);
+    }
+    return batches;
+  }
+
+  // 解析词汇所属的段落编号（兼容 "[s1]"、" s1 " 等写法）
+  function getSegmentId(item) {
+    return String(item?.segment || '').replace(/[\[\]\s]/g, '');
+  }
+
+  // 请求 AI 一次处理多个段落，返回 Map<段落编号, 该段落的词汇数组>
+  // onItem(item, id) 在流式响应时逐项回调
+  async function requestBatchTranslation(batch, priority, onItem) {
+    const { sourceLang, targetLang } = batch[0].job;
+    const segmentsText = batch
+      .map(({ job, id }) => `[${id}]（约 ${job.aiTargetCount} 个词汇，不超过 ${job.maxReplacements * 2} 个）\n${job.filteredText}`)
+      .join('\n\n');
+
+    const data = await requestLlm(withResultSchema({
+      prompt: {
+        kind: 'batch',
+        language: config.targetLanguage,
+        variables: { sourceLang, targetLang, count: batch.length, level: config.difficultyLevel, text: segmentsText }
+      },
+      temperature: 0.3,
+      maxTokens: Math.min(8000, 1000 * batch.length + 1000)
+    }, true), priority, onItem && (item => onItem(item, getSegmentId(item))));
+
+    const grouped = new Map(batch.map(({ id }) => [id, []]));
+    const rejected = {};
+    for (const item of parseJsonArray(data.content || '[]')) {
+      const id = getSegmentId(item);
+      if (grouped.has(id)) {
+        grouped.get(id).push(item);
+      } else {
+        rejected.unknownSegment = (rejected.unknownSegment || 0) + 1;
+      }
+    }
+
+    // 按各自段落文本校验
+    const resultsById = new Map();
+    for (const { job, id } of batch) {
+      const result = validateAiResults(grouped.get(id), job.filteredText);
+      resultsById.set(id, withSource(result.items, data));
+      for (const [reason, count] of Object.entries(result.rejected)) {
+        rejected[reason] = (rejected[reason] || 0) + count;
+      }
+    }
+    recordRejections(rejected);
+    return resultsById;
   }
 
   // ============ 特定单词处理 ============
@@ -919,27 +1535,13 @@ ${filteredText}
       return [];
     }
 
-    const detectedLang = detectLanguage(targetWords.join(' '));
-    const isNative = isNativeLanguage(detectedLang, config.nativeLanguage);
+    const detectedLang = detectLanguage(targetWords.join(' '), getDeclaredLanguage(document.documentElement));
+    const isNative = isSameLanguage(detectedLang, config.nativeLanguage);
     const sourceLang = isNative ? config.nativeLanguage : detectedLang;
     const targetLang = isNative ? config.targetLanguage : config.nativeLanguage;
 
-    const uncached = [];
-    const cached = [];
-
     // 检查缓存（复用统一流程）
-    for (const word of targetWords) {
-      const key = `${word.toLowerCase()}:${sourceLang}:${targetLang}`;
-      if (wordCache.has(key)) {
-        // LRU: 访问时移到末尾（通过删除再添加实现）
-        const cachedItem = wordCache.get(key);
-        wordCache.delete(key);
-        wordCache.set(key, cachedItem);
-        cached.push({ word, ...cachedItem });
-      } else {
-        uncached.push(word);
-      }
-    }
+    const { cached, uncached } = await checkCachedWords(targetWords, sourceLang, targetLang);
 
     let allResults = cached.map(c => ({
       original: c.word,
@@ -951,102 +1553,19 @@ ${filteredText}
     // 如果有未缓存的单词，调用API
     if (uncached.length > 0) {
       try {
-        const prompt = `你是一个语言学习助手。请翻译以下特定词汇。
-
-## 规则：
-1. 必须翻译所有提供的词汇，不要跳过任何词
-2. 如果单词是${sourceLang}，则翻译到${targetLang}，反之亦然
-
-## CEFR等级从简单到复杂依次为：A1-C2
-
-## 输出格式：
-返回 JSON 数组，每个元素包含：
-- original: 原词
-- translation: 翻译结果
-- phonetic: 学习语言(${config.targetLanguage})的音标/发音
-- difficulty: CEFR 难度等级 (A1/A2/B1/B2/C1/C2)
-
-## 要翻译的词汇：
-${uncached.join(', ')}
-
-## 输出：
-只返回 JSON 数组，不要其他内容。`;
-
-        const apiResponse = await new Promise((resolve, reject) => {
-          chrome.runtime.sendMessage({
-            action: 'apiRequest',
-            endpoint: config.apiEndpoint,
-            apiKey: config.apiKey,
-            body: {
-              model: config.modelName,
-              messages: [
-                { role: 'system', content: '你是一个专业的语言学习助手。始终返回有效的 JSON 格式。' },
-                { role: 'user', content: prompt }
-              ],
-              temperature: 0.3,
-              max_tokens: 1000
-            }
-          }, response => {
-            if (chrome.runtime.lastError) {
-              reject(new Error(chrome.runtime.lastError.message));
-            } else if (!response?.success) {
-              reject(new Error(response?.error || 'API request failed'));
-            } else {
-              resolve(response.data);
-            }
-          });
-        });
-
-        const data = apiResponse;
-        const content = data.choices?.[0]?.message?.content || '[]';
-
-        let apiResults = [];
-        try {
-          apiResults = JSON.parse(content);
-          if (!Array.isArray(apiResults)) {
-            const jsonMatch = content.match(/\[[\s\S]*\]/);
-            if (jsonMatch) apiResults = JSON.parse(jsonMatch[0]);
-          }
-        } catch (e) {
-          const jsonMatch = content.match(/\[[\s\S]*\]/);
-          if (jsonMatch) apiResults = JSON.parse(jsonMatch[0]);
-        }
+        const data = await sendApiRequest(withResultSchema({
+          prompt: {
+            kind: 'specificWords',
+            language: config.targetLanguage,
+            variables: { sourceLang, targetLang, count: uncached.length, text: uncached.join(', ') }
+          },
+          temperature: 0.3,
+          maxTokens: 1000
+        }), 'visible');
+        const apiResults = withSource(parseAndValidate(data.content || '[]', uncached.join('\n')), data);
 
         // 缓存结果（复用统一流程，实现LRU淘汰）
-        // 过滤掉2字以下的中文词汇和小于5个字符的英文单词（避免简单词影响语境）
-        for (const item of apiResults) {
-          // 对于中文，不存储1个字的内容（即只存储2个字及以上的词汇）
-          const isChinese = /[\u4e00-\u9fff]/.test(item.original);
-          if (isChinese && item.original.length < 2) {
-            continue; // 跳过1个字的中文词汇（只存储2个字及以上的）
-          }
-          // 对于英文，不存储小于5个字符的单词
-          const isEnglish = /^[a-zA-Z]+$/.test(item.original);
-          if (isEnglish && item.original.length < 5) {
-            continue; // 跳过小于5个字符的英文单词
-          }
-          
-          const key = `${item.original.toLowerCase()}:${sourceLang}:${targetLang}`;
-          // 如果已存在，先删除（LRU）
-          if (wordCache.has(key)) {
-            wordCache.delete(key);
-          }
-          
-          // 如果达到上限，删除最早的项
-          while (wordCache.size >= (config?.cacheMaxSize || DEFAULT_CACHE_MAX_SIZE)) {
-            const firstKey = wordCache.keys().next().value;
-            wordCache.delete(firstKey);
-          }
-          
-          // 添加新项
-          wordCache.set(key, {
-            translation: item.translation,
-            phonetic: item.phonetic || '',
-            difficulty: item.difficulty || 'B1'
-          });
-        }
-        // 确保缓存保存完成
-        await saveWordCache();
+        await cacheTranslationResults(apiResults, sourceLang, targetLang);
 
         allResults = [...allResults, ...apiResults];
 
@@ -1054,12 +1573,16 @@ ${uncached.join(', ')}
         updateStats({ newWords: apiResults.length, cacheHits: cached.length, cacheMisses: 1 });
 
       } catch (error) {
-        console.error('[VocabMeld] API Error for specific words:', error);
+        if (!isAbortError(error)) {
+          console.error('[VocabMeld] API Error for specific words:', error);
+          notifyRequestError(error);
+        }
         // 如果API失败，至少返回缓存的结果
       }
     }
 
-    return allResults.filter(item => targetWords.some(w => w.toLowerCase() === item.original.toLowerCase()));
+    const targetLemmas = new Set(targetWords.map(w => toLemma(w)));
+    return allResults.filter(item => targetLemmas.has(toLemma(item.original)));
   }
 
   async function processSpecificWords(targetWords) {
@@ -1067,15 +1590,17 @@ ${uncached.join(', ')}
       return 0;
     }
 
-    const targetWordSet = new Set(targetWords.map(w => w.toLowerCase()));
+    // 按词元匹配，页面上的变形（如 running 之于 run）同样算作目标单词
+    const targetWordSet = new Set(targetWords.map(w => toLemma(w)));
+    const targetPhrases = targetWords.filter(isPhrase);
     let processed = 0;
 
     // 首先检查已翻译的元素，看是否有目标单词已经被翻译了
     const alreadyTranslated = [];
     document.querySelectorAll('.vocabmeld-translated').forEach(el => {
       const original = el.getAttribute('data-original');
-      if (original && targetWordSet.has(original.toLowerCase())) {
-        alreadyTranslated.push(original.toLowerCase());
+      if (original && targetWordSet.has(toLemma(original))) {
+        alreadyTranslated.push(toLemma(original));
       }
     });
 
@@ -1121,15 +1646,18 @@ ${uncached.join(', ')}
     while (node = walker.nextNode()) {
       const text = node.textContent;
       // 检查文本节点是否包含目标单词（作为完整单词）
-      const words = text.match(/\b[a-zA-Z]{5,}\b/g) || [];
-      const chineseWords = text.match(/[\u4e00-\u9fff]{2,4}/g) || [];
-      const allWords = [...words, ...chineseWords];
+      const words = extractAlphabeticWords(text);
+      const cjkWords = extractCjkWords(text);
+      const allWords = [...words, ...cjkWords];
 
       // 检查是否包含目标单词（且该单词还没有被翻译）
       const containsTarget = allWords.some(word => {
-        const lowerWord = word.toLowerCase();
-        return targetWordSet.has(lowerWord) && !alreadyTranslated.includes(lowerWord);
-      });
+        const lemma = toLemma(word);
+        return targetWordSet.has(lemma) && !alreadyTranslated.includes(lemma);
+      }) || targetPhrases.some(phrase => (
+        // 短语可能被行内标签分开，在父元素的文本中查找
+        !alreadyTranslated.includes(toLemma(phrase)) && findInflectedForm(node.parentElement.textContent, phrase)
+      ));
 
       if (containsTarget) {
         textNodes.push(node);
@@ -1213,7 +1741,7 @@ ${uncached.join(', ')}
   }
 
   // ============ 页面处理 ============
-  const MAX_CONCURRENT = 3; // 最大并发请求数
+  const MAX_CONCURRENT = 3; // 每批并行处理的段落数（API 并发与限流由 background 队列统一控制）
   const PROCESS_DELAY_MS = 50; // 批次间延迟，避免阻塞主线程
 
   // 使用 IntersectionObserver 实现懒加载
@@ -1243,7 +1771,7 @@ ${uncached.join(', ')}
       }
 
       // 有新可见容器时，触发处理
-      if (hasNewVisible && config?.enabled && !isProcessing) {
+      if (hasNewVisible && config?.enabled && !isProcessing && canAutoProcess()) {
         processPendingContainers();
       }
     }, {
@@ -1254,7 +1782,7 @@ ${uncached.join(', ')}
 
   // 处理待处理的可见容器
   const processPendingContainers = debounce(async () => {
-    if (isProcessing || pendingContainers.size === 0) return;
+    if (isProcessing || pendingContainers.size === 0 || !canAutoProcess()) return;
     
     isProcessing = true;
     
@@ -1267,7 +1795,7 @@ ${uncached.join(', ')}
       
       // 收集需要处理的段落
       const segments = [];
-      const whitelistWords = new Set((config.learnedWords || []).map(w => w.original.toLowerCase()));
+      const whitelistWords = getLearnedLemmas();
       
       for (const container of containers) {
         // 移除观察标记
@@ -1283,18 +1811,22 @@ ${uncached.join(', ')}
         const fingerprint = generateFingerprint(text, path);
         if (processedFingerprints.has(fingerprint)) continue;
         
-        // 过滤白名单词汇
-        let filteredText = text;
-        for (const word of whitelistWords) {
-          const regex = new RegExp(`\\b${word}\\b`, 'gi');
-          filteredText = filteredText.replace(regex, '');
-        }
+        // 过滤白名单词汇（按词元匹配，已学会的词的各种变形一并去掉）
+        const filteredText = whitelistWords.size > 0
+          ? text.replace(/\p{L}+/gu, word => whitelistWords.has(toLemma(word)) ? '' : word)
+          : text;
         
         if (filteredText.trim().length >= 30) {
           segments.push({ element: container, text: text.slice(0, 2000), filteredText, fingerprint, path });
         }
       }
 
+      // 批量模式：多个段落合并为少量请求
+      if (config.batchMode) {
+        await processSegmentsBatched(segments, whitelistWords);
+        return;
+      }
+
       // 分批处理
       for (let i = 0; i < segments.length; i += MAX_CONCURRENT) {
         const batch = segments.slice(i, i + MAX_CONCURRENT);
@@ -1318,34 +1850,20 @@ ${uncached.join(', ')}
   // 异步处理单个段落
   async function processSegmentAsync(segment, whitelistWords) {
     try {
-      const result = await translateText(segment.filteredText);
+      const priority = isInViewport(segment.element, 0) ? 'visible' : 'prefetch';
+      const result = await translateText(segment.filteredText, {
+        priority,
+        lang: getDeclaredLanguage(segment.element),
+        onPartial: replacements => applyAsyncReplacements(segment, replacements, whitelistWords)
+      });
       
       // 先应用缓存结果
-      if (result.immediate?.length) {
-        const filtered = result.immediate.filter(r => !whitelistWords.has(r.original.toLowerCase()));
-        applyReplacements(segment.element, filtered);
-        processedFingerprints.add(segment.fingerprint);
-      }
+      applyImmediateReplacements(segment, result.immediate, whitelistWords);
       
       // 异步结果
       if (result.async) {
         result.async.then(asyncReplacements => {
-          if (asyncReplacements?.length) {
-            const alreadyReplaced = new Set();
-            segment.element.querySelectorAll('.vocabmeld-translated').forEach(el => {
-              const original = el.getAttribute('data-original');
-              if (original) alreadyReplaced.add(original.toLowerCase());
-            });
-            
-            const filtered = asyncReplacements.filter(r => 
-              !whitelistWords.has(r.original.toLowerCase()) &&
-              !alreadyReplaced.has(r.original.toLowerCase())
-            );
-            
-            if (filtered.length > 0) {
-              applyReplacements(segment.element, filtered);
-            }
-          }
+          applyAsyncReplacements(segment, asyncReplacements, whitelistWords);
         }).catch(error => {
           console.error('[VocabMeld] Async translation error:', error);
         });
@@ -1355,6 +1873,82 @@ ${uncached.join(', ')}
     }
   }
 
+  // 批量处理多个段落：缓存结果立即应用，未命中的段落按 token 预算合并为少量请求
+  async function processSegmentsBatched(segments, whitelistWords) {
+    const entries = [];
+    for (const segment of segments) {
+      try {
+        const { immediate, job } = await prepareTranslation(segment.filteredText, getDeclaredLanguage(segment.element));
+        applyImmediateReplacements(segment, immediate, whitelistWords);
+        if (job) entries.push({ segment, job });
+      } catch (e) {
+        console.error('[VocabMeld] Segment error:', e);
+      }
+    }
+    if (entries.length === 0) return;
+
+    const batches = packBatches(entries, config.batchTokenBudget || DEFAULT_BATCH_TOKEN_BUDGET);
+    await Promise.all(batches.map(async (batch) => {
+      const priority = batch.some(({ segment }) => isInViewport(segment.element, 0)) ? 'visible' : 'prefetch';
+      try {
+        const resultsById = await requestBatchTranslation(batch, priority, (item, id) => {
+          const entry = batch.find(e => e.id === id);
+          const result = entry && takeStreamedItem(entry.job, item);
+          if (result) applyAsyncReplacements(entry.segment, [result], whitelistWords);
+        });
+
+        await Promise.all(batch.map(({ job, id }) => (
+          cacheTranslationResults(resultsById.get(id), job.sourceLang, job.targetLang, job.text)
+        )));
+
+        for (const { segment, job, id } of batch) {
+          applyAsyncReplacements(segment, finalizeTranslation(job, resultsById.get(id)), whitelistWords);
+        }
+      } catch (error) {
+        if (!isAbortError(error)) {
+          console.error('[VocabMeld] Batch API Error:', error);
+          notifyRequestError(error);
+        }
+      }
+    }));
+  }
+
+  // 应用缓存命中的替换
+  // 替换范围为整个页面时，其他段落中已选中的词在本段出现的也一并替换（不占本段的替换强度）
+  function applyImmediateReplacements(segment, immediate, whitelistWords) {
+    // 记下段落，之后其他段落选中的词也在这里替换（包括本段一个词都没有替换的情况）
+    if (config.replaceOccurrences === 'page') pageSegments.add(segment.element);
+    const lemmas = new Set((immediate || []).map(r => toLemma(r.original)));
+    const pageExtras = config.replaceOccurrences === 'page'
+      ? [...pageWords.values()].filter(r => !lemmas.has(toLemma(r.original)) && findInflectedForm(segment.element.textContent, r.original))
+      : [];
+    if (!immediate?.length && pageExtras.length === 0) return;
+    const notLearned = r => !whitelistWords.has(toLemma(r.original));
+    applyReplacements(segment.element, (immediate || []).filter(notLearned));
+    applyReplacements(segment.element, pageExtras.filter(notLearned), true);
+    processedFingerprints.add(segment.fingerprint);
+  }
+
+  // 应用 AI 返回的替换，跳过段落中已替换的词汇
+  function applyAsyncReplacements(segment, asyncReplacements, whitelistWords) {
+    if (!asyncReplacements?.length) return;
+
+    const alreadyReplaced = new Set();
+    segment.element.querySelectorAll('.vocabmeld-translated').forEach(el => {
+      const original = el.getAttribute('data-original');
+      if (original) alreadyReplaced.add(toLemma(original));
+    });
+    
+    const filtered = asyncReplacements.filter(r => 
+      !whitelistWords.has(toLemma(r.original)) &&
+      !alreadyReplaced.has(toLemma(r.original))
+    );
+    
+    if (filtered.length > 0) {
+      applyReplacements(segment.element, filtered);
+    }
+  }
+
   // 检查元素是否在视口内
   function isInViewport(element, margin = 500) {
     const rect = element.getBoundingClientRect();
@@ -1410,11 +2004,6 @@ ${uncached.join(', ')}
       }
     }
 
-    // 确保缓存已加载
-    if (wordCache.size === 0) {
-      await loadWordCache();
-    }
-
     // 处理记忆列表中的单词
     const memorizeWords = (config.memorizeList || []).map(w => w.word).filter(w => w && w.trim());
     if (memorizeWords.length > 0) {
@@ -1448,23 +2037,27 @@ ${uncached.join(', ')}
     
     // 检查是否已在记忆列表中
     const isInMemorizeList = (config.memorizeList || []).some(w => 
-      w.word.toLowerCase() === original.toLowerCase()
+      toLemma(w.word) === toLemma(original)
     );
 
+    // 译文、音标和原文来自模型和页面，插入前转义
+    const [originalHtml, translationHtml, phoneticHtml, difficultyHtml] = [original, translation, phonetic, difficulty]
+      .map(value => escapeHtml(value || ''));
+
     tooltip.innerHTML = `
       <div class="vocabmeld-tooltip-header">
-        <span class="vocabmeld-tooltip-word">${translation}</span>
-        <span class="vocabmeld-tooltip-badge">${difficulty}</span>
+        <span class="vocabmeld-tooltip-word" dir="${textDirection(translation) || 'auto'}">${translationHtml}</span>
+        <span class="vocabmeld-tooltip-badge">${difficultyHtml}</span>
       </div>
-      ${phonetic && config.showPhonetic ? `<div class="vocabmeld-tooltip-phonetic">${phonetic}</div>` : ''}
-      <div class="vocabmeld-tooltip-original">原文: ${original}</div>
+      ${phonetic && config.showPhonetic ? `<div class="vocabmeld-tooltip-phonetic"><bdi>${phoneticHtml}</bdi></div>` : ''}
+      <div class="vocabmeld-tooltip-original"><bdi>原文:</bdi> <bdi>${originalHtml}</bdi></div>
       <div class="vocabmeld-tooltip-actions">
-        <button class="vocabmeld-tooltip-btn vocabmeld-btn-speak" data-original="${original}" data-translation="${translation}" title="发音">
+        <button class="vocabmeld-tooltip-btn vocabmeld-btn-speak" data-original="${originalHtml}" data-translation="${translationHtml}" title="发音">
           <svg viewBox="0 0 24 24" width="16" height="16">
             <path fill="currentColor" d="M14,3.23V5.29C16.89,6.15 19,8.83 19,12C19,15.17 16.89,17.84 14,18.7V20.77C18,19.86 21,16.28 21,12C21,7.72 18,4.14 14,3.23M16.5,12C16.5,10.23 15.5,8.71 14,7.97V16C15.5,15.29 16.5,13.76 16.5,12M3,9V15H7L12,20V4L7,9H3Z"/>
           </svg>
         </button>
-        <button class="vocabmeld-tooltip-btn vocabmeld-btn-memorize ${isInMemorizeList ? 'active' : ''}" data-original="${original}" title="${isInMemorizeList ? '已在记忆列表' : '添加到记忆列表'}">
+        <button class="vocabmeld-tooltip-btn vocabmeld-btn-memorize ${isInMemorizeList ? 'active' : ''}" data-original="${originalHtml}" title="${isInMemorizeList ? '已在记忆列表' : '添加到记忆列表'}">
           <svg viewBox="0 0 24 24" width="16" height="16">
             ${isInMemorizeList 
               ? '<path fill="currentColor" d="M12,21.35L10.55,20.03C5.4,15.36 2,12.27 2,8.5C2,5.41 4.42,3 7.5,3C9.24,3 10.91,3.81 12,5.08C13.09,3.81 14.76,3 16.5,3C19.58,3 22,5.41 22,8.5C22,12.27 18.6,15.36 13.45,20.03L12,21.35Z"/>'
@@ -1472,7 +2065,7 @@ ${uncached.join(', ')}
             }
           </svg>
         </button>
-        <button class="vocabmeld-tooltip-btn vocabmeld-btn-learned" data-original="${original}" data-translation="${translation}" data-difficulty="${difficulty}" title="标记已学会">
+        <button class="vocabmeld-tooltip-btn vocabmeld-btn-learned" data-original="${originalHtml}" data-translation="${translationHtml}" data-difficulty="${difficultyHtml}" title="标记已学会">
           <svg viewBox="0 0 24 24" width="16" height="16">
             <path fill="currentColor" d="M21,7L9,19L3.5,13.5L4.91,12.09L9,16.17L19.59,5.59L21,7Z"/>
           </svg>
@@ -1480,10 +2073,16 @@ ${uncached.join(', ')}
       </div>
     `;
 
+    // 从右到左的段落中提示框随之镜像：内容右对齐，与词的右边缘对齐，并保持在视口内
+    const direction = element.dir === 'rtl' ? 'rtl' : 'ltr';
+    tooltip.dir = direction;
+    tooltip.style.display = 'block';
+
     const rect = element.getBoundingClientRect();
-    tooltip.style.left = rect.left + window.scrollX + 'px';
+    const maxLeft = document.documentElement.clientWidth - tooltip.offsetWidth - 8;
+    const left = Math.max(8, Math.min(direction === 'rtl' ? rect.right - tooltip.offsetWidth : rect.left, maxLeft));
+    tooltip.style.left = left + window.scrollX + 'px';
     tooltip.style.top = rect.bottom + window.scrollY + 5 + 'px';
-    tooltip.style.display = 'block';
   }
 
   function hideTooltip(immediate = false) {
@@ -1582,18 +2181,11 @@ ${uncached.join(', ')}
         const translation = speakBtn.getAttribute('data-translation');
         
         // 检测 original 是否是目标语言
-        const originalLang = detectLanguage(original);
-        const isOriginalTargetLang = (originalLang === 'en' && config.targetLanguage === 'en') ||
-                                     (originalLang === 'zh' && (config.targetLanguage === 'zh-CN' || config.targetLanguage === 'zh-TW')) ||
-                                     (originalLang === 'ja' && config.targetLanguage === 'ja') ||
-                                     (originalLang === 'ko' && config.targetLanguage === 'ko');
+        const originalLang = detectLanguage(original, config.targetLanguage);
+        const isOriginalTargetLang = isSameLanguage(originalLang, config.targetLanguage);
         
         const word = isOriginalTargetLang ? original : translation;
-        const lang = config.targetLanguage === 'en' ? 'en-US' : 
-                     config.targetLanguage === 'zh-CN' ? 'zh-CN' :
-                     config.targetLanguage === 'zh-TW' ? 'zh-TW' :
-                     config.targetLanguage === 'ja' ? 'ja-JP' :
-                     config.targetLanguage === 'ko' ? 'ko-KR' : 'en-US';
+        const lang = VocabMeldLanguages.getTtsLocale(config.targetLanguage);
         
         chrome.runtime.sendMessage({ action: 'speak', text: word, lang });
         return;
@@ -1667,15 +2259,18 @@ ${uncached.join(', ')}
 
     // 滚动处理（懒加载）- 使用 IntersectionObserver 时，滚动时重新观察新容器
     const handleScroll = debounce(() => {
-      if (config?.autoProcess && config?.enabled) {
+      if (config?.autoProcess && config?.enabled && canAutoProcess()) {
         observeTextContainers();
       }
     }, 300);
     window.addEventListener('scroll', handleScroll, { passive: true });
 
+    // 离开页面（导航、刷新）时中止本页的请求
+    window.addEventListener('pagehide', cancelPendingRequests);
+
     // 监听 DOM 变化，观察新增的文本容器
     const mutationObserver = new MutationObserver(debounce(() => {
-      if (config?.autoProcess && config?.enabled) {
+      if (config?.autoProcess && config?.enabled && canAutoProcess()) {
         observeTextContainers();
       }
     }, 500));
@@ -1696,8 +2291,12 @@ ${uncached.join(', ')}
           if (changes.theme) {
             updateUITheme();
           }
-          // 难度、强度、样式或处理模式变化时，需要重新处理页面
-          if (changes.difficultyLevel || changes.intensity || changes.translationStyle || changes.processMode) {
+          // 预算调整后重新判断是否可以自动处理
+          if (changes.monthlyBudget) {
+            refreshBudgetStatus();
+          }
+          // 难度、强度、替换范围、样式或处理模式变化时，需要重新处理页面
+          if (changes.difficultyLevel || changes.intensity || changes.replaceOccurrences || changes.translationStyle || changes.processMode) {
             restoreAll(); // 先恢复页面（会清除 processedFingerprints）
             if (config.enabled) {
               processPage(); // 重新处理
@@ -1727,6 +2326,8 @@ ${uncached.join(', ')}
     // 监听来自 popup 或 background 的消息
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (message.action === 'processPage') {
+        // 用户手动触发，超出预算时也处理本页
+        budgetOverride = true;
         processPage().then(sendResponse);
         return true;
       }
@@ -1761,7 +2362,6 @@ ${uncached.join(', ')}
   // ============ 初始化 ============
   async function init() {
     await loadConfig();
-    await loadWordCache();
 
     
     createTooltip();
@@ -1772,8 +2372,8 @@ ${uncached.join(', ')}
     
     setupEventListeners();
     
-    // 自动处理 - 使用 IntersectionObserver 懒加载
-    if (config.autoProcess && config.enabled && config.apiEndpoint) {
+    // 自动处理 - 使用 IntersectionObserver 懒加载（本月花费达到预算时暂停）
+    if (config.autoProcess && config.enabled && config.apiEndpoint && !(await refreshBudgetStatus())) {
       // 延迟启动，等待页面渲染完成
       setTimeout(() => {
         // 先处理记忆列表中的单词
@@ -3,6 +3,9 @@
  * 管理所有配置项和默认值
  */
 
+import '../languages.js';
+import '../providers.js';
+
 // CEFR 难度等级
 export const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
 
@@ -13,59 +16,20 @@ export const INTENSITY_CONFIG = {
   high: { maxPerParagraph: 14, label: '较多' }
 };
 
-// 支持的语言
+// 支持的语言（来自语言表，母语和学习语言可选范围相同）
+const LANGUAGE_OPTIONS = globalThis.VocabMeldLanguages.LANGUAGES.map(({ code, name }) => ({ code, name }));
 export const SUPPORTED_LANGUAGES = {
-  native: [
-    { code: 'zh-CN', name: '简体中文' },
-    { code: 'zh-TW', name: '繁体中文' },
-    { code: 'en', name: 'English' },
-    { code: 'ja', name: '日本語' },
-    { code: 'ko', name: '한국어' }
-  ],
-  target: [
-    { code: 'en', name: 'English' },
-    { code: 'zh-CN', name: '简体中文' },
-    { code: 'zh-TW', name: '繁体中文' },
-    { code: 'ja', name: '日本語' },
-    { code: 'ko', name: '한국어' },
-    { code: 'fr', name: 'Français' },
-    { code: 'de', name: 'Deutsch' },
-    { code: 'es', name: 'Español' }
-  ]
+  native: LANGUAGE_OPTIONS,
+  target: LANGUAGE_OPTIONS
 };
 
-// API 预设配置
-export const API_PRESETS = {
-  openai: {
-    name: 'OpenAI',
-    endpoint: 'https://api.openai.com/v1/chat/completions',
-    model: 'gpt-4o-mini'
-  },
-  deepseek: {
-    name: 'DeepSeek',
-    endpoint: 'https://api.deepseek.com/chat/completions',
-    model: 'deepseek-chat'
-  },
-  moonshot: {
-    name: 'Moonshot',
-    endpoint: 'https://api.moonshot.cn/v1/chat/completions',
-    model: 'moonshot-v1-8k'
-  },
-  groq: {
-    name: 'Groq',
-    endpoint: 'https://api.groq.com/openai/v1/chat/completions',
-    model: 'llama-3.1-8b-instant'
-  },
-  ollama: {
-    name: 'Ollama (本地)',
-    endpoint: 'http://localhost:11434/v1/chat/completions',
-    model: 'qwen2.5:7b'
-  }
-};
+// API 预设配置（来自 providers.js 中的协议表）
+export const API_PRESETS = globalThis.VocabMeldProviders.PRESETS;
 
 // 默认配置
 export const DEFAULT_CONFIG = {
   // API 配置
+  apiProvider: API_PRESETS.deepseek.provider,
   apiEndpoint: API_PRESETS.deepseek.endpoint,
   apiKey: '',
   modelName: API_PRESETS.deepseek.model,
@@ -75,6 +39,7 @@ export const DEFAULT_CONFIG = {
   targetLanguage: 'en',
   difficultyLevel: 'B1',
   intensity: 'medium',
+  replaceOccurrences: 'first',
   
   // 行为设置
   autoProcess: false,
@@ -137,8 +102,6 @@ export function isDifficultyCompatible(wordDifficulty, userDifficulty) {
  * @returns {string}
  */
 export function getLanguageName(code) {
-  const all = [...SUPPORTED_LANGUAGES.native, ...SUPPORTED_LANGUAGES.target];
-  const lang = all.find(l => l.code === code);
-  return lang ? lang.name : code;
+  return globalThis.VocabMeldLanguages.getLanguageName(code);
 }
 
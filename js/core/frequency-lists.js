@@ -0,0 +1,85 @@
+/**
+ * VocabMeld 内置高频词表
+ * 缓存预热使用，大致按常用程度从高到低排列，均为原形
+ */
+
+const ENGLISH = `
+about other which their there would these people could first after think where being
+those never under while should still world great between through every little thing
+house right place again point small found while large often something young number water
+before different country follow change children animal mother father always under story
+without together important until example school family group problem start begin really
+government company system program question during night money student service power
+state information friend month study increase provide include continue member possible
+result reason early office already health level process order local report public course
+woman others person community history party business although member position
+however center parent whether perhaps market social political economic nation across
+interest experience develop policy evidence record research figure support believe
+reduce produce remember consider appear suggest create return receive value product
+simple better cause price effect language education control period season region
+society record subject control energy nature common natural future quality simply
+medical physical central private single certain recent likely director activity computer
+industry security produce science public various mention village garden kitchen weather
+holiday library journey medicine answer message knowledge environment technology
+development opportunity decision describe imagine achieve analysis approach attitude
+benefit challenge character climate concern condition conference consequence contract
+culture customer damage danger degree demand design detail disease distance economy
+effort element employee engine equipment estimate event exchange expert factor feature
+finance function growth income influence injury insurance issue judge justice labour
+manager material measure method mind model movement network object option pattern
+payment percent performance planet pleasure pollution population pressure principle
+profit project property protect purpose quantity range relation relationship release
+require resource response revenue scale schedule section sector shape skill source
+species standard status strategy strength structure style success surface survey
+target theory traffic treatment trend trouble variety version victim vision volume
+wealth welfare witness worker author balance battle border budget campaign capital
+career chance choice circle citizen coast column comment content context corner
+council credit crime crisis critic debate defence device diet dinner doctor driver
+editor effect enemy error extent failure farmer field fight flight focus forest
+frame freedom fruit glass guest habit honour horse hotel image judge kingdom leader
+lesson limit lunch match meeting memory metal minute moment motor mountain music
+noise ocean owner paper peace phone picture plant player pocket poetry prison
+proof queen radio reader ratio river round scene screen sense shadow sheet shirt
+shock shoulder silver sister skill sleep smile solution sound speech speed spirit
+sport square stage station stone storm street stress sugar summer supply table
+teacher temperature theatre title tongue tooth tower track trade train truth uncle
+union unit valley vehicle voice wheel window winter youth
+`;
+
+const CHINESE = `
+我们 他们 自己 这个 什么 没有 一个 可以 时候 因为 所以 但是 如果 已经 现在 知道 问题 工作
+生活 国家 社会 发展 经济 政府 学生 学校 老师 朋友 家庭 孩子 父母 公司 市场 技术 科学 文化
+历史 教育 环境 健康 医院 医生 世界 城市 农村 地方 时间 今天 明天 昨天 早上 晚上 天气 季节
+语言 文字 知识 经验 能力 机会 关系 方法 结果 原因 目的 计划 决定 选择 希望 需要 喜欢 认为
+觉得 开始 结束 继续 发现 研究 讨论 解决 影响 提高 增加 减少 改变 准备 参加 组织 管理 服务
+活动 比赛 运动 音乐 电影 新闻 电话 电脑 网络 手机 信息 数据 系统 产品 价格 质量 消费 收入
+工资 银行 交通 汽车 飞机 火车 旅游 假期 周末 饭店 厨房 食物 水果 蔬菜 动物 植物 自然 资源
+能源 污染 保护 安全 危险 法律 政策 权利 责任 自由 和平 战争 军队 领导 群众 人民 民族 传统
+现代 未来 过去 重要 不同 简单 复杂 容易 困难 可能 必须 应该 特别 主要 基本 具体 实际 完全
+`;
+
+/**
+ * 拆分词表文本
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitWords(text) {
+  return [...new Set(text.split(/\s+/).filter(Boolean))];
+}
+
+// 语言代码 -> 词表
+export const FREQUENCY_LISTS = {
+  en: splitWords(ENGLISH),
+  'zh-CN': splitWords(CHINESE)
+};
+
+/**
+ * 获取某个语言的内置词表
+ * @param {string} language - 语言代码
+ * @returns {string[]}
+ */
+export function getFrequencyList(language) {
+  return FREQUENCY_LISTS[language] || FREQUENCY_LISTS[(language || '').split('-')[0]] || [];
+}
+
+export default FREQUENCY_LISTS;
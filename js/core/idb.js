@@ -0,0 +1,29 @@
+/**
+ * VocabMeld IndexedDB 工具
+ * 将 IDBRequest / IDBTransaction 包装为 Promise，供后台的词典和缓存存储使用
+ */
+
+/**
+ * 将 IDBRequest 包装为 Promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+export function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 等待事务完成
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+export function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,130 @@
+/**
+ * VocabMeld 离线模拟词表
+ * 离线模拟服务使用的中英双语词表，难度等级固定，便于演示和开发时得到可复现的结果
+ */
+
+// [英文, 中文, 英文音标, 汉语拼音, CEFR 等级]
+const ENTRIES = [
+  // A2
+  ['weather', '天气', '/ˈweðə(r)/', 'tiān qì', 'A2'],
+  ['holiday', '假期', '/ˈhɒlədeɪ/', 'jià qī', 'A2'],
+  ['library', '图书馆', '/ˈlaɪbrəri/', 'tú shū guǎn', 'A2'],
+  ['journey', '旅程', '/ˈdʒɜːni/', 'lǚ chéng', 'A2'],
+  ['market', '市场', '/ˈmɑːkɪt/', 'shì chǎng', 'A2'],
+  ['village', '村庄', '/ˈvɪlɪdʒ/', 'cūn zhuāng', 'A2'],
+  ['medicine', '药物', '/ˈmedsn/', 'yào wù', 'A2'],
+  ['kitchen', '厨房', '/ˈkɪtʃɪn/', 'chú fáng', 'A2'],
+  ['history', '历史', '/ˈhɪstri/', 'lì shǐ', 'A2'],
+  ['answer', '回答', '/ˈɑːnsə(r)/', 'huí dá', 'A2'],
+  ['country', '国家', '/ˈkʌntri/', 'guó jiā', 'A2'],
+  ['student', '学生', '/ˈstjuːdnt/', 'xué sheng', 'A2'],
+  ['problem', '问题', '/ˈprɒbləm/', 'wèn tí', 'A2'],
+  ['company', '公司', '/ˈkʌmpəni/', 'gōng sī', 'A2'],
+  ['message', '消息', '/ˈmesɪdʒ/', 'xiāo xi', 'A2'],
+
+  // B1
+  ['language', '语言', '/ˈlæŋɡwɪdʒ/', 'yǔ yán', 'B1'],
+  ['knowledge', '知识', '/ˈnɒlɪdʒ/', 'zhī shi', 'B1'],
+  ['experience', '经验', '/ɪkˈspɪəriəns/', 'jīng yàn', 'B1'],
+  ['environment', '环境', '/ɪnˈvaɪrənmənt/', 'huán jìng', 'B1'],
+  ['government', '政府', '/ˈɡʌvənmənt/', 'zhèng fǔ', 'B1'],
+  ['education', '教育', '/ˌedʒuˈkeɪʃn/', 'jiào yù', 'B1'],
+  ['technology', '技术', '/tekˈnɒlədʒi/', 'jì shù', 'B1'],
+  ['development', '发展', '/dɪˈveləpmənt/', 'fā zhǎn', 'B1'],
+  ['research', '研究', '/rɪˈsɜːtʃ/', 'yán jiū', 'B1'],
+  ['opportunity', '机会', '/ˌɒpəˈtjuːnəti/', 'jī huì', 'B1'],
+  ['important', '重要', '/ɪmˈpɔːtnt/', 'zhòng yào', 'B1'],
+  ['different', '不同', '/ˈdɪfrənt/', 'bù tóng', 'B1'],
+  ['possible', '可能', '/ˈpɒsəbl/', 'kě néng', 'B1'],
+  ['community', '社区', '/kəˈmjuːnəti/', 'shè qū', 'B1'],
+  ['decision', '决定', '/dɪˈsɪʒn/', 'jué dìng', 'B1'],
+  ['information', '信息', '/ˌɪnfəˈmeɪʃn/', 'xìn xī', 'B1'],
+  ['population', '人口', '/ˌpɒpjuˈleɪʃn/', 'rén kǒu', 'B1'],
+  ['industry', '工业', '/ˈɪndəstri/', 'gōng yè', 'B1'],
+  ['economy', '经济', '/ɪˈkɒnəmi/', 'jīng jì', 'B1'],
+  ['science', '科学', '/ˈsaɪəns/', 'kē xué', 'B1'],
+  ['culture', '文化', '/ˈkʌltʃə(r)/', 'wén huà', 'B1'],
+  ['society', '社会', '/səˈsaɪəti/', 'shè huì', 'B1'],
+  ['relationship', '关系', '/rɪˈleɪʃnʃɪp/', 'guān xi', 'B1'],
+  ['solution', '解决方案', '/səˈluːʃn/', 'jiě jué fāng àn', 'B1'],
+  ['method', '方法', '/ˈmeθəd/', 'fāng fǎ', 'B1'],
+  ['purpose', '目的', '/ˈpɜːpəs/', 'mù dì', 'B1'],
+  ['increase', '增加', '/ɪnˈkriːs/', 'zēng jiā', 'B1'],
+  ['improve', '改善', '/ɪmˈpruːv/', 'gǎi shàn', 'B1'],
+  ['protect', '保护', '/prəˈtekt/', 'bǎo hù', 'B1'],
+  ['influence', '影响', '/ˈɪnfluəns/', 'yǐng xiǎng', 'B1'],
+  ['advantage', '优势', '/ədˈvɑːntɪdʒ/', 'yōu shì', 'B1'],
+  ['challenge', '挑战', '/ˈtʃælɪndʒ/', 'tiǎo zhàn', 'B1'],
+  ['condition', '条件', '/kənˈdɪʃn/', 'tiáo jiàn', 'B1'],
+  ['security', '安全', '/sɪˈkjʊərəti/', 'ān quán', 'B1'],
+  ['network', '网络', '/ˈnetwɜːk/', 'wǎng luò', 'B1'],
+  ['software', '软件', '/ˈsɒftweə(r)/', 'ruǎn jiàn', 'B1'],
+  ['customer', '顾客', '/ˈkʌstəmə(r)/', 'gù kè', 'B1'],
+  ['product', '产品', '/ˈprɒdʌkt/', 'chǎn pǐn', 'B1'],
+  ['service', '服务', '/ˈsɜːvɪs/', 'fú wù', 'B1'],
+  ['article', '文章', '/ˈɑːtɪkl/', 'wén zhāng', 'B1'],
+
+  // B2
+  ['strategy', '战略', '/ˈstrætədʒi/', 'zhàn lüè', 'B2'],
+  ['analysis', '分析', '/əˈnæləsɪs/', 'fēn xī', 'B2'],
+  ['evidence', '证据', '/ˈevɪdəns/', 'zhèng jù', 'B2'],
+  ['significant', '显著', '/sɪɡˈnɪfɪkənt/', 'xiǎn zhù', 'B2'],
+  ['sustainable', '可持续', '/səˈsteɪnəbl/', 'kě chí xù', 'B2'],
+  ['infrastructure', '基础设施', '/ˈɪnfrəstrʌktʃə(r)/', 'jī chǔ shè shī', 'B2'],
+  ['investment', '投资', '/ɪnˈvestmənt/', 'tóu zī', 'B2'],
+  ['regulation', '监管', '/ˌreɡjuˈleɪʃn/', 'jiān guǎn', 'B2'],
+  ['efficiency', '效率', '/ɪˈfɪʃnsi/', 'xiào lǜ', 'B2'],
+  ['innovation', '创新', '/ˌɪnəˈveɪʃn/', 'chuàng xīn', 'B2'],
+  ['perspective', '视角', '/pəˈspektɪv/', 'shì jiǎo', 'B2'],
+  ['framework', '框架', '/ˈfreɪmwɜːk/', 'kuàng jià', 'B2'],
+  ['resource', '资源', '/rɪˈsɔːs/', 'zī yuán', 'B2'],
+  ['approach', '途径', '/əˈprəʊtʃ/', 'tú jìng', 'B2'],
+  ['consequence', '后果', '/ˈkɒnsɪkwəns/', 'hòu guǒ', 'B2'],
+  ['maintain', '维持', '/meɪnˈteɪn/', 'wéi chí', 'B2'],
+  ['establish', '建立', '/ɪˈstæblɪʃ/', 'jiàn lì', 'B2'],
+  ['negotiate', '谈判', '/nɪˈɡəʊʃieɪt/', 'tán pàn', 'B2'],
+  ['emphasize', '强调', '/ˈemfəsaɪz/', 'qiáng diào', 'B2'],
+  ['potential', '潜力', '/pəˈtenʃl/', 'qián lì', 'B2'],
+  ['priority', '优先事项', '/praɪˈɒrəti/', 'yōu xiān shì xiàng', 'B2'],
+  ['capacity', '容量', '/kəˈpæsəti/', 'róng liàng', 'B2'],
+  ['controversy', '争议', '/ˈkɒntrəvɜːsi/', 'zhēng yì', 'B2'],
+  ['currency', '货币', '/ˈkʌrənsi/', 'huò bì', 'B2'],
+  ['inflation', '通货膨胀', '/ɪnˈfleɪʃn/', 'tōng huò péng zhàng', 'B2'],
+  ['algorithm', '算法', '/ˈælɡərɪðəm/', 'suàn fǎ', 'B2'],
+  ['database', '数据库', '/ˈdeɪtəbeɪs/', 'shù jù kù', 'B2'],
+  ['privacy', '隐私', '/ˈprɪvəsi/', 'yǐn sī', 'B2'],
+  ['audience', '观众', '/ˈɔːdiəns/', 'guān zhòng', 'B2'],
+  ['campaign', '运动', '/kæmˈpeɪn/', 'yùn dòng', 'B2'],
+
+  // C1
+  ['unprecedented', '前所未有', '/ʌnˈpresɪdentɪd/', 'qián suǒ wèi yǒu', 'C1'],
+  ['comprehensive', '全面', '/ˌkɒmprɪˈhensɪv/', 'quán miàn', 'C1'],
+  ['legitimate', '合法', '/lɪˈdʒɪtɪmət/', 'hé fǎ', 'C1'],
+  ['implement', '实施', '/ˈɪmplɪment/', 'shí shī', 'C1'],
+  ['paradigm', '范式', '/ˈpærədaɪm/', 'fàn shì', 'C1'],
+  ['scrutiny', '审查', '/ˈskruːtəni/', 'shěn chá', 'C1'],
+  ['fluctuation', '波动', '/ˌflʌktʃuˈeɪʃn/', 'bō dòng', 'C1'],
+  ['incentive', '激励', '/ɪnˈsentɪv/', 'jī lì', 'C1'],
+  ['mitigate', '缓解', '/ˈmɪtɪɡeɪt/', 'huǎn jiě', 'C1'],
+  ['allocation', '分配', '/ˌæləˈkeɪʃn/', 'fēn pèi', 'C1'],
+  ['consensus', '共识', '/kənˈsensəs/', 'gòng shí', 'C1'],
+  ['discrepancy', '差异', '/dɪsˈkrepənsi/', 'chā yì', 'C1'],
+  ['autonomy', '自主权', '/ɔːˈtɒnəmi/', 'zì zhǔ quán', 'C1'],
+  ['inevitable', '不可避免', '/ɪnˈevɪtəbl/', 'bù kě bì miǎn', 'C1'],
+  ['jurisdiction', '管辖权', '/ˌdʒʊərɪsˈdɪkʃn/', 'guǎn xiá quán', 'C1'],
+
+  // C2
+  ['ubiquitous', '无处不在', '/juːˈbɪkwɪtəs/', 'wú chù bù zài', 'C2'],
+  ['meticulous', '一丝不苟', '/məˈtɪkjələs/', 'yì sī bù gǒu', 'C2'],
+  ['ephemeral', '短暂', '/ɪˈfemərəl/', 'duǎn zàn', 'C2'],
+  ['quintessential', '典型', '/ˌkwɪntɪˈsenʃl/', 'diǎn xíng', 'C2'],
+  ['exacerbate', '加剧', '/ɪɡˈzæsəbeɪt/', 'jiā jù', 'C2'],
+  ['juxtaposition', '并置', '/ˌdʒʌkstəpəˈzɪʃn/', 'bìng zhì', 'C2'],
+  ['idiosyncratic', '特异', '/ˌɪdiəsɪŋˈkrætɪk/', 'tè yì', 'C2'],
+  ['pragmatic', '务实', '/præɡˈmætɪk/', 'wù shí', 'C2']
+];
+
+// 词表条目：{ en, zh, ipa, pinyin, difficulty }
+export const MOCK_WORD_LIST = ENTRIES.map(([en, zh, ipa, pinyin, difficulty]) => ({ en, zh, ipa, pinyin, difficulty }));
+
+export default MOCK_WORD_LIST;
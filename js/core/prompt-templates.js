@@ -0,0 +1,211 @@
+/**
+ * VocabMeld 提示词模板模块
+ * 默认模板、按学习语言的附加要求，以及用户自定义模板的读取与渲染
+ */
+
+import '../languages.js';
+
+// 用户自定义模板存储键：{ [语言代码 | 'default']: { [模板类型]: string } }
+export const PROMPT_TEMPLATES_KEY = 'vocabmeld_prompt_templates';
+
+// 默认模板版本：修改默认模板时递增，缓存据此记录译文由哪一版提示词生成
+export const PROMPT_VERSION = 2;
+
+// 系统消息
+export const SYSTEM_PROMPT = '你是一个专业的语言学习助手。始终返回有效的 JSON 格式。';
+
+// 模板可用变量
+export const PROMPT_VARIABLES = {
+  sourceLang: '源语言代码',
+  targetLang: '翻译目标语言代码',
+  learningLang: '正在学习的语言代码（音标所用语言）',
+  count: '建议选择的词汇数（批量模板为段落数，指定词汇模板为词汇数）',
+  maxCount: '词汇数上限',
+  level: '用户设置的难度等级（A1-C2）',
+  text: '待分析的文本（批量模板为带编号的段落，指定词汇模板为词汇列表）',
+  languageNotes: '学习语言的附加要求（见下方预设）'
+};
+
+// 默认模板
+export const DEFAULT_PROMPT_TEMPLATES = {
+  // 单个段落：选词并翻译
+  segment: `你是一个语言学习助手。请分析以下文本，选择适合学习的词汇进行翻译。
+
+## 规则：
+1. 选择约 {{count}} 个词汇（实际返回数量可以根据文本内容灵活调整，但不要超过 {{maxCount}} 个）
+2. 不要翻译：域名、地址、缩写、人名、地名、产品名、数字、代码、URL、已经是目标语言的词
+3. 优先选择：有学习价值的词汇、不同难度级别的词汇
+4. 翻译方向：从 {{sourceLang}} 翻译到 {{targetLang}}
+5. 翻译倾向：结合上下文，夹杂起来也能容易被理解，尽量只翻译成最合适的词汇，而不是多个含义。
+6. 也可以选择短语动词、固定搭配和习语（如 give up、take into account），original 为文本中原样出现的完整短语
+{{languageNotes}}
+
+## CEFR等级从简单到复杂依次为：A1-C2
+
+## 输出格式：
+返回 JSON 数组，每个元素包含：
+- original: 原词
+- translation: 翻译结果
+- phonetic: 学习语言({{learningLang}})的音标/发音
+- difficulty: CEFR 难度等级 (A1/A2/B1/B2/C1/C2)，请谨慎评估
+- position: 在文本中的起始位置
+
+## 文本：
+{{text}}
+
+## 输出：
+只返回 JSON 数组，不要其他内容。`,
+
+  // 批量请求：多个带编号的段落
+  batch: `你是一个语言学习助手。下面有多个段落，每个段落以 [s1]、[s2] 等编号开头。请分别分析每个段落，选择适合学习的词汇进行翻译。
+
+## 规则：
+1. 每个段落按编号后标注的数量选择词汇（可以根据内容灵活调整，但不要超过标注的上限）
+2. 不要翻译：域名、地址、缩写、人名、地名、产品名、数字、代码、URL、已经是目标语言的词
+3. 优先选择：有学习价值的词汇、不同难度级别的词汇
+4. 翻译方向：从 {{sourceLang}} 翻译到 {{targetLang}}
+5. 翻译倾向：结合上下文，夹杂起来也能容易被理解，尽量只翻译成最合适的词汇，而不是多个含义。
+6. 也可以选择短语动词、固定搭配和习语（如 give up、take into account），original 为文本中原样出现的完整短语
+{{languageNotes}}
+
+## CEFR等级从简单到复杂依次为：A1-C2
+
+## 输出格式：
+返回 JSON 数组，每个元素包含：
+- segment: 词汇所在段落的编号（如 "s1"）
+- original: 原词
+- translation: 翻译结果
+- phonetic: 学习语言({{learningLang}})的音标/发音
+- difficulty: CEFR 难度等级 (A1/A2/B1/B2/C1/C2)，请谨慎评估
+- position: 在该段落中的起始位置
+
+## 段落：
+{{text}}
+
+## 输出：
+只返回 JSON 数组，不要其他内容。`,
+
+  // 指定词汇：翻译用户选中或加入记忆列表的词
+  specificWords: `你是一个语言学习助手。请翻译以下特定词汇。
+
+## 规则：
+1. 必须翻译所有提供的词汇，不要跳过任何词
+2. 如果单词是{{sourceLang}}，则翻译到{{targetLang}}，反之亦然
+{{languageNotes}}
+
+## CEFR等级从简单到复杂依次为：A1-C2
+
+## 输出格式：
+返回 JSON 数组，每个元素包含：
+- original: 原词
+- translation: 翻译结果
+- phonetic: 学习语言({{learningLang}})的音标/发音
+- difficulty: CEFR 难度等级 (A1/A2/B1/B2/C1/C2)
+
+## 要翻译的词汇：
+{{text}}
+
+## 输出：
+只返回 JSON 数组，不要其他内容。`
+};
+
+// 各学习语言的附加要求，通过 {{languageNotes}} 插入模板
+export const LANGUAGE_PROMPT_NOTES = Object.fromEntries(
+  globalThis.VocabMeldLanguages.LANGUAGES.filter(lang => lang.promptNotes).map(lang => [lang.code, lang.promptNotes])
+);
+
+/**
+ * 用变量替换模板中的 {{name}}，未知变量保持原样以便在预览中发现
+ * @param {string} template
+ * @param {object} variables
+ * @returns {string}
+ */
+export function renderTemplate(template, variables) {
+  return template
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+      variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : match
+    ))
+    // 附加要求为空时不留多余空行
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * 拆分批量模板的 {{text}}：内容脚本按 [s1]（约 N 个词汇，不超过 M 个）\n段落 的格式拼接，段落间空一行
+ * 供在本地生成结果的服务（离线模拟、本地词典）使用
+ * @param {string} text
+ * @returns {Array<{ id: string, count: number, maxCount: number, text: string }>}
+ */
+export function parseBatchText(text) {
+  const segments = [];
+  for (const part of text.split(/\n\n(?=\[\w+\])/)) {
+    const header = /^\[(\w+)\]([^\n]*)\n/.exec(part);
+    if (!header) continue;
+    const count = Number(/约\s*(\d+)/.exec(header[2])?.[1]) || 1;
+    const maxCount = Number(/不超过\s*(\d+)/.exec(header[2])?.[1]) || count * 2;
+    segments.push({ id: header[1], count, maxCount, text: part.slice(header[0].length) });
+  }
+  return segments;
+}
+
+/**
+ * 读取用户自定义模板
+ * @returns {Promise<object>}
+ */
+export async function getCustomTemplates() {
+  const result = await new Promise(resolve => chrome.storage.local.get(PROMPT_TEMPLATES_KEY, resolve));
+  return result[PROMPT_TEMPLATES_KEY] || {};
+}
+
+/**
+ * 按 学习语言自定义 → 通用自定义 → 默认 的顺序选择模板
+ * @param {object} custom - 用户自定义模板
+ * @param {string} kind - segment | batch | specificWords
+ * @param {string} language - 学习语言代码
+ * @returns {string}
+ */
+export function resolveTemplate(custom, kind, language) {
+  return custom[language]?.[kind] || custom.default?.[kind] || DEFAULT_PROMPT_TEMPLATES[kind] || '';
+}
+
+/**
+ * 渲染提示词
+ * @param {object} prompt - { kind, language, variables, template? }，template 用于预览未保存的模板
+ * @returns {Promise<string>}
+ */
+export async function renderPrompt(prompt) {
+  const template = prompt.template ?? resolveTemplate(await getCustomTemplates(), prompt.kind, prompt.language);
+  return renderTemplate(template, {
+    learningLang: prompt.language,
+    languageNotes: LANGUAGE_PROMPT_NOTES[prompt.language] || '',
+    ...prompt.variables
+  });
+}
+
+/**
+ * 提示词版本：使用默认模板时为 PROMPT_VERSION，使用自定义模板时附带模板内容的摘要，
+ * 修改自定义模板后新的译文即可与旧译文区分
+ * @param {object} prompt - { kind, language }
+ * @returns {Promise<string>}
+ */
+export async function getPromptVersion(prompt) {
+  const template = resolveTemplate(await getCustomTemplates(), prompt.kind, prompt.language);
+  if (template === DEFAULT_PROMPT_TEMPLATES[prompt.kind]) return `v${PROMPT_VERSION}`;
+
+  let hash = 5381;
+  for (let i = 0; i < template.length; i++) {
+    hash = ((hash * 33) ^ template.charCodeAt(i)) >>> 0;
+  }
+  return `v${PROMPT_VERSION}-custom-${hash.toString(36)}`;
+}
+
+/**
+ * 生成发送给模型的消息
+ * @param {object} prompt - { kind, language, variables, template? }
+ * @returns {Promise<Array>}
+ */
+export async function buildPromptMessages(prompt) {
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: await renderPrompt(prompt) }
+  ];
+}
@@ -0,0 +1,154 @@
+/**
+ * VocabMeld 语言检测
+ * 先按文字判断（假名、谚文、汉字、西里尔、阿拉伯、希伯来、希腊字母），
+ * 拉丁字母文本再按各语言的常用虚词和特有字母打分；页面或元素声明的 lang 作为参考，
+ * 文本特征不明显时采用，明显是另一种语言时以文本为准（混合语言页面逐段检测）
+ * 另按字母所属文字判断文本的书写方向（阿拉伯、希伯来字母等从右到左）
+ * 以普通脚本在 content.js 之前注入，通过 globalThis.VocabMeldLanguageDetector 使用
+ */
+
+(function() {
+  'use strict';
+
+  // 拉丁字母语言的常用虚词
+  const STOP_WORDS = {
+    en: 'the and of to in is that it for was on are with as be this by at from have not but or an they which you were his her has had we their been will would there can all also',
+    fr: 'le la les des et est un une du en que qui dans pour pas sur au avec ce il elle sont par plus ne se aux ont été mais nous vous leur cette comme être fait était ces',
+    de: 'der die das und ist nicht ein eine zu den mit von sich des auf für im dem auch es sie ich wir wird sind werden bei aus nach oder wie aber noch einer war hat',
+    es: 'el la los las de que y en un una es por con para no se del al lo como más pero sus le ya fue este está son también entre cuando muy sin sobre',
+    it: 'il lo la gli le di che e un una è per con non del della sono nel alla come più anche ma questo ha si da dei delle essere',
+    pt: 'o a os as de que e um uma é do da em para com não se por no na dos das mais como mas foi ao ele ela são também',
+    nl: 'de het een en van is dat die in op te zijn met voor niet aan er ook als bij maar om door naar dan wordt nog',
+    vi: 'và của có là không được trong cho những một các với người này đã để khi đến từ cũng như thì nhưng sẽ đó'
+  };
+
+  const PROFILES = Object.fromEntries(
+    Object.entries(STOP_WORDS).map(([lang, words]) => [lang, new Set(words.split(' '))])
+  );
+
+  // 各语言特有的字母，每出现一个加分
+  const LETTER_HINTS = {
+    fr: /[çœàèêëîïôûù]/g,
+    de: /[äöüß]/g,
+    es: /[ñ¿¡áíóú]/g,
+    it: /[àèìòù]/g,
+    pt: /[ãõçâêô]/g,
+    vi: /[ăđơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/g
+  };
+
+  // 使用同一种文字、只能靠声明区分的语言
+  const SCRIPT_LANGUAGES = {
+    cyrillic: ['ru', 'uk', 'be', 'bg', 'sr', 'mk', 'kk'],
+    arabic: ['ar', 'fa', 'ur', 'ps'],
+    hebrew: ['he', 'yi']
+  };
+
+  const SCRIPTS = {
+    kana: /[\u3040-\u30ff]/g,
+    hangul: /[\uac00-\ud7af\u1100-\u11ff]/g,
+    han: /[\u4e00-\u9fff]/g,
+    cyrillic: /\p{Script=Cyrillic}/gu,
+    arabic: /\p{Script=Arabic}/gu,
+    hebrew: /\p{Script=Hebrew}/gu,
+    greek: /\p{Script=Greek}/gu,
+    latin: /\p{Script=Latin}/gu
+  };
+
+  // 从右到左书写的文字
+  const RTL_LETTER = /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/gu;
+
+  /**
+   * 规范化声明的语言：取主语言代码，中文统一为 zh
+   * @param {string} lang
+   * @returns {string}
+   */
+  function normalizeLang(lang) {
+    const base = String(lang || '').trim().toLowerCase().split(/[-_]/)[0];
+    if (!base || base === 'und' || base === 'x') return '';
+    return base;
+  }
+
+  /**
+   * 统计各文字的字符数
+   * @param {string} text
+   * @returns {object}
+   */
+  function countScripts(text) {
+    const counts = {};
+    for (const [script, pattern] of Object.entries(SCRIPTS)) {
+      counts[script] = (text.match(pattern) || []).length;
+    }
+    return counts;
+  }
+
+  /**
+   * 拉丁字母文本：按虚词和特有字母给各语言打分
+   * @param {string} text
+   * @returns {{ lang: string, score: number, runnerUp: number }}
+   */
+  function scoreLatin(text) {
+    const lower = text.toLowerCase();
+    const words = lower.match(/\p{L}+/gu) || [];
+    const scores = {};
+    for (const [lang, profile] of Object.entries(PROFILES)) {
+      scores[lang] = words.reduce((sum, word) => sum + (profile.has(word) ? 1 : 0), 0);
+    }
+    for (const [lang, pattern] of Object.entries(LETTER_HINTS)) {
+      scores[lang] += (lower.match(pattern) || []).length * 0.5;
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    return { lang: ranked[0][0], score: ranked[0][1], runnerUp: ranked[1][1] };
+  }
+
+  /**
+   * 检测文本语言
+   * @param {string} text
+   * @param {string} [hint] - 页面或元素声明的语言（lang 属性）
+   * @returns {string} 主语言代码，中文为 zh
+   */
+  function detect(text, hint) {
+    const declared = normalizeLang(hint);
+    const counts = countScripts(text || '');
+    const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    if (total === 0) return declared || 'en';
+
+    if (counts.kana / total > 0.1) return 'ja';
+    if (counts.hangul / total > 0.1) return 'ko';
+    // 只有汉字的片段：日语页面按日语处理
+    if (counts.han / total > 0.3) return declared === 'ja' ? 'ja' : 'zh';
+
+    const [script] = ['cyrillic', 'arabic', 'hebrew', 'greek', 'latin'].sort((a, b) => counts[b] - counts[a]);
+    if (SCRIPT_LANGUAGES[script]?.includes(declared)) return declared;
+    if (script === 'cyrillic') return /[іїєґ]/i.test(text) ? 'uk' : 'ru';
+    if (script === 'arabic') {
+      if (/[ٹڈڑںے]/.test(text)) return 'ur';
+      return /[پچژگ]/.test(text) ? 'fa' : 'ar';
+    }
+    if (script === 'hebrew') return 'he';
+    if (script === 'greek') return 'el';
+
+    // 拉丁字母：特征明显时以文本为准，否则采用声明的语言
+    const { lang, score, runnerUp } = scoreLatin(text);
+    const confident = score >= 2 && score >= runnerUp * 1.5;
+    const declaredLatin = declared && !['zh', 'ja', 'ko', 'el', 'he', 'yi'].includes(declared)
+      && !SCRIPT_LANGUAGES.cyrillic.includes(declared) && !SCRIPT_LANGUAGES.arabic.includes(declared);
+    if (confident) return lang;
+    if (declaredLatin) return declared;
+    return score > runnerUp ? lang : 'en';
+  }
+
+  /**
+   * 文本的书写方向：从右到左的字母占多数时为 rtl
+   * @param {string} text
+   * @returns {string} 'rtl' | 'ltr'，没有字母时为空字符串
+   */
+  function direction(text) {
+    const letters = (String(text || '').match(/\p{L}/gu) || []).length;
+    if (letters === 0) return '';
+    const rtl = (String(text).match(RTL_LETTER) || []).length;
+    return rtl * 2 > letters ? 'rtl' : 'ltr';
+  }
+
+  globalThis.VocabMeldLanguageDetector = { detect, direction, normalizeLang };
+})();
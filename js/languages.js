@@ -0,0 +1,135 @@
+/**
+ * VocabMeld 语言表
+ * 每种支持的语言一条记录：显示名称、文字、分词方式、候选词最短长度、TTS 语言代码、
+ * 读音标注方式、提示词附加要求和发音测试句；新增语言只需在此添加一条
+ * 以普通脚本在 content.js、options.js 之前加载，后台模块以副作用方式导入，
+ * 通过 globalThis.VocabMeldLanguages 使用
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * script：文字（latin | han | kana | hangul | cyrillic | arabic）
+   * wordBoundary：space 以空格分词，segmenter 交给 Intl.Segmenter 切分
+   * minWordLength：以空格分词时参与翻译的最短单词长度
+   * phonetic：phonetic 字段的标注方式
+   */
+  const LANGUAGES = [
+    {
+      code: 'en', name: 'English', script: 'latin', wordBoundary: 'space', minWordLength: 5,
+      ttsLocale: 'en-US', phonetic: 'IPA',
+      sample: 'Hello, this is a voice test.'
+    },
+    {
+      code: 'zh-CN', name: '简体中文', script: 'han', wordBoundary: 'segmenter', minWordLength: 2,
+      ttsLocale: 'zh-CN', phonetic: '汉语拼音',
+      promptNotes: '- phonetic 使用带声调的汉语拼音（如 学习 → xué xí）',
+      sample: '你好，这是一个语音测试。'
+    },
+    {
+      code: 'zh-TW', name: '繁体中文', script: 'han', wordBoundary: 'segmenter', minWordLength: 2,
+      ttsLocale: 'zh-TW', phonetic: '汉语拼音',
+      promptNotes: '- phonetic 使用带声调的汉语拼音（如 學習 → xué xí）',
+      sample: '你好，這是一個語音測試。'
+    },
+    {
+      code: 'ja', name: '日本語', script: 'kana', wordBoundary: 'segmenter', minWordLength: 2,
+      ttsLocale: 'ja-JP', phonetic: '平假名',
+      promptNotes: '- phonetic 使用平假名标注读音（如 勉強 → べんきょう），不要使用罗马音；动词和形容词的 translation 使用辞书形',
+      sample: 'こんにちは、これは音声テストです。'
+    },
+    {
+      code: 'ko', name: '한국어', script: 'hangul', wordBoundary: 'segmenter', minWordLength: 2,
+      ttsLocale: 'ko-KR', phonetic: '罗马字',
+      promptNotes: '- phonetic 使用韩语罗马字（Revised Romanization）标注读音',
+      sample: '안녕하세요, 음성 테스트입니다.'
+    },
+    {
+      code: 'fr', name: 'Français', script: 'latin', wordBoundary: 'space', minWordLength: 5,
+      ttsLocale: 'fr-FR', phonetic: 'IPA',
+      promptNotes: '- 名词的 translation 带上定冠词（le/la/les，元音前注明阴阳性），标明语法性别',
+      sample: 'Bonjour, ceci est un test vocal.'
+    },
+    {
+      code: 'de', name: 'Deutsch', script: 'latin', wordBoundary: 'space', minWordLength: 5,
+      ttsLocale: 'de-DE', phonetic: 'IPA',
+      promptNotes: '- 名词的 translation 带上定冠词（der/die/das）标明语法性别，并在括号中注明复数形式（如 das Haus (die Häuser)）',
+      sample: 'Hallo, dies ist ein Sprachtest.'
+    },
+    {
+      code: 'es', name: 'Español', script: 'latin', wordBoundary: 'space', minWordLength: 5,
+      ttsLocale: 'es-ES', phonetic: 'IPA',
+      promptNotes: '- 名词的 translation 带上定冠词（el/la）标明语法性别',
+      sample: 'Hola, esta es una prueba de voz.'
+    },
+    {
+      code: 'it', name: 'Italiano', script: 'latin', wordBoundary: 'space', minWordLength: 5,
+      ttsLocale: 'it-IT', phonetic: 'IPA',
+      promptNotes: '- 名词的 translation 带上定冠词（il/lo/la）标明语法性别',
+      sample: 'Ciao, questo è un test vocale.'
+    },
+    {
+      code: 'pt', name: 'Português', script: 'latin', wordBoundary: 'space', minWordLength: 5,
+      ttsLocale: 'pt-BR', phonetic: 'IPA',
+      promptNotes: '- 名词的 translation 带上定冠词（o/a）标明语法性别',
+      sample: 'Olá, este é um teste de voz.'
+    },
+    {
+      code: 'ru', name: 'Русский', script: 'cyrillic', wordBoundary: 'space', minWordLength: 4,
+      ttsLocale: 'ru-RU', phonetic: 'IPA',
+      promptNotes: '- phonetic 使用 IPA 并标出重音；名词的 translation 注明语法性别（м./ж./ср.）',
+      sample: 'Привет, это проверка голоса.'
+    },
+    {
+      // 越南语以空格分隔音节，多音节词由几个短音节组成
+      code: 'vi', name: 'Tiếng Việt', script: 'latin', wordBoundary: 'space', minWordLength: 2,
+      ttsLocale: 'vi-VN', phonetic: 'IPA',
+      promptNotes: '- translation 保留完整的声调符号，多音节词按空格分隔音节（如 học sinh）',
+      sample: 'Xin chào, đây là bài kiểm tra giọng nói.'
+    },
+    {
+      code: 'ar', name: 'العربية', script: 'arabic', wordBoundary: 'space', minWordLength: 3,
+      ttsLocale: 'ar-SA', phonetic: '拉丁字母转写',
+      promptNotes: '- phonetic 使用拉丁字母转写并标出长元音；translation 不加元音符号（如 كتاب）',
+      sample: 'مرحبا، هذا اختبار صوتي.'
+    }
+  ];
+
+  const BY_CODE = new Map(LANGUAGES.map(lang => [lang.code, lang]));
+
+  /**
+   * 查找语言：先按完整代码，再按主语言代码（zh → zh-CN，en-GB → en）
+   * @param {string} code
+   * @returns {object|null}
+   */
+  function getLanguage(code) {
+    if (!code) return null;
+    if (BY_CODE.has(code)) return BY_CODE.get(code);
+    const base = String(code).toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES.find(lang => lang.code.toLowerCase().split('-')[0] === base) || null;
+  }
+
+  globalThis.VocabMeldLanguages = {
+    LANGUAGES,
+    getLanguage,
+
+    /**
+     * 语言显示名称，未知语言返回代码本身
+     * @param {string} code
+     * @returns {string}
+     */
+    getLanguageName(code) {
+      return BY_CODE.get(code)?.name || code;
+    },
+
+    /**
+     * 朗读使用的语言代码，未知语言按英语朗读
+     * @param {string} code
+     * @returns {string}
+     */
+    getTtsLocale(code) {
+      return getLanguage(code)?.ttsLocale || 'en-US';
+    }
+  };
+})();
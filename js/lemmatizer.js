@@ -0,0 +1,350 @@
+/**
+ * VocabMeld 词形还原
+ * 英语使用不规则词表和后缀规则还原为词典中的原形（无法确定时保持原词，不把不同的词合并），
+ * 法语、德语、西班牙语使用轻量词干规则，日语、韩语按活用词尾还原为统一的词干，其余语言只转为小写。
+ * 英语以外的结果只用于比较（缓存键、已学会/需记忆词汇匹配），同一个词的各种变形得到同一个结果即可
+ * 以普通脚本在 content.js 之前注入（设置页在 options.js 之前加载），通过 globalThis.VocabMeldLemmatizer 使用
+ */
+
+(function() {
+  'use strict';
+
+  // 英语不规则变化：[原形, ...变形]
+  const EN_IRREGULAR_FORMS = [
+    ['be', 'was', 'were', 'been'], ['have', 'had'], ['do', 'did', 'done'], ['go', 'went', 'gone'],
+    ['make', 'made'], ['say', 'said'], ['take', 'took', 'taken'], ['come', 'came'], ['see', 'saw', 'seen'],
+    ['know', 'knew', 'known'], ['get', 'got', 'gotten'], ['give', 'gave', 'given'], ['find', 'found'],
+    ['think', 'thought'], ['tell', 'told'], ['become', 'became'], ['leave', 'left'], ['feel', 'felt'],
+    ['bring', 'brought'], ['begin', 'began', 'begun'], ['keep', 'kept'], ['hold', 'held'],
+    ['write', 'wrote', 'written'], ['stand', 'stood'], ['hear', 'heard'], ['mean', 'meant'],
+    ['meet', 'met'], ['pay', 'paid'], ['sit', 'sat'], ['speak', 'spoke', 'spoken'], ['lead', 'led'],
+    ['grow', 'grew', 'grown'], ['lose', 'lost'], ['fall', 'fell', 'fallen'], ['send', 'sent'],
+    ['build', 'built'], ['understand', 'understood'], ['draw', 'drew', 'drawn'], ['break', 'broke', 'broken'],
+    ['spend', 'spent'], ['rise', 'rose', 'risen'], ['drive', 'drove', 'driven'], ['buy', 'bought'],
+    ['wear', 'wore', 'worn'], ['choose', 'chose', 'chosen'], ['seek', 'sought'], ['throw', 'threw', 'thrown'],
+    ['catch', 'caught'], ['deal', 'dealt'], ['win', 'won'], ['fight', 'fought'], ['teach', 'taught'],
+    ['eat', 'ate', 'eaten'], ['forget', 'forgot', 'forgotten'], ['hide', 'hid', 'hidden'], ['sell', 'sold'],
+    ['fly', 'flew', 'flown'], ['run', 'ran'], ['swim', 'swam', 'swum'], ['sing', 'sang', 'sung'],
+    ['drink', 'drank', 'drunk'], ['sleep', 'slept'], ['strike', 'struck'], ['shake', 'shook', 'shaken'],
+    ['steal', 'stole', 'stolen'], ['freeze', 'froze', 'frozen'], ['ride', 'rode', 'ridden'],
+    ['wake', 'woke', 'woken'], ['tear', 'tore', 'torn'], ['feed', 'fed'], ['flee', 'fled'], ['bend', 'bent'],
+    ['lend', 'lent'], ['dig', 'dug'], ['hang', 'hung'], ['shoot', 'shot'], ['slide', 'slid'], ['spin', 'spun'],
+    ['sweep', 'swept'], ['weep', 'wept'], ['arise', 'arose', 'arisen'], ['forgive', 'forgave', 'forgiven'],
+    ['undertake', 'undertook', 'undertaken'], ['withdraw', 'withdrew', 'withdrawn'], ['overcome', 'overcame'],
+    ['mislead', 'misled'], ['be', 'being'], ['go', 'goes'], ['die', 'died', 'dying'], ['tie', 'tied', 'tying'],
+    ['lie', 'lied', 'lying'], ['bus', 'buses'], ['gas', 'gases'], ['self', 'selves'], ['shelf', 'shelves'],
+    ['wolf', 'wolves'], ['thief', 'thieves'], ['calf', 'calves'], ['loaf', 'loaves'], ['elf', 'elves'],
+    ['man', 'men'], ['woman', 'women'], ['child', 'children'], ['foot', 'feet'], ['tooth', 'teeth'],
+    ['mouse', 'mice'], ['goose', 'geese'], ['life', 'lives'], ['wife', 'wives'], ['knife', 'knives'],
+    ['leaf', 'leaves'], ['half', 'halves'], ['analysis', 'analyses'], ['crisis', 'crises'],
+    ['thesis', 'theses'], ['hypothesis', 'hypotheses'], ['phenomenon', 'phenomena'], ['criterion', 'criteria'],
+    ['good', 'better', 'best'], ['bad', 'worse', 'worst']
+  ];
+
+  const EN_IRREGULAR = new Map(
+    EN_IRREGULAR_FORMS.flatMap(([lemma, ...forms]) => forms.map(form => [form, lemma]))
+  );
+
+  // 看起来有屈折后缀、实际不是变形的词，以及词义与动词不同的 -ing / -ed 名词和形容词
+  const EN_INVARIANT = new Set([
+    'news', 'series', 'species', 'always', 'perhaps', 'whereas', 'sometimes', 'afterwards', 'towards',
+    'besides', 'nevertheless', 'nowadays', 'overseas', 'upstairs', 'downstairs', 'indoors', 'outdoors',
+    'themselves', 'ourselves', 'yourselves', 'lens', 'chaos', 'ethos', 'kudos', 'diabetes', 'does', 'has',
+    'bias', 'alias', 'atlas', 'canvas', 'this', 'thus', 'hundred', 'sacred', 'naked', 'wicked', 'hatred',
+    'kindred', 'rugged', 'ragged', 'jagged', 'crooked', 'wretched', 'beloved', 'ashamed', 'seed', 'need',
+    'speed', 'indeed', 'proceed', 'succeed', 'exceed', 'feed', 'bleed', 'breed', 'greed', 'creed', 'deed',
+    'heed', 'weed', 'reed', 'steed', 'tweed', 'embed', 'bloodshed', 'during', 'morning', 'evening',
+    'nothing', 'something', 'anything', 'everything', 'thing', 'ceiling', 'string', 'spring', 'offspring',
+    'building', 'interesting', 'amazing', 'exciting', 'boring', 'surprising', 'outstanding', 'meeting',
+    'wedding', 'painting', 'clothing', 'setting', 'pudding', 'sibling', 'darling', 'herring', 'lightning',
+    'willing', 'unwilling', 'cunning', 'upcoming', 'forthcoming', 'shortcoming', 'railing', 'earring',
+    'earnings', 'savings', 'belongings', 'surroundings'
+  ]);
+
+  // 以 -ie 结尾的名词，复数只加 s（movies → movie，而不是 movy）
+  const EN_IE_NOUNS = new Set([
+    'movie', 'cookie', 'calorie', 'rookie', 'zombie', 'brownie', 'prairie', 'hippie', 'genie', 'pie',
+    'sortie', 'selfie', 'freebie', 'goalie', 'newbie', 'aussie', 'hoodie', 'birdie', 'collie', 'lassie'
+  ]);
+
+  // 以 -oe、-che 等结尾的词，复数只加 s（shoes → shoe, aches → ache；heroes → hero, watches → watch 去掉 es）
+  const EN_E_PLURALS = new Set([
+    'shoe', 'toe', 'foe', 'hoe', 'canoe', 'oboe', 'floe', 'tiptoe', 'woe', 'ache', 'headache', 'cache',
+    'niche', 'avalanche', 'moustache', 'mustache', 'quiche', 'axe', 'finesse', 'crevasse'
+  ]);
+
+  // 去掉 -ed / -ing / -es 后需要补回省略的 e 的词干结尾：
+  // improv → improve, continu → continue, enabl → enable, puzzl → puzzle, requir → require,
+  // secur → secure, provid → provide, includ → include, operat → operate, examin → examine,
+  // execut → execute, produc → produce, forc → force, organiz → organize, judg → judge,
+  // merg → merge, manag → manage, chang → change, caus → cause, releas → release, rais → raise,
+  // propos → propose, advis → advise, nurs → nurse, collaps → collapse, provok → provoke
+  const EN_DROPPED_E = new RegExp('(?:' + [
+    'v', 'u', '[bcdfgkpstz]l', 'uir', '[^aeiou]ir', '[^aeiou]ur', '[^aeio]id', '[^aeiou][eou]d', '[^aeiou]ad',
+    'uad', '[^aeiou]ib', '[^aeiou]at', '[iu]at', 'creat', '[^aeiou]in', '[^aeiou]ut',
+    '(?:un|ign|exc|inv|inc|rec|wr)it', 'plet', 'delet', 'compet', 'cret', 'mot', 'quot', 'devot', '[aeiou]c',
+    '[nr]c', '[^tz]z', 'dg', 'rg', 'lg', '[^aeiou]ag', 'oblig', 'leg', 'ieg', 'chang', 'rang', 'lleng', 'veng',
+    '[lp]ung', 'oung', 'hing', 'cring', 'fring', 'aus', 'ous', '[^i]as', '[^aeiou]os', 'oos', 'ees', 'is',
+    '[nrlpwy]s', '(?:^|re|mis|dis|ab|cc|xc|m|f|er)us', '[^aeiouy]ak', '[^aeiou]ik', '[^aeiou]ok', '^ach',
+    '[wtpbh]ast', 'sum', 'fum', 'nam', 'fam', 'flam', 'com', 'scap', 'dul', 'icul', 'esc', 'cr', 'pong',
+    '(?:cons|caj|par|h)ol', '(?:comp|conc|prof|ex|def|rev|stockp|gu)il', '(?:postp|cond|thr|teleph)on',
+    '(?:ign|xpl|mpl|epl|rest|ad)or', '(?:dh|oh|rf)er', '(?:con|ter|tra)ven', '(?:comp|prep|decl|nsn|squ)ar',
+    '(?:ea|oo|ee|la|ba|lo|i)th'
+  ].join('|') + ')$');
+
+  const VOWELS = /[aeiou]/;
+
+  /**
+   * 去掉 -ing / -ed 后还原词干：双写辅音去掉一个，省略的 e 补回
+   * @param {string} stem
+   * @param {string} word - 原词，无法还原时返回
+   * @returns {string}
+   */
+  function restoreEnglishStem(stem, word) {
+    if (!/[aeiouy]/.test(stem)) return word;
+
+    // running → run, stopped → stop；ll/ss/zz/ff 保留（falling → fall）
+    const last = stem[stem.length - 1];
+    if (last === stem[stem.length - 2] && !'lszf'.includes(last) && !VOWELS.test(last) && stem.length > 3) {
+      return stem.slice(0, -1);
+    }
+    // 多音节词末尾双写的 l 和 -ic 后补的 k：controlled → control, travelled → travel, panicked → panic
+    if (/(?:[^s]pel|ispel|cel|ntrol|atrol|nnul|vel|del|nel|bel|uel)l$|(?:pan|mim|picn|traff|frol)ick$/.test(stem)) {
+      return stem.slice(0, -1);
+    }
+
+    if (EN_DROPPED_E.test(stem) && stem.length > 2) {
+      return stem + 'e';
+    }
+    // -ee 结尾的词去掉 -ed 后只剩一个 e：agre → agree, fre → free
+    if (/[^aeiouy]e$/.test(stem)) {
+      return stem + 'e';
+    }
+
+    // 单元音的辅音-元音-辅音短词：mak → make, writ → write, shar → share, typ → type
+    const vowelCount = (stem.match(/[aeiou]/g) || []).length;
+    if (vowelCount === 1 && /[^aeiou][aeiou][^aeiouwxy]$/.test(stem)
+      || /^[^aeiou]+y[^aeiouwxy]$/.test(stem)) {
+      return stem + 'e';
+    }
+    // us → use
+    if (stem.length === 2 && VOWELS.test(stem[0])) {
+      return stem + 'e';
+    }
+    return stem;
+  }
+
+  /**
+   * 英语词形还原：还原为词典中的原形，原形本身和不确定的词保持不变
+   * @param {string} word - 小写
+   * @returns {string}
+   */
+  function lemmatizeEnglish(word) {
+    if (EN_IRREGULAR.has(word)) return EN_IRREGULAR.get(word);
+    if (word.length <= 3 || EN_INVARIANT.has(word)) return word;
+
+    if (word.endsWith('ies') && word.length > 4) {
+      return EN_IE_NOUNS.has(word.slice(0, -1)) ? word.slice(0, -1) : word.slice(0, -3) + 'y';
+    }
+    if (word.endsWith('ied') && word.length > 4) return word.slice(0, -3) + 'y';
+    if (/(?:ss|x|zz|ch|sh|o)es$/.test(word)) {
+      return EN_E_PLURALS.has(word.slice(0, -1)) ? word.slice(0, -1) : word.slice(0, -2);
+    }
+    // uses → use, causes → cause, buses → bus, viruses → virus
+    if (/[sz]es$/.test(word)) {
+      const stem = word.slice(0, -2);
+      const dropped = EN_DROPPED_E.test(stem) || stem.length === 2 || /^[^aeiou]*[aeiou][sz]$/.test(stem);
+      return dropped ? stem + 'e' : stem;
+    }
+    if (word.endsWith('s')) {
+      return /(?:ss|us|is|ics)$/.test(word) ? word : word.slice(0, -1);
+    }
+    // unexpected、unchanged 等 un- 形容词不是动词变形
+    if (/^un(?!i|der)/.test(word) && /(?:ed|ing)$/.test(word)) return word;
+    if (word.endsWith('ing') && word.length > 4) return restoreEnglishStem(word.slice(0, -3), word);
+    if (word.endsWith('ed')) return restoreEnglishStem(word.slice(0, -2), word);
+    return word;
+  }
+
+  /**
+   * 法语词干：复数、阴性和常见动词词尾
+   * @param {string} word - 小写
+   * @returns {string}
+   */
+  function stemFrench(word) {
+    let stem = word;
+    if (stem.length <= 3) return stem;
+    if (stem.endsWith('eaux')) return stem.slice(0, -1);
+    if (stem.endsWith('aux') && stem.length > 4) return stem.slice(0, -3) + 'al';
+    if (/[sx]$/.test(stem)) stem = stem.slice(0, -1);
+    if (stem.endsWith('ée')) stem = stem.slice(0, -1);
+    if (stem.length > 4 && /(?:er|é)$/.test(stem)) return stem.replace(/(?:er|é)$/, '');
+    if (stem.length > 4 && stem.endsWith('e')) stem = stem.slice(0, -1);
+    return stem;
+  }
+
+  /**
+   * 德语词干：名词复数、格变化与形容词词尾
+   * @param {string} word - 小写
+   * @returns {string}
+   */
+  function stemGerman(word) {
+    let stem = word;
+    if (stem.length > 5 && /(?:ern|em|en|er|es)$/.test(stem)) {
+      stem = stem.replace(/(?:ern|em|en|er|es)$/, '');
+    }
+    if (stem.length > 4 && /[esn]$/.test(stem)) {
+      stem = stem.slice(0, -1);
+    }
+    return stem;
+  }
+
+  /**
+   * 西班牙语词干：复数
+   * @param {string} word - 小写
+   * @returns {string}
+   */
+  function stemSpanish(word) {
+    if (word.length <= 3) return word;
+    if (word.endsWith('ces')) return word.slice(0, -3) + 'z';
+    if (word.length > 4 && /[^aeiouáéíóú]es$/.test(word)) return word.slice(0, -2);
+    if (/[aeiouáéíóú]s$/.test(word)) return word.slice(0, -1);
+    return word;
+  }
+
+  // 日语：活用形统一还原为连用形的音便词干（書く/書きます/書いた/書かない → 書い，
+  // 読む/読んだ → 読ん，言う/言った → 言っ，食べる/食べた → 食べ），没有词典时这是
+  // 各种变形都能得到同一结果的形式；形容词还原为辞书形（高かった → 高い）
+  const JA_STEM_KANA = {
+    い: 'っ', ち: 'っ', り: 'っ', わ: 'っ', ら: 'っ', た: 'っ', う: 'っ', つ: 'っ', る: 'っ',
+    み: 'ん', び: 'ん', に: 'ん', ま: 'ん', ば: 'ん', な: 'ん', む: 'ん', ぶ: 'ん', ぬ: 'ん',
+    き: 'い', ぎ: 'い', か: 'い', が: 'い', く: 'い', ぐ: 'い',
+    し: 'し', さ: 'し', す: 'し'
+  };
+  const JA_ONBIN = new Set(['っ', 'ん', 'い', 'し']);
+  const JA_ICHIDAN_ROW = /[いきぎしじちぢにひびぴみりえけげせぜてでねへべぺめれ]$/;
+  // 汉字后直接接る的一段动词（見る、着る、寝る……），其余按五段处理（帰る、切る）
+  const JA_ICHIDAN_KANJI = new Set(['見', '着', '寝', '出', '得', '似', '煮', '居', '射', '経', '干', '来']);
+  // 音便不规则：行く → 行った
+  const JA_IRREGULAR_STEMS = { 行い: '行っ' };
+
+  // [词尾, 替换, 处理方式]：stem 按连用形词干映射，te 为て/た形（音便词干保持不变），next 继续还原
+  const JA_RULES = [
+    ['くなかった', 'い', 'adj'], ['ませんでした', '', 'stem'], ['ていました', 'て', 'next'],
+    ['でいました', 'で', 'next'], ['たかった', '', 'stem'], ['たくない', '', 'stem'],
+    ['ています', 'て', 'next'], ['でいます', 'で', 'next'], ['なかった', '', 'stem'],
+    ['ければ', 'い', 'adj'], ['かった', 'い', 'adj'], ['くない', 'い', 'adj'],
+    ['ました', '', 'stem'], ['ません', '', 'stem'], ['ながら', '', 'stem'], ['なさい', '', 'stem'],
+    ['ている', 'て', 'next'], ['ていた', 'て', 'next'], ['でいる', 'で', 'next'], ['でいた', 'で', 'next'],
+    ['ます', '', 'stem'], ['たい', '', 'stem'], ['ない', '', 'stem'], ['なくて', '', 'stem'],
+    ['くて', 'い', 'adj'], ['する', 'し', 'done'], ['てる', 'て', 'next'], ['でる', 'で', 'next'],
+    ['て', '', 'te'], ['た', '', 'te'], ['で', '', 'te'], ['だ', '', 'te']
+  ].sort((a, b) => b[0].length - a[0].length);
+
+  /**
+   * 日语连用形词干：末尾假名按行映射为音便形式，一段动词词干不变
+   * @param {string} stem
+   * @returns {string}
+   */
+  function japaneseStem(stem) {
+    const last = stem[stem.length - 1];
+    const mapped = JA_STEM_KANA[last] ? stem.slice(0, -1) + JA_STEM_KANA[last] : stem;
+    return JA_IRREGULAR_STEMS[mapped] || mapped;
+  }
+
+  /**
+   * 日语词形还原：只处理汉字开头、平假名结尾的词（动词、形容词），假名词不变
+   * @param {string} word
+   * @returns {string}
+   */
+  function lemmatizeJapanese(word) {
+    if (!/^\p{Script=Han}/u.test(word) || !/\p{Script=Hiragana}$/u.test(word)) return word;
+    const tailStart = word.search(/\p{Script=Hiragana}+$/u);
+
+    let current = word;
+    for (let pass = 0; pass < 3; pass++) {
+      const rule = JA_RULES.find(([suffix]) => current.endsWith(suffix) && current.length - suffix.length >= tailStart);
+      if (!rule) break;
+      const [suffix, replacement, kind] = rule;
+      const base = current.slice(0, -suffix.length) + replacement;
+      if (kind === 'next') {
+        current = base;
+        continue;
+      }
+      if (kind === 'stem') return japaneseStem(base);
+      if (kind === 'te') return JA_ONBIN.has(base[base.length - 1]) ? base : japaneseStem(base);
+      return base;
+    }
+    if (current !== word) return current;
+
+    // 辞书形：一段动词去掉る，五段动词词尾按行映射；形容词（い结尾）不变
+    if (word.endsWith('る')) {
+      const stem = word.slice(0, -1);
+      if (JA_ICHIDAN_KANJI.has(stem)) return stem;
+      if (stem.length > tailStart && JA_ICHIDAN_ROW.test(stem)) return japaneseStem(stem);
+    }
+    return /[うくぐすつぬぶむる]$/.test(word) ? japaneseStem(word) : word;
+  }
+
+  // 韩语谓词词尾：[词尾, 替换]，按长度从长到短排列
+  const KO_ENDINGS = [
+    ['했습니다', '하'], ['었습니다', ''], ['았습니다', ''], ['였습니다', ''], ['합니다', '하'],
+    ['했어요', '하'], ['었어요', ''], ['았어요', ''], ['습니다', ''], ['해요', '하'], ['했다', '하'],
+    ['해서', '하'], ['한다', '하'], ['었다', ''], ['았다', ''], ['어요', ''], ['아요', ''], ['는다', ''],
+    ['었고', ''], ['았고', ''], ['어서', ''], ['아서', ''], ['지만', ''], ['으면', ''], ['했', '하'],
+    ['었', ''], ['았', ''], ['고', ''], ['면', ''], ['다', '']
+  ].sort((a, b) => b[0].length - a[0].length);
+
+  /**
+   * 韩语词干：去掉谓词词尾（공부했습니다 → 공부하，읽고 → 읽），助词由分词拆开
+   * @param {string} word
+   * @returns {string}
+   */
+  function stemKorean(word) {
+    if (word.length < 2 || !/^\p{Script=Hangul}+$/u.test(word)) return word;
+    const ending = KO_ENDINGS.find(([suffix]) => word.endsWith(suffix) && word.length > suffix.length);
+    return ending ? word.slice(0, -ending[0].length) + ending[1] : word;
+  }
+
+  const RULES = {
+    en: lemmatizeEnglish,
+    fr: stemFrench,
+    de: stemGerman,
+    es: stemSpanish,
+    ja: lemmatizeJapanese,
+    ko: stemKorean
+  };
+
+  globalThis.VocabMeldLemmatizer = {
+    /**
+     * 是否为多词短语（短语动词、固定搭配、习语）：以空白分隔的多个词
+     * @param {string} text
+     * @returns {boolean}
+     */
+    isPhrase(text) {
+      return /\s/.test((text || '').trim());
+    },
+
+    /**
+     * 是否有该语言的还原规则
+     * @param {string} lang
+     * @returns {boolean}
+     */
+    hasRules(lang) {
+      return Boolean(RULES[(lang || '').split('-')[0]]);
+    },
+
+    /**
+     * 还原词形，多词短语逐词还原
+     * @param {string} word
+     * @param {string} lang
+     * @returns {string}
+     */
+    lemmatize(word, lang) {
+      const lower = word.toLowerCase().trim();
+      const rule = RULES[(lang || '').split('-')[0]];
+      if (!rule) return lower;
+      return lower.split(/\s+/).map(rule).join(' ');
+    }
+  };
+})();
@@ -4,20 +4,31 @@
 
 document.addEventListener('DOMContentLoaded', async () => {
   // 默认 API 配置
-  const DEFAULT_API_CONFIGS = {
-    'OpenAI': { endpoint: 'https://api.openai.com/v1/chat/completions', apiKey: '', model: 'gpt-4o-mini' },
-    'DeepSeek': { endpoint: 'https://api.deepseek.com/chat/completions', apiKey: '', model: 'deepseek-chat' },
-    'Moonshot': { endpoint: 'https://api.moonshot.cn/v1/chat/completions', apiKey: '', model: 'moonshot-v1-8k' },
-    'Groq': { endpoint: 'https://api.groq.com/openai/v1/chat/completions', apiKey: '', model: 'llama-3.1-8b-instant' },
-    'Ollama': { endpoint: 'http://localhost:11434/v1/chat/completions', apiKey: '', model: 'qwen2.5:7b' }
+  // 默认 API 配置：端点和模型取自 providers.js 中的预设，配置名沿用已保存配置中的名称
+  const DEFAULT_CONFIG_NAMES = {
+    openai: 'OpenAI', anthropic: 'Claude', gemini: 'Gemini', deepseek: 'DeepSeek',
+    moonshot: 'Moonshot', groq: 'Groq', ollama: 'Ollama'
   };
+  const DEFAULT_API_CONFIGS = Object.fromEntries(Object.entries(DEFAULT_CONFIG_NAMES).map(([id, name]) => {
+    const { provider, endpoint, model } = VocabMeldProviders.PRESETS[id];
+    return [name, { provider, endpoint, apiKey: '', model }];
+  }));
 
   // 当前配置状态
   let apiConfigs = {};
   let currentConfigName = '';
+  let fallbackOrder = []; // 故障转移时依次尝试的备用配置名
 
   const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
 
+  // AI 结果被丢弃的原因
+  const REJECTION_LABELS = {
+    malformed: '格式错误',
+    notInText: '原词不在文本中',
+    duplicate: '重复',
+    unknownSegment: '段落编号无效'
+  };
+
   // 防抖保存函数
   let saveTimeout;
   function debouncedSave(delay = 500) {
@@ -37,12 +48,18 @@ document.addEventListener('DOMContentLoaded', async () => {
     saveConfigBtn: document.getElementById('saveConfigBtn'),
     deleteConfigBtn: document.getElementById('deleteConfigBtn'),
     configName: document.getElementById('configName'),
+    apiProvider: document.getElementById('apiProvider'),
     apiEndpoint: document.getElementById('apiEndpoint'),
     apiKey: document.getElementById('apiKey'),
     modelName: document.getElementById('modelName'),
+    requestsPerMinute: document.getElementById('requestsPerMinute'),
+    inputPrice: document.getElementById('inputPrice'),
+    outputPrice: document.getElementById('outputPrice'),
     toggleApiKey: document.getElementById('toggleApiKey'),
     testConnectionBtn: document.getElementById('testConnectionBtn'),
     testResult: document.getElementById('testResult'),
+    apiFailoverEnabled: document.getElementById('apiFailoverEnabled'),
+    fallbackList: document.getElementById('fallbackList'),
 
     // 学习偏好
     nativeLanguage: document.getElementById('nativeLanguage'),
@@ -50,13 +67,23 @@ document.addEventListener('DOMContentLoaded', async () => {
     difficultyLevel: document.getElementById('difficultyLevel'),
     selectedDifficulty: document.getElementById('selectedDifficulty'),
     intensityRadios: document.querySelectorAll('input[name="intensity"]'),
+    replaceOccurrences: document.getElementById('replaceOccurrences'),
     processModeRadios: document.querySelectorAll('input[name="processMode"]'),
 
     // 行为设置
     autoProcess: document.getElementById('autoProcess'),
     showPhonetic: document.getElementById('showPhonetic'),
     showAddMemorize: document.getElementById('showAddMemorize'),
+    batchMode: document.getElementById('batchMode'),
+    batchTokenBudget: document.getElementById('batchTokenBudget'),
+    requestTimeout: document.getElementById('requestTimeout'),
+    cacheTtlDays: document.getElementById('cacheTtlDays'),
+    streamResponses: document.getElementById('streamResponses'),
+    structuredOutput: document.getElementById('structuredOutput'),
+    senseDisambiguation: document.getElementById('senseDisambiguation'),
     cacheMaxSizeRadios: document.querySelectorAll('input[name="cacheMaxSize"]'),
+    cacheEvictionPolicy: document.getElementById('cacheEvictionPolicy'),
+    cachePinWords: document.getElementById('cachePinWords'),
     translationStyleRadios: document.querySelectorAll('input[name="translationStyle"]'),
     themeRadios: document.querySelectorAll('input[name="theme"]'),
     ttsVoice: document.getElementById('ttsVoice'),
@@ -68,6 +95,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     siteModeRadios: document.querySelectorAll('input[name="siteMode"]'),
     excludedSitesGroup: document.getElementById('excludedSitesGroup'),
     excludedSitesInput: document.getElementById('excludedSitesInput'),
+    segmentationWordsInput: document.getElementById('segmentationWordsInput'),
     allowedSitesGroup: document.getElementById('allowedSitesGroup'),
     allowedSitesInput: document.getElementById('allowedSitesInput'),
 
@@ -82,6 +110,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     clearLearnedBtn: document.getElementById('clearLearnedBtn'),
     clearMemorizeBtn: document.getElementById('clearMemorizeBtn'),
     clearCacheBtn: document.getElementById('clearCacheBtn'),
+    cacheModelSelect: document.getElementById('cacheModelSelect'),
+    warmupDirection: document.getElementById('warmupDirection'),
+    warmupSource: document.getElementById('warmupSource'),
+    warmupFileGroup: document.getElementById('warmupFileGroup'),
+    warmupFile: document.getElementById('warmupFile'),
+    warmupTokenBudget: document.getElementById('warmupTokenBudget'),
+    warmupProgress: document.getElementById('warmupProgress'),
+    warmupStartBtn: document.getElementById('warmupStartBtn'),
+    warmupPauseBtn: document.getElementById('warmupPauseBtn'),
+    warmupResumeBtn: document.getElementById('warmupResumeBtn'),
+    warmupCancelBtn: document.getElementById('warmupCancelBtn'),
+    warmupStatus: document.getElementById('warmupStatus'),
+    invalidateModelBtn: document.getElementById('invalidateModelBtn'),
     learnedFilters: document.getElementById('learnedFilters'),
     memorizeFilters: document.getElementById('memorizeFilters'),
     cachedFilters: document.getElementById('cachedFilters'),
@@ -89,6 +130,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     memorizeSearchInput: document.getElementById('memorizeSearchInput'),
     cachedSearchInput: document.getElementById('cachedSearchInput'),
     difficultyFilterBtns: document.querySelectorAll('.difficulty-filter-btn'),
+    kindFilterBtns: document.querySelectorAll('.kind-filter-btn'),
 
     // 统计
     statTotalWords: document.getElementById('statTotalWords'),
@@ -98,6 +140,38 @@ document.addEventListener('DOMContentLoaded', async () => {
     statCacheSize: document.getElementById('statCacheSize'),
     statHitRate: document.getElementById('statHitRate'),
     cacheProgress: document.getElementById('cacheProgress'),
+    statServedBy: document.getElementById('statServedBy'),
+    statRejections: document.getElementById('statRejections'),
+    statTodayCost: document.getElementById('statTodayCost'),
+    statMonthCost: document.getElementById('statMonthCost'),
+    statMonthTokens: document.getElementById('statMonthTokens'),
+    statUsageByConfig: document.getElementById('statUsageByConfig'),
+    monthlyBudget: document.getElementById('monthlyBudget'),
+    budgetStatus: document.getElementById('budgetStatus'),
+
+    // 提示词模板
+    promptLanguage: document.getElementById('promptLanguage'),
+    promptKind: document.getElementById('promptKind'),
+    promptTemplate: document.getElementById('promptTemplate'),
+    promptVariables: document.getElementById('promptVariables'),
+    promptLanguageNote: document.getElementById('promptLanguageNote'),
+    promptSampleText: document.getElementById('promptSampleText'),
+    previewPromptBtn: document.getElementById('previewPromptBtn'),
+    dryRunPromptBtn: document.getElementById('dryRunPromptBtn'),
+    resetPromptBtn: document.getElementById('resetPromptBtn'),
+    promptStatus: document.getElementById('promptStatus'),
+    promptOutput: document.getElementById('promptOutput'),
+
+    // 本地词典
+    dictionaryMode: document.getElementById('dictionaryMode'),
+    dictionaryFiles: document.getElementById('dictionaryFiles'),
+    dictionaryName: document.getElementById('dictionaryName'),
+    dictionaryFormat: document.getElementById('dictionaryFormat'),
+    dictionarySourceLang: document.getElementById('dictionarySourceLang'),
+    dictionaryTargetLang: document.getElementById('dictionaryTargetLang'),
+    importDictionaryBtn: document.getElementById('importDictionaryBtn'),
+    dictionaryStatus: document.getElementById('dictionaryStatus'),
+    dictionaryList: document.getElementById('dictionaryList'),
     resetTodayBtn: document.getElementById('resetTodayBtn'),
     resetAllBtn: document.getElementById('resetAllBtn'),
     
@@ -187,27 +261,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
-  // 获取语言代码前缀
+  // 获取语言代码前缀（声音按 TTS 语言代码的主语言筛选）
   function getLangPrefix(langCode) {
-    const prefixMap = {
-      'en': 'en',
-      'zh-CN': 'zh',
-      'zh-TW': 'zh',
-      'ja': 'ja',
-      'ko': 'ko',
-      'fr': 'fr',
-      'de': 'de',
-      'es': 'es'
-    };
-    return prefixMap[langCode] || langCode.split('-')[0];
+    return VocabMeldLanguages.getTtsLocale(langCode).split('-')[0];
   }
 
   // 加载 API 配置列表
   function loadApiConfigs(callback) {
-    chrome.storage.sync.get(['apiConfigs', 'currentApiConfig'], (result) => {
+    chrome.storage.sync.get(['apiConfigs', 'currentApiConfig', 'apiFailoverEnabled', 'apiFallbackOrder'], (result) => {
       // 如果没有配置，使用默认配置
       apiConfigs = result.apiConfigs || { ...DEFAULT_API_CONFIGS };
       currentConfigName = result.currentApiConfig || Object.keys(apiConfigs)[0] || '';
+      fallbackOrder = (result.apiFallbackOrder || []).filter(name => apiConfigs[name]);
+      elements.apiFailoverEnabled.checked = result.apiFailoverEnabled ?? false;
       
       updateConfigSelect();
       
@@ -235,6 +301,78 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (currentConfigName) {
       elements.configName.value = currentConfigName;
     }
+    
+    renderFallbackList();
+  }
+
+  // 渲染备用配置列表（当前配置之外的所有配置，已勾选的按顺序排在前面）
+  function renderFallbackList() {
+    const names = Object.keys(apiConfigs).filter(name => name !== currentConfigName);
+    const ordered = [
+      ...fallbackOrder.filter(name => names.includes(name)),
+      ...names.filter(name => !fallbackOrder.includes(name))
+    ];
+    
+    elements.fallbackList.classList.toggle('disabled', !elements.apiFailoverEnabled.checked);
+    
+    if (ordered.length === 0) {
+      elements.fallbackList.innerHTML = '<p class="help-text">添加更多配置后可设置备用顺序</p>';
+      return;
+    }
+    
+    elements.fallbackList.innerHTML = ordered.map(name => `
+      <div class="fallback-item">
+        <input type="checkbox" class="fallback-check" ${fallbackOrder.includes(name) ? 'checked' : ''}>
+        <span class="fallback-name"></span>
+        <span class="fallback-status"></span>
+        <button type="button" class="btn-icon fallback-up" title="上移">↑</button>
+        <button type="button" class="btn-icon fallback-down" title="下移">↓</button>
+      </div>
+    `).join('');
+
+    // 配置名由用户输入，用 dataset 和 textContent 写入
+    elements.fallbackList.querySelectorAll('.fallback-item').forEach((item, i) => {
+      item.dataset.name = ordered[i];
+      item.querySelector('.fallback-name').textContent = ordered[i];
+    });
+    
+    elements.fallbackList.querySelectorAll('.fallback-check').forEach(checkbox => {
+      checkbox.addEventListener('change', saveFallbackOrder);
+    });
+    elements.fallbackList.querySelectorAll('.fallback-up, .fallback-down').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const item = btn.closest('.fallback-item');
+        if (btn.classList.contains('fallback-up') && item.previousElementSibling) {
+          item.parentNode.insertBefore(item, item.previousElementSibling);
+        } else if (btn.classList.contains('fallback-down') && item.nextElementSibling) {
+          item.parentNode.insertBefore(item.nextElementSibling, item);
+        }
+        saveFallbackOrder();
+      });
+    });
+    
+    // 显示熔断状态
+    chrome.runtime.sendMessage({ action: 'getApiHealth' }, (response) => {
+      const health = response?.health || {};
+      elements.fallbackList.querySelectorAll('.fallback-item').forEach(item => {
+        const state = health[item.dataset.name];
+        const status = item.querySelector('.fallback-status');
+        if (state?.open) {
+          status.textContent = '熔断中';
+          status.classList.add('open');
+        } else if (state?.failures) {
+          status.textContent = `失败 ${state.failures} 次`;
+        }
+      });
+    });
+  }
+
+  // 按列表中的顺序保存已勾选的备用配置
+  function saveFallbackOrder() {
+    fallbackOrder = Array.from(elements.fallbackList.querySelectorAll('.fallback-item'))
+      .filter(item => item.querySelector('.fallback-check').checked)
+      .map(item => item.dataset.name);
+    chrome.storage.sync.set({ apiFallbackOrder: fallbackOrder });
   }
 
   // 应用选中的配置
@@ -242,27 +380,39 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (!apiConfigs[name]) {
       // 新建配置 - 清空所有字段
       elements.configName.value = '';
+      elements.apiProvider.value = 'openai';
       elements.apiEndpoint.value = '';
       elements.apiKey.value = '';
       elements.modelName.value = '';
+      elements.requestsPerMinute.value = '';
+      elements.inputPrice.value = '';
+      elements.outputPrice.value = '';
       currentConfigName = '';
       return;
     }
     
     const config = apiConfigs[name];
     elements.configName.value = name;
+    elements.apiProvider.value = config.provider || VocabMeldProviders.detectProviderType(config.endpoint);
     elements.apiEndpoint.value = config.endpoint || '';
     elements.apiKey.value = config.apiKey || '';
     elements.modelName.value = config.model || '';
+    elements.requestsPerMinute.value = config.requestsPerMinute || '';
+    elements.inputPrice.value = config.inputPrice ?? '';
+    elements.outputPrice.value = config.outputPrice ?? '';
     currentConfigName = name;
   }
 
   // 保存当前配置
   function saveCurrentConfig() {
     const configName = elements.configName.value.trim();
+    const provider = elements.apiProvider.value;
     const endpoint = elements.apiEndpoint.value.trim();
     const apiKey = elements.apiKey.value.trim();
     const model = elements.modelName.value.trim();
+    const requestsPerMinute = parseInt(elements.requestsPerMinute.value) || 0;
+    const inputPrice = parseFloat(elements.inputPrice.value);
+    const outputPrice = parseFloat(elements.outputPrice.value);
     
     // 非空检测
     if (!configName) {
@@ -286,14 +436,21 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (selectedConfig && selectedConfig !== configName && apiConfigs[selectedConfig]) {
       // 删除旧名称的配置
       delete apiConfigs[selectedConfig];
+      fallbackOrder = fallbackOrder.map(name => name === selectedConfig ? configName : name);
     }
     
     // 保存配置
     apiConfigs[configName] = {
+      provider: provider,
       endpoint: endpoint,
       apiKey: apiKey,
       model: model
     };
+    if (requestsPerMinute > 0) {
+      apiConfigs[configName].requestsPerMinute = requestsPerMinute;
+    }
+    if (inputPrice >= 0) apiConfigs[configName].inputPrice = inputPrice;
+    if (outputPrice >= 0) apiConfigs[configName].outputPrice = outputPrice;
     
     currentConfigName = configName;
     
@@ -301,6 +458,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     chrome.storage.sync.set({ 
       apiConfigs: apiConfigs,
       currentApiConfig: currentConfigName,
+      apiFallbackOrder: fallbackOrder,
+      apiProvider: provider,
       apiEndpoint: endpoint,
       apiKey: apiKey,
       modelName: model
@@ -324,17 +483,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     delete apiConfigs[configName];
     currentConfigName = Object.keys(apiConfigs)[0];
+    fallbackOrder = fallbackOrder.filter(name => name !== configName);
     
     // 保存到存储并应用新配置
     chrome.storage.sync.set({ 
       apiConfigs: apiConfigs,
-      currentApiConfig: currentConfigName
+      currentApiConfig: currentConfigName,
+      apiFallbackOrder: fallbackOrder
     }, () => {
       updateConfigSelect();
       applyConfig(currentConfigName);
       // 同时更新当前使用的 API 配置
       const config = apiConfigs[currentConfigName];
       chrome.storage.sync.set({
+        apiProvider: config.provider || VocabMeldProviders.detectProviderType(config.endpoint),
         apiEndpoint: config.endpoint,
         apiKey: config.apiKey,
         modelName: config.model
@@ -373,6 +535,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       // API 配置（如果没有配置列表，使用直接存储的值作为后备）
       if (!result.apiConfigs) {
+        elements.apiProvider.value = result.apiProvider || VocabMeldProviders.detectProviderType(result.apiEndpoint);
         elements.apiEndpoint.value = result.apiEndpoint || DEFAULT_API_CONFIGS['DeepSeek'].endpoint;
         elements.apiKey.value = result.apiKey || '';
         elements.modelName.value = result.modelName || DEFAULT_API_CONFIGS['DeepSeek'].model;
@@ -390,6 +553,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       elements.intensityRadios.forEach(radio => {
         radio.checked = radio.value === intensity;
       });
+      elements.replaceOccurrences.value = result.replaceOccurrences || 'first';
       
       const processMode = result.processMode || 'both';
       elements.processModeRadios.forEach(radio => {
@@ -400,11 +564,21 @@ document.addEventListener('DOMContentLoaded', async () => {
       elements.autoProcess.checked = result.autoProcess ?? false;
       elements.showPhonetic.checked = result.showPhonetic ?? true;
       elements.showAddMemorize.checked = result.showAddMemorize ?? true;
+      elements.batchMode.checked = result.batchMode ?? false;
+      elements.batchTokenBudget.value = result.batchTokenBudget || 1500;
+      elements.requestTimeout.value = result.requestTimeout || 60;
+      elements.cacheTtlDays.value = result.cacheTtlDays || 0;
+      elements.dictionaryMode.value = result.dictionaryMode || 'off';
+      elements.streamResponses.checked = result.streamResponses ?? true;
+      elements.structuredOutput.checked = result.structuredOutput ?? true;
+      elements.senseDisambiguation.checked = result.senseDisambiguation ?? false;
       
       const cacheMaxSize = result.cacheMaxSize || 2000;
       elements.cacheMaxSizeRadios.forEach(radio => {
         radio.checked = parseInt(radio.value) === cacheMaxSize;
       });
+      elements.cacheEvictionPolicy.value = result.cacheEvictionPolicy || 'lru';
+      elements.cachePinWords.checked = result.cachePinWords ?? true;
       
       const translationStyle = result.translationStyle || 'translation-original';
       elements.translationStyleRadios.forEach(radio => {
@@ -419,6 +593,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       updateSiteListVisibility(siteMode);
       elements.excludedSitesInput.value = (result.excludedSites || result.blacklist || []).join('\n');
       elements.allowedSitesInput.value = (result.allowedSites || []).join('\n');
+      elements.segmentationWordsInput.value = (result.segmentationWords || []).join('\n');
       
       // 发音设置
       elements.ttsRate.value = result.ttsRate || 1.0;
@@ -431,7 +606,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       loadWordLists(result);
       
       // 加载统计
+      elements.monthlyBudget.value = result.monthlyBudget || '';
       loadStats(result);
+      loadUsage();
     });
   }
 
@@ -468,31 +645,46 @@ document.addEventListener('DOMContentLoaded', async () => {
     filterLearnedWords();
     filterMemorizeWords();
     
-    // 加载缓存
-    chrome.storage.local.get('vocabmeld_word_cache', (data) => {
-      const cache = data.vocabmeld_word_cache || [];
+    // 加载缓存（保存在后台的 IndexedDB 中）
+    chrome.runtime.sendMessage({ action: 'getWordCache' }, (response) => {
+      const cache = response?.items || [];
       elements.cachedTabCount.textContent = cache.length;
       
       const cacheWords = cache.map(item => {
-        const [word] = item.key.split(':');
         return { 
-          original: word, 
-          word: item.translation, 
+          original: item.original, // 页面中出现的原词形，旧条目为键中的词元
+          // 多义词按语境保存了多个释义时全部显示
+          word: item.senses?.length > 1 ? item.senses.map(sense => sense.translation).join(' / ') : item.translation, 
           addedAt: item.timestamp,
           difficulty: item.difficulty || 'B1',
           phonetic: item.phonetic || '',
+          model: item.model || '',
+          promptVersion: item.promptVersion || '',
+          hits: item.hits || 0,
+          pinned: Boolean(item.pinned),
           cacheKey: item.key // 保存完整的缓存key用于删除
         };
       });
       
       // 保存原始数据
       allCachedWords = cacheWords;
+      renderCacheModelOptions(cacheWords);
       
       // 应用搜索和筛选
       filterCachedWords();
     });
   }
 
+  // 多词短语（短语动词、固定搭配、习语），与内容脚本共用 lemmatizer.js 中的判断
+  const { isPhrase } = VocabMeldLemmatizer;
+
+  // 按类型筛选：单词或短语
+  function filterByKind(words, tab) {
+    const kind = document.querySelector(`.kind-filter-btn.active[data-tab="${tab}"]`)?.dataset.kind || 'all';
+    if (kind === 'all') return words;
+    return words.filter(w => isPhrase(w.original) === (kind === 'phrase'));
+  }
+
   // 渲染词汇列表
   function renderWordList(container, words, type) {
     if (words.length === 0) {
@@ -508,9 +700,12 @@ document.addEventListener('DOMContentLoaded', async () => {
           </svg>
         </button>
         <span class="word-original">${w.original}</span>
-        ${w.word ? `<span class="word-translation">${w.word}</span>` : ''}
+        ${type !== 'cached' && isPhrase(w.original) ? '<span class="word-phrase">短语</span>' : ''}
+        ${type === 'cached' && w.pinned ? '<span class="word-pinned" title="需记忆或已学会的词，不会被淘汰">📌</span>' : ''}
+        ${w.word ? `<span class="word-translation"${type === 'cached' ? ` title="${formatCacheSource(w)}"` : ''}>${w.word}</span>` : ''}
         ${w.difficulty ? `<span class="word-difficulty difficulty-${w.difficulty.toLowerCase()}">${w.difficulty}</span>` : ''}
         <span class="word-date">${formatDate(w.addedAt)}</span>
+        ${type === 'cached' ? `<button class="word-retranslate" data-key="${w.cacheKey || ''}" title="重新翻译">&#8635;</button>` : ''}
         ${type !== 'cached' ? `<button class="word-remove" data-word="${w.original}" data-type="${type}">&times;</button>` : `<button class="word-remove" data-key="${w.cacheKey || ''}" data-type="cached">&times;</button>`}
       </div>
     `).join('');
@@ -520,6 +715,11 @@ document.addEventListener('DOMContentLoaded', async () => {
       btn.addEventListener('click', () => speakWord(btn.dataset.word));
     });
 
+    // 绑定重新翻译事件（仅已缓存）
+    container.querySelectorAll('.word-retranslate').forEach(btn => {
+      btn.addEventListener('click', () => retranslateCacheItem(btn));
+    });
+
     // 绑定删除事件
     container.querySelectorAll('.word-remove').forEach(btn => {
       btn.addEventListener('click', () => {
@@ -535,29 +735,65 @@ document.addEventListener('DOMContentLoaded', async () => {
   // 删除单个缓存项
   function removeCacheItem(key) {
     if (!key) return;
-    chrome.storage.local.get('vocabmeld_word_cache', (data) => {
-      const cache = data.vocabmeld_word_cache || [];
-      const newCache = cache.filter(item => item.key !== key);
-      chrome.storage.local.set({ vocabmeld_word_cache: newCache }, () => {
-        loadSettings();
-      });
+    chrome.runtime.sendMessage({ action: 'deleteCachedWords', keys: [key] }, () => {
+      loadSettings();
+    });
+  }
+
+  // 用当前模型重新翻译单个缓存项，新译文替换原条目
+  function retranslateCacheItem(btn) {
+    if (!btn.dataset.key) return;
+    btn.disabled = true;
+    chrome.runtime.sendMessage({ action: 'retranslateCachedWord', key: btn.dataset.key }, (response) => {
+      btn.disabled = false;
+      if (chrome.runtime.lastError || !response?.success) {
+        alert('重新翻译失败：' + (response?.error || chrome.runtime.lastError?.message || '未知错误'));
+        return;
+      }
+      loadSettings();
     });
   }
 
-  // 发音功能
+  // 缓存译文的来源说明：模型、提示词版本、命中次数
+  function formatCacheSource(w) {
+    return `模型：${w.model || '未知'} · 提示词：${w.promptVersion || '未知'} · 命中：${w.hits || 0} 次`;
+  }
+
+  // 按缓存中出现的模型生成作废选项，未记录模型的旧条目归为一项
+  function renderCacheModelOptions(cacheWords) {
+    const counts = new Map();
+    cacheWords.forEach(w => counts.set(w.model, (counts.get(w.model) || 0) + 1));
+    const selected = elements.cacheModelSelect.value;
+
+    elements.cacheModelSelect.innerHTML = '';
+    for (const [model, count] of counts) {
+      const option = document.createElement('option');
+      option.value = model;
+      option.textContent = `${model || '未知模型（旧版本缓存）'} (${count})`;
+      elements.cacheModelSelect.appendChild(option);
+    }
+    if (counts.has(selected)) elements.cacheModelSelect.value = selected;
+    elements.invalidateModelBtn.disabled = counts.size === 0;
+  }
+
+  // 发音功能：按词所用的文字选择语言，文字与学习语言相同时按学习语言朗读
   function speakWord(word) {
     if (!word) return;
-    
-    // 检测语言
-    const isChinese = /[\u4e00-\u9fff]/.test(word);
-    const isJapanese = /[\u3040-\u309f\u30a0-\u30ff]/.test(word);
-    const isKorean = /[\uac00-\ud7af]/.test(word);
-    
-    let lang = 'en-US';
-    if (isChinese) lang = 'zh-CN';
-    else if (isJapanese) lang = 'ja-JP';
-    else if (isKorean) lang = 'ko-KR';
-    
+
+    const scripts = [
+      ['kana', /[\u3040-\u309f\u30a0-\u30ff]/],
+      ['hangul', /[\uac00-\ud7af]/],
+      ['han', /[\u4e00-\u9fff]/],
+      ['cyrillic', /\p{Script=Cyrillic}/u],
+      ['arabic', /\p{Script=Arabic}/u]
+    ];
+    const script = scripts.find(([, pattern]) => pattern.test(word))?.[0] || 'latin';
+    const targetLang = VocabMeldLanguages.getLanguage(elements.targetLanguage.value);
+    const language = targetLang?.script === script || (script === 'han' && targetLang?.code === 'ja')
+      ? targetLang
+      : VocabMeldLanguages.LANGUAGES.find(lang => lang.script === script);
+    const lang = language?.ttsLocale || 'en-US';
+
     chrome.runtime.sendMessage({ action: 'speak', text: word, lang });
   }
 
@@ -581,6 +817,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       filtered = filtered.filter(w => w.difficulty === selectedDifficulty);
     }
     
+    // 应用类型筛选
+    filtered = filterByKind(filtered, 'learned');
+    
     // 更新计数
     elements.learnedTabCount.textContent = `${filtered.length} / ${allLearnedWords.length}`;
     
@@ -608,6 +847,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       filtered = filtered.filter(w => w.difficulty === selectedDifficulty);
     }
     
+    // 应用类型筛选
+    filtered = filterByKind(filtered, 'memorize');
+    
     // 更新计数
     elements.memorizeTabCount.textContent = `${filtered.length} / ${allMemorizeWords.length}`;
     
@@ -664,6 +906,44 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  // 格式化花费
+  function formatCost(cost) {
+    return cost >= 1 ? cost.toFixed(2) : cost.toFixed(4);
+  }
+
+  // 格式化 token 数
+  function formatTokens(tokens) {
+    if (tokens >= 1e6) return (tokens / 1e6).toFixed(2) + 'M';
+    if (tokens >= 1e3) return (tokens / 1e3).toFixed(1) + 'k';
+    return String(tokens);
+  }
+
+  // 加载 token 用量与花费
+  function loadUsage() {
+    chrome.runtime.sendMessage({ action: 'getUsage' }, (usage) => {
+      if (!usage || usage.error) return;
+      elements.statTodayCost.textContent = formatCost(usage.today.cost);
+      elements.statMonthCost.textContent = formatCost(usage.month.cost);
+      elements.statMonthTokens.textContent = formatTokens(usage.month.promptTokens + usage.month.completionTokens);
+
+      const byConfig = Object.entries(usage.byConfig)
+        .sort((a, b) => b[1].cost - a[1].cost)
+        .map(([name, entry]) => `${name} ${formatCost(entry.cost)}（输入 ${formatTokens(entry.promptTokens)} / 输出 ${formatTokens(entry.completionTokens)}，${entry.requests} 次）`);
+      elements.statUsageByConfig.textContent = byConfig.length > 0 ? `本月各配置: ${byConfig.join(' · ')}` : '';
+
+      if (usage.monthlyBudget > 0) {
+        const percent = Math.round(usage.month.cost / usage.monthlyBudget * 100);
+        elements.budgetStatus.textContent = usage.overBudget
+          ? `已用 ${percent}%，自动处理已暂停`
+          : `已用 ${percent}%`;
+        elements.budgetStatus.className = usage.overBudget ? 'usage-budget-status over' : 'usage-budget-status';
+      } else {
+        elements.budgetStatus.textContent = '';
+        elements.budgetStatus.className = 'usage-budget-status';
+      }
+    });
+  }
+
   // 加载统计数据
   function loadStats(result) {
     elements.statTotalWords.textContent = result.totalWords || 0;
@@ -677,36 +957,70 @@ document.addEventListener('DOMContentLoaded', async () => {
     const hitRate = total > 0 ? Math.round((hits / total) * 100) : 0;
     elements.statHitRate.textContent = hitRate + '%';
     
-    chrome.storage.local.get('vocabmeld_word_cache', (data) => {
-      const cacheSize = (data.vocabmeld_word_cache || []).length;
+    chrome.runtime.sendMessage({ action: 'getCacheStats' }, (response) => {
+      const cacheSize = response?.size || 0;
       const checkedRadio = document.querySelector('input[name="cacheMaxSize"]:checked');
       const maxSize = checkedRadio ? parseInt(checkedRadio.value) : 2000;
       elements.statCacheSize.textContent = `${cacheSize}/${maxSize}`;
       elements.cacheProgress.style.width = (cacheSize / maxSize * 100) + '%';
     });
+    
+    // 各 API 配置实际提供服务的次数
+    chrome.storage.local.get('vocabmeld_api_stats', (data) => {
+      const apiStats = data.vocabmeld_api_stats || {};
+      const servedBy = Object.entries(apiStats.servedBy || {})
+        .sort((a, b) => b[1] - a[1])
+        .map(([name, count]) => `${name} ${count} 次`);
+      elements.statServedBy.textContent = servedBy.length > 0
+        ? `服务商: 最近由 ${apiStats.lastServedBy} 提供 · ${servedBy.join(' · ')}`
+        : '';
+
+      // 校验时被丢弃的 AI 结果，用于排查模型输出质量
+      const rejections = Object.entries(apiStats.rejections || {})
+        .filter(([, count]) => count > 0)
+        .map(([reason, count]) => `${REJECTION_LABELS[reason] || reason} ${count}`);
+      elements.statRejections.textContent = rejections.length > 0
+        ? `已丢弃的 AI 结果: ${rejections.join(' · ')}`
+        : '';
+    });
   }
 
   // 保存设置（静默保存）
   async function saveSettings() {
     const settings = {
       theme: document.querySelector('input[name="theme"]:checked').value,
+      apiProvider: elements.apiProvider.value,
       apiEndpoint: elements.apiEndpoint.value.trim(),
       apiKey: elements.apiKey.value.trim(),
       modelName: elements.modelName.value.trim(),
+      apiFailoverEnabled: elements.apiFailoverEnabled.checked,
       nativeLanguage: elements.nativeLanguage.value,
       targetLanguage: elements.targetLanguage.value,
       difficultyLevel: CEFR_LEVELS[elements.difficultyLevel.value],
       intensity: document.querySelector('input[name="intensity"]:checked').value,
+      replaceOccurrences: elements.replaceOccurrences.value,
       processMode: document.querySelector('input[name="processMode"]:checked')?.value || 'both',
       autoProcess: elements.autoProcess.checked,
       showPhonetic: elements.showPhonetic.checked,
       showAddMemorize: elements.showAddMemorize.checked,
+      monthlyBudget: Math.max(0, parseFloat(elements.monthlyBudget.value) || 0),
+      batchMode: elements.batchMode.checked,
+      batchTokenBudget: Math.max(200, parseInt(elements.batchTokenBudget.value) || 1500),
+      requestTimeout: Math.min(600, Math.max(5, parseInt(elements.requestTimeout.value) || 60)),
+      cacheTtlDays: Math.min(3650, Math.max(0, parseInt(elements.cacheTtlDays.value) || 0)),
+      dictionaryMode: elements.dictionaryMode.value,
+      streamResponses: elements.streamResponses.checked,
+      structuredOutput: elements.structuredOutput.checked,
+      senseDisambiguation: elements.senseDisambiguation.checked,
       cacheMaxSize: parseInt(document.querySelector('input[name="cacheMaxSize"]:checked').value),
+      cacheEvictionPolicy: elements.cacheEvictionPolicy.value,
+      cachePinWords: elements.cachePinWords.checked,
       translationStyle: document.querySelector('input[name="translationStyle"]:checked').value,
       ttsVoice: elements.ttsVoice.value,
       ttsRate: parseFloat(elements.ttsRate.value),
       siteMode: document.querySelector('input[name="siteMode"]:checked').value,
       excludedSites: elements.excludedSitesInput.value.split('\n').filter(s => s.trim()),
+      segmentationWords: [...new Set(elements.segmentationWordsInput.value.split('\n').map(s => s.trim()).filter(Boolean))],
       allowedSites: elements.allowedSitesInput.value.split('\n').filter(s => s.trim())
     };
 
@@ -726,7 +1040,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       elements.apiKey,
       elements.modelName,
       elements.excludedSitesInput,
-      elements.allowedSitesInput
+      elements.allowedSitesInput,
+      elements.segmentationWordsInput
     ];
 
     textInputs.forEach(input => {
@@ -735,6 +1050,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
 
     // 下拉框 - 改变时保存
+    elements.apiProvider.addEventListener('change', () => debouncedSave(200));
     elements.nativeLanguage.addEventListener('change', () => debouncedSave(200));
     
     // 缓存上限 - 改变时保存
@@ -765,6 +1081,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     elements.intensityRadios.forEach(radio => {
       radio.addEventListener('change', () => debouncedSave(200));
     });
+    elements.replaceOccurrences.addEventListener('change', () => debouncedSave(200));
 
     elements.processModeRadios.forEach(radio => {
       radio.addEventListener('change', () => debouncedSave(200));
@@ -782,17 +1099,38 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
     });
 
+    // 故障转移开关 - 同时更新备用列表的可用状态
+    elements.apiFailoverEnabled.addEventListener('change', () => {
+      elements.fallbackList.classList.toggle('disabled', !elements.apiFailoverEnabled.checked);
+      debouncedSave(200);
+    });
+
     // 开关 - 改变时保存
     const checkboxes = [
       elements.autoProcess,
       elements.showPhonetic,
-      elements.showAddMemorize
+      elements.showAddMemorize,
+      elements.batchMode,
+      elements.streamResponses,
+      elements.structuredOutput,
+      elements.senseDisambiguation,
+      elements.cachePinWords
     ];
 
     checkboxes.forEach(checkbox => {
       checkbox.addEventListener('change', () => debouncedSave(200));
     });
 
+    elements.batchTokenBudget.addEventListener('change', () => debouncedSave(200));
+    elements.requestTimeout.addEventListener('change', () => debouncedSave(200));
+    elements.cacheTtlDays.addEventListener('change', () => debouncedSave(200));
+    elements.dictionaryMode.addEventListener('change', () => debouncedSave(200));
+    elements.cacheEvictionPolicy.addEventListener('change', () => debouncedSave(200));
+    elements.monthlyBudget.addEventListener('change', () => {
+      debouncedSave(200);
+      setTimeout(loadUsage, 500);
+    });
+
     // 发音设置
     elements.ttsVoice.addEventListener('change', () => debouncedSave(200));
     
@@ -804,28 +1142,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     // 测试发音按钮
     elements.testVoiceBtn.addEventListener('click', () => {
       const targetLang = elements.targetLanguage.value;
-      const testTexts = {
-        'en': 'Hello, this is a voice test.',
-        'zh-CN': '你好，这是一个语音测试。',
-        'zh-TW': '你好，這是一個語音測試。',
-        'ja': 'こんにちは、これは音声テストです。',
-        'ko': '안녕하세요, 음성 테스트입니다.',
-        'fr': 'Bonjour, ceci est un test vocal.',
-        'de': 'Hallo, dies ist ein Sprachtest.',
-        'es': 'Hola, esta es una prueba de voz.'
-      };
-      const langCodes = {
-        'en': 'en-US',
-        'zh-CN': 'zh-CN',
-        'zh-TW': 'zh-TW',
-        'ja': 'ja-JP',
-        'ko': 'ko-KR',
-        'fr': 'fr-FR',
-        'de': 'de-DE',
-        'es': 'es-ES'
-      };
-      const testText = testTexts[targetLang] || testTexts['en'];
-      const lang = langCodes[targetLang] || 'en-US';
+      const testText = VocabMeldLanguages.getLanguage(targetLang)?.sample || VocabMeldLanguages.getLanguage('en').sample;
+      const lang = VocabMeldLanguages.getTtsLocale(targetLang);
       
       chrome.runtime.sendMessage({ 
         action: 'speak', 
@@ -835,6 +1153,313 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // ============ 提示词模板 ============
+  const PROMPT_TEMPLATES_KEY = 'vocabmeld_prompt_templates';
+  let promptDefaults = {};   // 默认模板
+  let promptNotes = {};      // 各语言附加要求
+  let customTemplates = {};  // 用户自定义模板 { [语言 | 'default']: { [类型]: string } }
+  let promptSaveTimeout;
+
+  // 加载模板数据（默认模板由 background 提供）
+  function loadPromptTemplates() {
+    chrome.runtime.sendMessage({ action: 'getPromptTemplates' }, (response) => {
+      if (!response || response.error) return;
+      promptDefaults = response.defaults;
+      promptNotes = response.notes;
+      customTemplates = response.custom || {};
+      elements.promptVariables.innerHTML = '可用变量：' + Object.entries(response.variables)
+        .map(([name, desc]) => `<code>{{${name}}}</code> ${desc}`)
+        .join('；');
+      showPromptTemplate();
+    });
+  }
+
+  // 当前编辑的语言未自定义时使用的模板
+  function getFallbackTemplate(language, kind) {
+    if (language !== 'default' && customTemplates.default?.[kind]) {
+      return customTemplates.default[kind];
+    }
+    return promptDefaults[kind] || '';
+  }
+
+  // 预览和试运行使用的学习语言
+  function getPromptLearningLanguage() {
+    const language = elements.promptLanguage.value;
+    return language === 'default' ? elements.targetLanguage.value : language;
+  }
+
+  // 显示选中语言和类型的模板
+  function showPromptTemplate() {
+    const language = elements.promptLanguage.value;
+    const kind = elements.promptKind.value;
+    elements.promptTemplate.value = customTemplates[language]?.[kind] || getFallbackTemplate(language, kind);
+
+    const learningLanguage = getPromptLearningLanguage();
+    const note = promptNotes[learningLanguage];
+    const prefix = language === 'default' ? `当前学习语言（${learningLanguage}）` : `${language} `;
+    elements.promptLanguageNote.textContent = note
+      ? `${prefix}的 {{languageNotes}} 预设：${note.replace(/^- /, '')}`
+      : `${prefix}没有附加要求，{{languageNotes}} 为空`;
+    elements.promptOutput.textContent = '';
+  }
+
+  // 保存模板，与回退模板相同时删除自定义项
+  function savePromptTemplate(language, kind, value) {
+    customTemplates[language] = customTemplates[language] || {};
+    if (!value.trim() || value === getFallbackTemplate(language, kind)) {
+      delete customTemplates[language][kind];
+    } else {
+      customTemplates[language][kind] = value;
+    }
+    if (Object.keys(customTemplates[language]).length === 0) {
+      delete customTemplates[language];
+    }
+
+    chrome.storage.local.set({ [PROMPT_TEMPLATES_KEY]: customTemplates }, () => {
+      showPromptStatus('✓ 已保存');
+    });
+  }
+
+  function showPromptStatus(message, isError = false) {
+    elements.promptStatus.textContent = message;
+    elements.promptStatus.className = isError ? 'test-result error' : 'test-result success';
+    setTimeout(() => {
+      elements.promptStatus.textContent = '';
+      elements.promptStatus.className = 'test-result';
+    }, 2000);
+  }
+
+  // 用示例文本生成模板变量
+  function buildSamplePrompt() {
+    const kind = elements.promptKind.value;
+    const language = getPromptLearningLanguage();
+    const sample = elements.promptSampleText.value.trim();
+    const variables = {
+      sourceLang: language,
+      targetLang: elements.nativeLanguage.value,
+      count: 8,
+      maxCount: 16,
+      level: CEFR_LEVELS[elements.difficultyLevel.value],
+      text: sample
+    };
+    if (kind === 'batch') {
+      variables.count = 1;
+      variables.text = `[s1]（约 8 个词汇，不超过 16 个）\n${sample}`;
+    } else if (kind === 'specificWords') {
+      const words = sample.split(/[,，\n]/).map(w => w.trim()).filter(Boolean);
+      variables.count = words.length;
+      variables.text = words.join(', ');
+    }
+    return { kind, language, variables, template: elements.promptTemplate.value };
+  }
+
+  // 本地词典导入时每个消息携带的文件字节数（Base64 编码前）
+  const DICTIONARY_CHUNK_SIZE = 3 * 1024 * 1024;
+
+  const DICTIONARY_FORMAT_NAMES = {
+    builtin: '内置',
+    stardict: 'StarDict',
+    cedict: 'CC-CEDICT',
+    jmdict: 'JMdict',
+    freedict: 'FreeDict',
+    tsv: '制表符分隔'
+  };
+
+  // 加载已安装的词典
+  function loadDictionaries() {
+    chrome.runtime.sendMessage({ action: 'getDictionaries' }, (response) => {
+      if (!response?.success) {
+        elements.dictionaryList.innerHTML = `<p class="help-text">无法读取词典：${response?.error || '未知错误'}</p>`;
+        return;
+      }
+      renderDictionaryList(response.dictionaries);
+    });
+  }
+
+  function renderDictionaryList(dictionaries) {
+    elements.dictionaryList.innerHTML = dictionaries.map(dict => `
+      <div class="dictionary-item" data-id="${dict.id}">
+        ${dict.builtin ? '' : `<input type="checkbox" class="dictionary-toggle" title="启用" ${dict.enabled ? 'checked' : ''}>`}
+        <div class="dictionary-info">
+          <span class="dictionary-name"></span>
+          <span class="dictionary-meta">${DICTIONARY_FORMAT_NAMES[dict.format] || dict.format} · ${dict.pairs.join('，')} · ${dict.entryCount.toLocaleString()} 条</span>
+        </div>
+        ${dict.builtin ? '' : '<button type="button" class="btn-icon dictionary-delete" title="删除">×</button>'}
+      </div>
+    `).join('');
+
+    // 名称来自用户文件，用 textContent 写入
+    elements.dictionaryList.querySelectorAll('.dictionary-item').forEach((item, i) => {
+      item.querySelector('.dictionary-name').textContent = dictionaries[i].name;
+    });
+
+    elements.dictionaryList.querySelectorAll('.dictionary-toggle').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        const id = checkbox.closest('.dictionary-item').dataset.id;
+        chrome.runtime.sendMessage({ action: 'setDictionaryEnabled', id, enabled: checkbox.checked });
+      });
+    });
+    elements.dictionaryList.querySelectorAll('.dictionary-delete').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const item = btn.closest('.dictionary-item');
+        if (!confirm(`确定要删除词典「${item.querySelector('.dictionary-name').textContent}」吗？`)) return;
+        chrome.runtime.sendMessage({ action: 'deleteDictionary', id: item.dataset.id }, loadDictionaries);
+      });
+    });
+  }
+
+  function showDictionaryStatus(message, state = '') {
+    elements.dictionaryStatus.textContent = message;
+    elements.dictionaryStatus.className = state ? `test-result ${state}` : 'test-result';
+  }
+
+  // 字节转 Base64（分段转换，避免参数过多导致栈溢出）
+  function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  // 分块发送选中的文件，全部发送后由 background 解析入库
+  async function importDictionary() {
+    const files = [...elements.dictionaryFiles.files];
+    if (files.length === 0) {
+      showDictionaryStatus('请先选择词典文件', 'error');
+      return;
+    }
+
+    const importId = `import_${Date.now()}`;
+    elements.importDictionaryBtn.disabled = true;
+    try {
+      for (const file of files) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        for (let offset = 0; offset < bytes.length; offset += DICTIONARY_CHUNK_SIZE) {
+          showDictionaryStatus(`上传 ${file.name}… ${Math.round(offset / bytes.length * 100)}%`);
+          await chrome.runtime.sendMessage({
+            action: 'importDictionaryChunk',
+            importId,
+            fileName: file.name,
+            data: bytesToBase64(bytes.subarray(offset, offset + DICTIONARY_CHUNK_SIZE))
+          });
+        }
+      }
+
+      showDictionaryStatus('解析中，大型词典可能需要一分钟…');
+      const response = await chrome.runtime.sendMessage({
+        action: 'importDictionary',
+        importId,
+        options: {
+          name: elements.dictionaryName.value.trim(),
+          format: elements.dictionaryFormat.value,
+          sourceLang: elements.dictionarySourceLang.value,
+          targetLang: elements.dictionaryTargetLang.value
+        }
+      });
+      if (!response?.success) throw new Error(response?.error || '导入失败');
+
+      showDictionaryStatus(`✓ 已导入 ${response.dictionary.entryCount.toLocaleString()} 条词条`, 'success');
+      elements.dictionaryFiles.value = '';
+      elements.dictionaryName.value = '';
+      loadDictionaries();
+    } catch (error) {
+      chrome.runtime.sendMessage({ action: 'cancelDictionaryImport', importId });
+      showDictionaryStatus(`✗ ${error.message}`, 'error');
+    } finally {
+      elements.importDictionaryBtn.disabled = false;
+    }
+  }
+
+  // 缓存预热状态存储键（与 background 中的 cache-warmup 模块一致）
+  const WARMUP_STATE_KEY = 'vocabmeld_warmup';
+
+  const WARMUP_PAUSE_REASONS = {
+    user: '已暂停',
+    budget: '已用完 token 预算，可提高预算后继续',
+    monthlyBudget: '本月预算已用完，已暂停',
+    error: '请求失败，已暂停'
+  };
+
+  // 显示预热进度和可用的操作
+  function renderWarmupState(state = { status: 'idle' }) {
+    const { status } = state;
+    const total = state.total || 0;
+    const done = state.done || 0;
+    elements.warmupProgress.style.width = total > 0 ? `${done / total * 100}%` : '0%';
+
+    const active = status === 'running' || status === 'paused';
+    elements.warmupStartBtn.style.display = active ? 'none' : '';
+    elements.warmupPauseBtn.style.display = status === 'running' ? '' : 'none';
+    elements.warmupResumeBtn.style.display = status === 'paused' ? '' : 'none';
+    elements.warmupCancelBtn.style.display = active ? '' : 'none';
+
+    const progress = `${done} / ${total} 词，写入 ${state.cached || 0} 条，已用 ${(state.tokensUsed || 0).toLocaleString()} / ${(state.tokenBudget || 0).toLocaleString()} tokens`;
+    if (status === 'running') {
+      showWarmupStatus(`预热中：${progress}`);
+    } else if (status === 'paused') {
+      const reason = WARMUP_PAUSE_REASONS[state.reason] || '已暂停';
+      showWarmupStatus(`${reason}${state.error ? `（${state.error}）` : ''}：${progress}`, state.reason === 'error' ? 'error' : '');
+    } else if (status === 'done') {
+      showWarmupStatus(`✓ 预热完成：${progress}`, 'success');
+    } else {
+      showWarmupStatus('');
+    }
+  }
+
+  function showWarmupStatus(message, state = '') {
+    elements.warmupStatus.textContent = message;
+    elements.warmupStatus.className = state ? `test-result ${state}` : 'test-result';
+  }
+
+  // 读取词表文件：每行取第一列，跳过空行和注释
+  async function readWarmupFile(file) {
+    const text = await file.text();
+    return text.split(/\r?\n/)
+      .filter(line => line.trim() && !line.trim().startsWith('#'))
+      .map(line => line.split(/[\t,;]/)[0].trim())
+      .filter(word => word && !/^\d+$/.test(word));
+  }
+
+  // 开始预热：方向决定词表语言，学习语言词表翻译为母语，母语词表翻译为学习语言
+  async function startWarmup() {
+    const nativeLanguage = elements.nativeLanguage.value;
+    const targetLanguage = elements.targetLanguage.value;
+    const fromTarget = elements.warmupDirection.value === 'target';
+    const options = {
+      source: elements.warmupSource.value,
+      sourceLang: fromTarget ? targetLanguage : nativeLanguage,
+      targetLang: fromTarget ? nativeLanguage : targetLanguage,
+      tokenBudget: parseInt(elements.warmupTokenBudget.value) || 0
+    };
+
+    if (options.source === 'file') {
+      const file = elements.warmupFile.files[0];
+      if (!file) {
+        showWarmupStatus('请选择词表文件', 'error');
+        return;
+      }
+      options.words = await readWarmupFile(file);
+    }
+
+    elements.warmupStartBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'warmupStart', options });
+      if (!response?.success) throw new Error(response?.error || '预热失败');
+      renderWarmupState(response.state);
+    } catch (error) {
+      showWarmupStatus(`✗ ${error.message}`, 'error');
+    } finally {
+      elements.warmupStartBtn.disabled = false;
+    }
+  }
+
+  function loadWarmupState() {
+    chrome.runtime.sendMessage({ action: 'warmupStatus' }, (response) => {
+      if (response?.success) renderWarmupState(response.state);
+    });
+  }
+
   // 更新难度标签
   function updateDifficultyLabel() {
     const level = CEFR_LEVELS[elements.difficultyLevel.value];
@@ -888,10 +1513,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     elements.apiConfigSelect.addEventListener('change', () => {
       const selectedValue = elements.apiConfigSelect.value;
       applyConfig(selectedValue);
+      renderFallbackList();
       // 切换配置时保存当前使用的配置
       if (apiConfigs[selectedValue]) {
         chrome.storage.sync.set({ 
           currentApiConfig: selectedValue,
+          apiProvider: elements.apiProvider.value,
           apiEndpoint: elements.apiEndpoint.value,
           apiKey: elements.apiKey.value,
           modelName: elements.modelName.value
@@ -913,9 +1540,13 @@ document.addEventListener('DOMContentLoaded', async () => {
       select.value = '_new';
       
       elements.configName.value = '';
+      elements.apiProvider.value = 'openai';
       elements.apiEndpoint.value = '';
       elements.apiKey.value = '';
       elements.modelName.value = '';
+      elements.requestsPerMinute.value = '';
+      elements.inputPrice.value = '';
+      elements.outputPrice.value = '';
       currentConfigName = '';
       elements.configName.focus();
     });
@@ -926,6 +1557,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     // 删除配置按钮
     elements.deleteConfigBtn.addEventListener('click', deleteCurrentConfig);
 
+    // 切换协议时，若端点为空或仍是其他协议的默认端点，则填入对应默认端点
+    elements.apiProvider.addEventListener('change', () => {
+      const endpoint = elements.apiEndpoint.value.trim();
+      const isDefaultEndpoint = Object.values(VocabMeldProviders.DEFAULT_ENDPOINTS).includes(endpoint);
+      if (!endpoint || isDefaultEndpoint) {
+        elements.apiEndpoint.value = VocabMeldProviders.DEFAULT_ENDPOINTS[elements.apiProvider.value];
+      }
+      // 离线模拟不区分模型，填入占位名称以便保存配置
+      if (elements.apiProvider.value === 'mock' && !elements.modelName.value.trim()) {
+        elements.modelName.value = 'mock';
+      }
+    });
+
     // 切换 API 密钥可见性
     elements.toggleApiKey.addEventListener('click', () => {
       const type = elements.apiKey.type === 'password' ? 'text' : 'password';
@@ -940,9 +1584,11 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       chrome.runtime.sendMessage({
         action: 'testApi',
+        provider: elements.apiProvider.value,
         endpoint: elements.apiEndpoint.value,
         apiKey: elements.apiKey.value,
-        model: elements.modelName.value
+        model: elements.modelName.value,
+        timeoutMs: (parseInt(elements.requestTimeout.value) || 60) * 1000
       }, (response) => {
         elements.testConnectionBtn.disabled = false;
         if (response?.success) {
@@ -958,6 +1604,90 @@ document.addEventListener('DOMContentLoaded', async () => {
     // 难度滑块
     elements.difficultyLevel.addEventListener('input', updateDifficultyLabel);
 
+    // 提示词模板
+    elements.promptLanguage.addEventListener('change', showPromptTemplate);
+    elements.promptKind.addEventListener('change', showPromptTemplate);
+    elements.targetLanguage.addEventListener('change', showPromptTemplate);
+
+    // 记下编辑时的语言和类型，避免防抖期间切换下拉框后保存到错误位置
+    elements.promptTemplate.addEventListener('input', () => {
+      const language = elements.promptLanguage.value;
+      const kind = elements.promptKind.value;
+      const value = elements.promptTemplate.value;
+      clearTimeout(promptSaveTimeout);
+      promptSaveTimeout = setTimeout(() => savePromptTemplate(language, kind, value), 500);
+    });
+
+    elements.resetPromptBtn.addEventListener('click', () => {
+      const language = elements.promptLanguage.value;
+      const kind = elements.promptKind.value;
+      if (!customTemplates[language]?.[kind]) {
+        showPromptStatus('已是默认模板');
+        return;
+      }
+      if (!confirm('确定要恢复该模板为默认内容吗？')) return;
+      clearTimeout(promptSaveTimeout);
+      elements.promptTemplate.value = getFallbackTemplate(language, kind);
+      savePromptTemplate(language, kind, elements.promptTemplate.value);
+    });
+
+    elements.previewPromptBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'renderPrompt', prompt: buildSamplePrompt() }, (response) => {
+        if (response?.success) {
+          elements.promptOutput.textContent = response.prompt;
+        } else {
+          showPromptStatus('✗ ' + (response?.error || '预览失败'), true);
+        }
+      });
+    });
+
+    // 试运行：用未保存的模板和示例文本实际调用当前 API 配置
+    elements.dryRunPromptBtn.addEventListener('click', () => {
+      elements.dryRunPromptBtn.disabled = true;
+      elements.promptStatus.textContent = '请求中...';
+      elements.promptStatus.className = 'test-result';
+
+      chrome.runtime.sendMessage({
+        action: 'apiRequest',
+        request: { prompt: buildSamplePrompt(), temperature: 0.3, maxTokens: 2000 },
+        priority: 'visible'
+      }, (response) => {
+        elements.dryRunPromptBtn.disabled = false;
+        elements.promptStatus.textContent = '';
+        if (!response?.success) {
+          showPromptStatus('✗ ' + (response?.error || '请求失败'), true);
+          return;
+        }
+        const content = response.data.content || '';
+        let output = content;
+        try {
+          output = JSON.stringify(JSON.parse(content), null, 2);
+        } catch (e) {
+          // 不是纯 JSON 时显示原始内容，便于检查模板是否让模型输出了多余文字
+        }
+        elements.promptOutput.textContent = `// 由 ${response.data.servedBy} 返回\n${output}`;
+      });
+    });
+
+    // 导入本地词典
+    elements.importDictionaryBtn.addEventListener('click', importDictionary);
+
+    // 缓存预热
+    elements.warmupSource.addEventListener('change', () => {
+      elements.warmupFileGroup.style.display = elements.warmupSource.value === 'file' ? 'block' : 'none';
+    });
+    elements.warmupStartBtn.addEventListener('click', startWarmup);
+    elements.warmupPauseBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'warmupPause' }, () => void chrome.runtime.lastError);
+    });
+    elements.warmupResumeBtn.addEventListener('click', () => {
+      const tokenBudget = parseInt(elements.warmupTokenBudget.value) || 0;
+      chrome.runtime.sendMessage({ action: 'warmupResume', tokenBudget }, () => void chrome.runtime.lastError);
+    });
+    elements.warmupCancelBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'warmupCancel' }, () => void chrome.runtime.lastError);
+    });
+
     // 词汇标签切换
     elements.wordTabs.forEach(tab => {
       tab.addEventListener('click', () => {
@@ -1026,6 +1756,21 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
     });
 
+    // 类型筛选按钮事件
+    elements.kindFilterBtns.forEach(btn => {
+      btn.addEventListener('click', () => {
+        const tab = btn.dataset.tab;
+        document.querySelectorAll(`.kind-filter-btn[data-tab="${tab}"]`).forEach(b => {
+          b.classList.toggle('active', b === btn);
+        });
+        if (tab === 'learned') {
+          filterLearnedWords();
+        } else {
+          filterMemorizeWords();
+        }
+      });
+    });
+
     // 清空按钮
     elements.clearLearnedBtn.addEventListener('click', () => {
       if (confirm('确定要清空所有已学会词汇吗？')) {
@@ -1045,6 +1790,16 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     });
 
+    elements.invalidateModelBtn.addEventListener('click', () => {
+      const model = elements.cacheModelSelect.value;
+      const label = model || '未知模型';
+      if (confirm(`确定要作废由 ${label} 生成的全部缓存译文吗？`)) {
+        chrome.runtime.sendMessage({ action: 'invalidateCacheModel', model }, () => {
+          loadSettings();
+        });
+      }
+    });
+
     elements.clearCacheBtn.addEventListener('click', () => {
       if (confirm('确定要清空词汇缓存吗？')) {
         chrome.runtime.sendMessage({ action: 'clearCache' }, () => {
@@ -1072,7 +1827,8 @@ document.addEventListener('DOMContentLoaded', async () => {
           learnedWords: [],
           memorizeList: []
         });
-        chrome.storage.local.remove('vocabmeld_word_cache', () => {
+        chrome.runtime.sendMessage({ action: 'clearCache' });
+        chrome.storage.local.remove(['vocabmeld_api_stats', 'vocabmeld_usage'], () => {
           loadSettings();
           debouncedSave(200);
         });
@@ -1092,27 +1848,46 @@ document.addEventListener('DOMContentLoaded', async () => {
       // 根据勾选项添加数据
       if (elements.exportSettings.checked) {
         exportData.settings = {
+          apiProvider: syncData.apiProvider,
           apiEndpoint: syncData.apiEndpoint,
           apiKey: syncData.apiKey,
           modelName: syncData.modelName,
           apiConfigs: syncData.apiConfigs,
           currentApiConfig: syncData.currentApiConfig,
+          apiFailoverEnabled: syncData.apiFailoverEnabled,
+          apiFallbackOrder: syncData.apiFallbackOrder,
           nativeLanguage: syncData.nativeLanguage,
           targetLanguage: syncData.targetLanguage,
           difficultyLevel: syncData.difficultyLevel,
           intensity: syncData.intensity,
+          replaceOccurrences: syncData.replaceOccurrences,
           autoProcess: syncData.autoProcess,
           showPhonetic: syncData.showPhonetic,
           showAddMemorize: syncData.showAddMemorize,
+          monthlyBudget: syncData.monthlyBudget,
+          batchMode: syncData.batchMode,
+          batchTokenBudget: syncData.batchTokenBudget,
+          requestTimeout: syncData.requestTimeout,
+          cacheTtlDays: syncData.cacheTtlDays,
+          dictionaryMode: syncData.dictionaryMode,
+          streamResponses: syncData.streamResponses,
+          structuredOutput: syncData.structuredOutput,
+          senseDisambiguation: syncData.senseDisambiguation,
           cacheMaxSize: syncData.cacheMaxSize,
+          cacheEvictionPolicy: syncData.cacheEvictionPolicy,
+          cachePinWords: syncData.cachePinWords,
           translationStyle: syncData.translationStyle,
           theme: syncData.theme,
           ttsVoice: syncData.ttsVoice,
           ttsRate: syncData.ttsRate,
           siteMode: syncData.siteMode,
           excludedSites: syncData.excludedSites,
+          segmentationWords: syncData.segmentationWords,
           allowedSites: syncData.allowedSites
         };
+
+        const localData = await new Promise(resolve => chrome.storage.local.get(PROMPT_TEMPLATES_KEY, resolve));
+        exportData.promptTemplates = localData[PROMPT_TEMPLATES_KEY] || {};
       }
       
       if (elements.exportWords.checked) {
@@ -1131,8 +1906,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
       
       if (elements.exportCache.checked) {
-        const localData = await new Promise(resolve => chrome.storage.local.get('vocabmeld_word_cache', resolve));
-        exportData.cache = localData.vocabmeld_word_cache || [];
+        const response = await chrome.runtime.sendMessage({ action: 'getWordCache' });
+        exportData.cache = response?.items || [];
       }
 
       // 下载文件
@@ -1182,8 +1957,13 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (data.stats) {
           Object.assign(syncUpdates, data.stats);
         }
-        if (data.cache) {
-          localUpdates.vocabmeld_word_cache = data.cache;
+        if (Array.isArray(data.cache)) {
+          // 后台清空现有缓存后写入，旧版本备份的键按词元重写
+          const response = await chrome.runtime.sendMessage({ action: 'cacheImport', items: data.cache });
+          if (!response?.success) throw new Error(response?.error || '缓存导入失败');
+        }
+        if (data.promptTemplates) {
+          localUpdates[PROMPT_TEMPLATES_KEY] = data.promptTemplates;
         }
 
         // 保存数据
@@ -1208,13 +1988,31 @@ document.addEventListener('DOMContentLoaded', async () => {
     addAutoSaveListeners();
   }
 
+  // 语言下拉框的选项来自语言表
+  function renderLanguageOptions() {
+    document.querySelectorAll('select[data-languages]').forEach(select => {
+      VocabMeldLanguages.LANGUAGES.forEach(lang => {
+        select.appendChild(new Option(lang.name, lang.code));
+      });
+    });
+    elements.dictionarySourceLang.value = 'en';
+    elements.dictionaryTargetLang.value = 'zh-CN';
+  }
+
   // 初始化
+  renderLanguageOptions();
   bindEvents();
   loadSettings();
+  loadPromptTemplates();
+  loadDictionaries();
+  loadWarmupState();
   loadSectionFromHash(); // 从 hash 恢复页面
 
-  // 监听 storage 变化（实时响应其他页面的主题切换）
+  // 监听 storage 变化（实时响应其他页面的主题切换，显示缓存预热进度）
   chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[WARMUP_STATE_KEY]) {
+      renderWarmupState(changes[WARMUP_STATE_KEY].newValue);
+    }
     if (areaName === 'sync' && changes.theme) {
       const newTheme = changes.theme.newValue;
       applyTheme(newTheme);
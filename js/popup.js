@@ -12,6 +12,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   const memorizeCount = document.getElementById('memorizeCount');
   const cacheSize = document.getElementById('cacheSize');
   const hitRate = document.getElementById('hitRate');
+  const servedBy = document.getElementById('servedBy');
+  const todayCost = document.getElementById('todayCost');
+  const monthCost = document.getElementById('monthCost');
+  const budgetWarning = document.getElementById('budgetWarning');
   const processBtn = document.getElementById('processBtn');
   const settingsBtn = document.getElementById('settingsBtn');
   const themeToggle = document.getElementById('themeToggle');
@@ -65,6 +69,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         const total = response.cacheHits + response.cacheMisses;
         const rate = total > 0 ? Math.round((response.cacheHits / total) * 100) : 0;
         hitRate.textContent = rate + '%';
+        servedBy.textContent = response.lastServedBy || '-';
       }
     });
 
@@ -74,6 +79,17 @@ document.addEventListener('DOMContentLoaded', async () => {
         cacheSize.textContent = `${response.size}/${response.maxSize}`;
       }
     });
+
+    // 加载花费与预算状态
+    chrome.runtime.sendMessage({ action: 'getUsage' }, (response) => {
+      if (response && !response.error) {
+        todayCost.textContent = formatCost(response.today.cost);
+        monthCost.textContent = response.monthlyBudget > 0
+          ? `${formatCost(response.month.cost)}/${response.monthlyBudget}`
+          : formatCost(response.month.cost);
+        budgetWarning.hidden = !response.overBudget;
+      }
+    });
   }
 
   // 格式化数字
@@ -87,6 +103,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     return num.toString();
   }
 
+  // 格式化花费
+  function formatCost(cost) {
+    return cost >= 1 ? cost.toFixed(2) : cost.toFixed(4);
+  }
+
   // 切换启用状态
   enableToggle.addEventListener('change', () => {
     const enabled = enableToggle.checked;
@@ -0,0 +1,87 @@
+/**
+ * VocabMeld 协议表
+ * API 预设、各协议的默认端点和按端点推断协议的规则，设置页和后台共用
+ * 以普通脚本在 options.js 之前加载，后台模块以副作用方式导入，
+ * 通过 globalThis.VocabMeldProviders 使用
+ */
+
+(function() {
+  'use strict';
+
+  // API 预设：服务名、协议、端点和默认模型
+  const PRESETS = {
+    openai: {
+      name: 'OpenAI',
+      provider: 'openai',
+      endpoint: 'https://api.openai.com/v1/chat/completions',
+      model: 'gpt-4o-mini'
+    },
+    anthropic: {
+      name: 'Anthropic Claude',
+      provider: 'anthropic',
+      endpoint: 'https://api.anthropic.com/v1/messages',
+      model: 'claude-3-5-haiku-latest'
+    },
+    gemini: {
+      name: 'Google Gemini',
+      provider: 'gemini',
+      endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent',
+      model: 'gemini-2.0-flash'
+    },
+    deepseek: {
+      name: 'DeepSeek',
+      provider: 'openai',
+      endpoint: 'https://api.deepseek.com/chat/completions',
+      model: 'deepseek-chat'
+    },
+    moonshot: {
+      name: 'Moonshot',
+      provider: 'openai',
+      endpoint: 'https://api.moonshot.cn/v1/chat/completions',
+      model: 'moonshot-v1-8k'
+    },
+    groq: {
+      name: 'Groq',
+      provider: 'openai',
+      endpoint: 'https://api.groq.com/openai/v1/chat/completions',
+      model: 'llama-3.1-8b-instant'
+    },
+    ollama: {
+      name: 'Ollama (本地)',
+      provider: 'openai',
+      endpoint: 'http://localhost:11434/v1/chat/completions',
+      model: 'qwen2.5:7b'
+    },
+    mock: {
+      name: '离线模拟（内置词表）',
+      provider: 'mock',
+      endpoint: 'mock://local',
+      model: 'mock'
+    }
+  };
+
+  // 各协议的默认端点（取该协议官方服务的预设）
+  const DEFAULT_ENDPOINTS = {
+    openai: PRESETS.openai.endpoint,
+    anthropic: PRESETS.anthropic.endpoint,
+    gemini: PRESETS.gemini.endpoint,
+    mock: PRESETS.mock.endpoint
+  };
+
+  globalThis.VocabMeldProviders = {
+    PRESETS,
+    DEFAULT_ENDPOINTS,
+
+    /**
+     * 根据端点推断协议类型（兼容未记录协议的旧配置）
+     * @param {string} endpoint - API 端点
+     * @returns {string}
+     */
+    detectProviderType(endpoint = '') {
+      if (endpoint.startsWith(DEFAULT_ENDPOINTS.mock)) return 'mock';
+      if (endpoint.includes('api.anthropic.com')) return 'anthropic';
+      if (endpoint.includes('generativelanguage.googleapis.com')) return 'gemini';
+      return 'openai';
+    }
+  };
+})();
@@ -0,0 +1,225 @@
+/**
+ * VocabMeld 分词
+ * 使用 Intl.Segmenter 按词切分文本，中文等不以空格分词的语言得到真实的词，
+ * 不再用滑动窗口生成大量无意义的片段；自定义分词词典中的词优先整体切出
+ * （如 Intl.Segmenter 会拆开的「人工智能」），需记忆列表中的中文词也加入其中
+ * 日语把 Intl.Segmenter 拆散的活用词尾并回词干（食|べ|ま|した → 食べました），
+ * 韩语把助词从语节中拆出（학교에서 → 학교|에서），词形再由词形还原统一
+ * 以普通脚本在 content.js 之前注入，通过 globalThis.VocabMeldSegmenter 使用
+ */
+
+(function() {
+  'use strict';
+
+  const HAN_WORD = /^\p{Script=Han}+$/u;
+
+  // 不并入前面词干的日语助词、助动词和常见副词
+  const JA_FUNCTION_WORDS = new Set([
+    'は', 'が', 'を', 'に', 'で', 'と', 'も', 'の', 'へ', 'や', 'か', 'ね', 'よ', 'な', 'し', 'から', 'まで',
+    'より', 'では', 'には', 'とは', 'でも', 'など', 'だ', 'です', 'でした', 'だった', 'である', 'ので', 'のに',
+    'けど', 'けれど', 'って', 'とても', 'また', 'まだ', 'もう', 'すぐ', 'よく', 'そして', 'しかし', 'この',
+    'その', 'あの', 'これ', 'それ', 'ここ', 'そこ', 'ちょっと', 'たくさん'
+  ]);
+
+  // 韩语助词，按长度从长到短排列
+  const KO_PARTICLES = [
+    '에서는', '에게서', '으로는', '에서', '에게', '한테', '으로', '까지', '부터', '처럼', '보다', '에는', '이나',
+    '로', '은', '는', '이', '가', '을', '를', '의', '에', '와', '과', '도', '만'
+  ];
+
+  // 语言 -> Intl.Segmenter 实例
+  const segmenters = new Map();
+
+  // 自定义词（小写）及最长词的长度，只收录汉字词，避免在拉丁字母单词内部误切
+  let customWords = new Set();
+  let maxCustomLength = 0;
+
+  /**
+   * 获取某个语言的分词器，浏览器不支持时返回 null
+   * @param {string} lang
+   * @returns {Intl.Segmenter|null}
+   */
+  function getSegmenter(lang) {
+    if (typeof Intl.Segmenter !== 'function') return null;
+    const locale = lang || 'und';
+    if (!segmenters.has(locale)) {
+      let segmenter;
+      try {
+        segmenter = new Intl.Segmenter(locale, { granularity: 'word' });
+      } catch (e) {
+        segmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+      }
+      segmenters.set(locale, segmenter);
+    }
+    return segmenters.get(locale);
+  }
+
+  /**
+   * 用 Intl.Segmenter 切分一段文本，结果追加到 out；不支持时按连续的字母数字切分
+   * @param {string} text
+   * @param {string} lang
+   * @param {number} offset - text 在原文中的起始位置
+   * @param {Array} out
+   */
+  function segmentPlain(text, lang, offset, out) {
+    const segmenter = getSegmenter(lang);
+    if (!segmenter) {
+      for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+        out.push({ segment: match[0], index: match.index + offset, isWordLike: true });
+      }
+      return;
+    }
+    const segments = [];
+    for (const { segment, index, isWordLike } of segmenter.segment(text)) {
+      segments.push({ segment, index: index + offset, isWordLike: Boolean(isWordLike) });
+    }
+    const language = (lang || '').split('-')[0];
+    if (language === 'ja') {
+      out.push(...mergeJapanese(segments));
+    } else if (language === 'ko') {
+      out.push(...splitKorean(segments));
+    } else {
+      out.push(...segments);
+    }
+  }
+
+  /**
+   * 日语：含汉字的词后紧跟的平假名片段（送假名、活用词尾、助动词）并为一个词
+   * @param {Array} segments
+   * @returns {Array}
+   */
+  function mergeJapanese(segments) {
+    const out = [];
+    for (const seg of segments) {
+      const prev = out[out.length - 1];
+      if (prev?.isWordLike && seg.isWordLike
+        && prev.index + prev.segment.length === seg.index
+        && /\p{Script=Han}/u.test(prev.segment)
+        && /^\p{Script=Hiragana}+$/u.test(seg.segment)
+        && !JA_FUNCTION_WORDS.has(seg.segment)) {
+        prev.segment += seg.segment;
+      } else {
+        out.push({ ...seg });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * 韩语：语节末尾的助词拆为单独的片段（不算作词）
+   * @param {Array} segments
+   * @returns {Array}
+   */
+  function splitKorean(segments) {
+    const out = [];
+    for (const seg of segments) {
+      const particle = seg.isWordLike && /^\p{Script=Hangul}+$/u.test(seg.segment)
+        ? KO_PARTICLES.find(p => seg.segment.endsWith(p) && seg.segment.length > p.length)
+        : null;
+      if (!particle) {
+        out.push(seg);
+        continue;
+      }
+      const stemLength = seg.segment.length - particle.length;
+      out.push({ segment: seg.segment.slice(0, stemLength), index: seg.index, isWordLike: true });
+      out.push({ segment: particle, index: seg.index + stemLength, isWordLike: false });
+    }
+    return out;
+  }
+
+  /**
+   * 从 start 开始匹配最长的自定义词
+   * @param {string} lowerText
+   * @param {number} start
+   * @returns {number} 匹配的长度，0 表示没有
+   */
+  function matchCustomWord(lowerText, start) {
+    for (let len = Math.min(maxCustomLength, lowerText.length - start); len >= 2; len--) {
+      if (customWords.has(lowerText.substr(start, len))) return len;
+    }
+    return 0;
+  }
+
+  /**
+   * 切分文本：自定义词整体保留，其余部分交给 Intl.Segmenter
+   * @param {string} text
+   * @param {string} lang
+   * @returns {Array<{ segment: string, index: number, isWordLike: boolean }>}
+   */
+  function segment(text, lang) {
+    const out = [];
+    if (!text) return out;
+    if (customWords.size === 0) {
+      segmentPlain(text, lang, 0, out);
+      return out;
+    }
+
+    const lowerText = text.toLowerCase();
+    let start = 0;
+    let i = 0;
+    while (i < text.length) {
+      const len = matchCustomWord(lowerText, i);
+      if (len === 0) {
+        i++;
+        continue;
+      }
+      if (i > start) segmentPlain(text.slice(start, i), lang, start, out);
+      out.push({ segment: text.substr(i, len), index: i, isWordLike: true });
+      i += len;
+      start = i;
+    }
+    if (start < text.length) segmentPlain(text.slice(start), lang, start, out);
+    return out;
+  }
+
+  globalThis.VocabMeldSegmenter = {
+    /**
+     * 设置自定义分词词典
+     * @param {string[]} words
+     */
+    setCustomWords(words) {
+      customWords = new Set(
+        (words || []).map(w => String(w).trim().toLowerCase()).filter(w => w.length >= 2 && HAN_WORD.test(w))
+      );
+      maxCustomLength = Math.max(0, ...[...customWords].map(w => w.length));
+    },
+
+    segment,
+
+    /**
+     * 文本中的词（不含标点和空白）
+     * @param {string} text
+     * @param {string} lang
+     * @returns {string[]}
+     */
+    words(text, lang) {
+      return segment(text, lang).filter(s => s.isWordLike).map(s => s.segment);
+    },
+
+    /**
+     * 查找词在文本中的位置，要求首尾都落在分词边界上（不匹配「开发展示」中的「发展」）；
+     * 可跨越多个词（「人工」「智能」组成的「人工智能」）
+     * @param {string} text
+     * @param {string} word
+     * @param {string} lang
+     * @returns {number} 位置，-1 表示没有
+     */
+    findWord(text, word, lang) {
+      const lowerText = text.toLowerCase();
+      const lowerWord = word.toLowerCase();
+      let idx = lowerText.indexOf(lowerWord);
+      if (idx < 0) return -1;
+
+      const boundaries = new Set();
+      for (const { segment: seg, index } of segment(text, lang)) {
+        boundaries.add(index);
+        boundaries.add(index + seg.length);
+      }
+      while (idx >= 0) {
+        if (boundaries.has(idx) && boundaries.has(idx + lowerWord.length)) return idx;
+        idx = lowerText.indexOf(lowerWord, idx + 1);
+      }
+      return -1;
+    }
+  };
+})();
@@ -0,0 +1,190 @@
+/**
+ * VocabMeld API 路由模块
+ * 按用户设置的顺序在多个 API 配置间自动故障转移，并为每个配置维护熔断器
+ */
+
+import { sendChatRequest, detectProviderType, isRetryableError, DEFAULT_REQUEST_TIMEOUT_MS } from './llm-providers.js';
+import { rateLimiter } from './request-queue.js';
+import { usageTracker } from './usage-tracker.js';
+
+// 熔断器参数
+const BREAKER_FAILURE_THRESHOLD = 3;   // 连续失败多少次后熔断
+const BREAKER_COOLDOWN_MS = 60 * 1000; // 熔断持续时间，之后允许试探一次
+
+// 服务商统计存储键
+const API_STATS_KEY = 'vocabmeld_api_stats';
+
+/**
+ * API 路由类
+ */
+class ApiRouter {
+  constructor() {
+    // 配置名 -> { failures, openUntil }
+    this.breakers = new Map();
+  }
+
+  /**
+   * 从存储读取按优先级排列的配置链
+   * 第一个为当前配置，启用故障转移时追加备用配置
+   * @returns {Promise<Array>} - [{ name, provider, endpoint, apiKey, model, requestsPerMinute, inputPrice, outputPrice, timeoutMs }]
+   */
+  async getConfigChain() {
+    const result = await new Promise(resolve => chrome.storage.sync.get([
+      'apiConfigs', 'currentApiConfig', 'apiFailoverEnabled', 'apiFallbackOrder',
+      'apiProvider', 'apiEndpoint', 'apiKey', 'modelName', 'requestTimeout'
+    ], resolve));
+
+    const apiConfigs = result.apiConfigs || {};
+    // 超时在设置中以秒为单位，对所有配置生效
+    const timeoutMs = result.requestTimeout > 0 ? result.requestTimeout * 1000 : DEFAULT_REQUEST_TIMEOUT_MS;
+    const toEntry = (name, cfg) => ({
+      name,
+      provider: cfg.provider || detectProviderType(cfg.endpoint),
+      endpoint: cfg.endpoint,
+      apiKey: cfg.apiKey,
+      model: cfg.model,
+      requestsPerMinute: cfg.requestsPerMinute,
+      inputPrice: cfg.inputPrice,
+      outputPrice: cfg.outputPrice,
+      timeoutMs
+    });
+
+    // 当前配置：优先使用配置列表中的条目，否则回退到直接存储的值（旧版本）
+    const chain = [];
+    if (result.currentApiConfig && apiConfigs[result.currentApiConfig]) {
+      chain.push(toEntry(result.currentApiConfig, apiConfigs[result.currentApiConfig]));
+    } else if (result.apiEndpoint) {
+      chain.push(toEntry(result.currentApiConfig || '默认', {
+        provider: result.apiProvider,
+        endpoint: result.apiEndpoint,
+        apiKey: result.apiKey,
+        model: result.modelName
+      }));
+    }
+
+    if (result.apiFailoverEnabled) {
+      for (const name of result.apiFallbackOrder || []) {
+        if (apiConfigs[name] && !chain.some(c => c.name === name)) {
+          chain.push(toEntry(name, apiConfigs[name]));
+        }
+      }
+    }
+
+    return chain;
+  }
+
+  /**
+   * 熔断器是否允许请求
+   * @param {string} name - 配置名
+   * @returns {boolean}
+   */
+  isAvailable(name) {
+    const breaker = this.breakers.get(name);
+    return !breaker || breaker.openUntil <= Date.now();
+  }
+
+  /**
+   * 记录成功，重置熔断器
+   * @param {string} name - 配置名
+   */
+  recordSuccess(name) {
+    this.breakers.delete(name);
+  }
+
+  /**
+   * 记录失败，达到阈值后熔断
+   * @param {string} name - 配置名
+   */
+  recordFailure(name) {
+    const breaker = this.breakers.get(name) || { failures: 0, openUntil: 0 };
+    breaker.failures++;
+    if (breaker.failures >= BREAKER_FAILURE_THRESHOLD) {
+      breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+      console.warn(`[VocabMeld] Circuit open for API config "${name}"`);
+    }
+    this.breakers.set(name, breaker);
+  }
+
+  /**
+   * 获取各配置的熔断状态
+   * @returns {object} - { [name]: { failures, open } }
+   */
+  getHealth() {
+    const health = {};
+    for (const [name, breaker] of this.breakers) {
+      health[name] = { failures: breaker.failures, open: breaker.openUntil > Date.now() };
+    }
+    return health;
+  }
+
+  /**
+   * 依次尝试配置链，返回第一个成功的结果
+   * @param {object} request - { messages, temperature, maxTokens, stream }
+   * @param {function(): function(string): void} [createTextHandler] - 流式模式下为每次尝试创建文本回调
+   * @param {AbortSignal} [signal] - 取消信号，取消后不再尝试后续配置
+   * @returns {Promise<{ content: string, usage: object, servedBy: string, model: string }>}
+   */
+  async dispatch(request, createTextHandler, signal) {
+    const chain = await this.getConfigChain();
+    if (chain.length === 0) {
+      throw new Error('API 未配置');
+    }
+
+    // 所有配置都处于熔断状态时，仍然试探当前配置，避免完全不可用
+    const candidates = chain.filter(c => this.isAvailable(c.name));
+    if (candidates.length === 0) candidates.push(chain[0]);
+
+    let lastError = null;
+    for (const apiConfig of candidates) {
+      try {
+        await rateLimiter.acquire(apiConfig, signal);
+        const result = await sendChatRequest(apiConfig, request, createTextHandler?.(), signal);
+        this.recordSuccess(apiConfig.name);
+        this.recordServedBy(apiConfig.name);
+        usageTracker.record(apiConfig, result.usage);
+        return { ...result, servedBy: apiConfig.name, model: apiConfig.model };
+      } catch (error) {
+        lastError = error;
+        if (!isRetryableError(error)) throw error;
+        this.recordFailure(apiConfig.name);
+        rateLimiter.pause(apiConfig, error.retryAfter);
+        console.warn(`[VocabMeld] API config "${apiConfig.name}" failed, trying next:`, error.message);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * 记录实际提供服务的配置
+   * @param {string} name - 配置名
+   */
+  recordServedBy(name) {
+    chrome.storage.local.get(API_STATS_KEY, (result) => {
+      const stats = result[API_STATS_KEY] || { servedBy: {} };
+      stats.servedBy[name] = (stats.servedBy[name] || 0) + 1;
+      stats.lastServedBy = name;
+      stats.lastServedAt = Date.now();
+      chrome.storage.local.set({ [API_STATS_KEY]: stats });
+    });
+  }
+
+  /**
+   * 累计校验时被丢弃的 AI 结果数量（按原因）
+   * @param {object} counts - { [reason]: number }
+   */
+  recordRejections(counts) {
+    chrome.storage.local.get(API_STATS_KEY, (result) => {
+      const stats = result[API_STATS_KEY] || { servedBy: {} };
+      stats.rejections = stats.rejections || {};
+      for (const [reason, count] of Object.entries(counts || {})) {
+        stats.rejections[reason] = (stats.rejections[reason] || 0) + (Number(count) || 0);
+      }
+      chrome.storage.local.set({ [API_STATS_KEY]: stats });
+    });
+  }
+}
+
+// 导出单例
+export const apiRouter = new ApiRouter();
+export default apiRouter;
@@ -1,10 +1,112 @@
 /**
  * VocabMeld 缓存服务模块
- * 实现热词缓存系统，支持 LRU 淘汰策略
+ * 实现热词缓存系统，支持 LRU / LFU / 频率加权淘汰策略，需记忆和已学会的词可固定不被淘汰；
+ * 内存中保留一份副本，变化按键写入 IndexedDB
+ * 每个条目记录生成译文的模型、提示词版本和时间，可按有效期过期或按模型批量作废
+ * 由后台持有唯一实例，所有标签页通过消息读写（见 background 中的 cache* 消息），
+ * 因此各标签页看到同一份缓存和同一个 LRU 顺序
  */
 
 import { CACHE_CONFIG } from '../core/config.js';
 import { storage } from '../core/storage.js';
+import { wordCacheStore, toLemmaKey } from './word-cache-store.js';
+import '../lemmatizer.js';
+
+// 包含汉字的缓存词需要在原文中查找（分词无法完整提取无空格语言的候选词）
+const CJK_PATTERN = /[\u4e00-\u9fff]/;
+
+const MAX_SENSES = 4;        // 每个词最多保存的义项数
+const SIGNATURE_SIZE = 12;   // 每次写入时记录的语境关键词数
+const MAX_CONTEXT_SIZE = 36; // 每个义项累计保留的语境关键词数
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 淘汰策略：lru 最久未访问，lfu 命中次数最少，weighted 命中次数按距上次访问的时间衰减（半衰期 7 天）
+export const EVICTION_POLICIES = ['lru', 'lfu', 'weighted'];
+const WEIGHT_HALF_LIFE_MS = 7 * DAY_MS;
+
+// 语境签名忽略的常见词
+const SIGNATURE_STOP_WORDS = new Set([
+  'that', 'this', 'with', 'from', 'have', 'were', 'been', 'their', 'there', 'which', 'would',
+  'could', 'should', 'about', 'into', 'than', 'then', 'them', 'they', 'what', 'when', 'where',
+  'will', 'your', 'more', 'also', 'some', 'such', 'only', 'other', 'these', 'those', 'after',
+  'before', 'because', 'while', 'being', 'over', 'very', 'just', 'most', 'each', 'many'
+]);
+
+/**
+ * 语境关键词：按出现次数排序；拉丁字母等按单词切分，汉字按相邻两字切分
+ * @param {string} text
+ * @returns {string[]}
+ */
+function extractKeywords(text) {
+  const counts = new Map();
+  const add = (token) => counts.set(token, (counts.get(token) || 0) + 1);
+  const lower = text.toLowerCase();
+
+  for (const [token] of lower.matchAll(/\p{L}{4,}/gu)) {
+    if (!CJK_PATTERN.test(token) && !SIGNATURE_STOP_WORDS.has(token)) add(token);
+  }
+  for (const [run] of lower.matchAll(/[\u4e00-\u9fff]{2,}/g)) {
+    for (let i = 0; i < run.length - 1; i++) add(run.slice(i, i + 2));
+  }
+
+  return [...counts].sort((a, b) => b[1] - a[1]).map(([token]) => token);
+}
+
+/**
+ * 某个词的语境签名：去掉词汇本身后的前几个关键词
+ * @param {string[]} keywords - extractKeywords 的结果
+ * @param {string} word
+ * @returns {string[]}
+ */
+function contextSignature(keywords, word) {
+  const lowerWord = word.toLowerCase();
+  return keywords
+    .filter(token => !lowerWord.includes(token) && !token.includes(lowerWord))
+    .slice(0, SIGNATURE_SIZE);
+}
+
+/**
+ * 按语境选择义项；没有任何义项与语境重合，或多个不同释义得分相同时视为无法判断，返回 null
+ * 没有义项记录的旧条目直接使用
+ * @param {object} item - 缓存值
+ * @param {string[]} signature
+ * @returns {object|null}
+ */
+function chooseSense(item, signature) {
+  if (!item.senses?.length) return item;
+
+  const scored = item.senses
+    .map(sense => ({ sense, score: sense.context.filter(token => signature.includes(token)).length }))
+    .sort((a, b) => b.score - a.score);
+  const [best, second] = scored;
+  if (best.score === 0) return null;
+  if (second && second.score === best.score && second.sense.translation !== best.sense.translation) return null;
+  return { ...item, ...best.sense };
+}
+
+/**
+ * 将一次翻译结果并入义项列表：释义相同则合并语境，否则新增义项（超出上限时丢弃最早的）
+ * @param {object|undefined} existing - 原缓存值
+ * @param {object} value - { translation, phonetic, difficulty }
+ * @param {string[]} signature
+ * @returns {Array<object>}
+ */
+function mergeSenses(existing, value, signature) {
+  const senses = (existing?.senses || []).map(sense => ({ ...sense }));
+  const match = senses.find(sense => sense.translation === value.translation);
+  if (match) {
+    match.context = [...signature, ...match.context.filter(token => !signature.includes(token))]
+      .slice(0, MAX_CONTEXT_SIZE);
+    return senses;
+  }
+  senses.push({
+    translation: value.translation,
+    phonetic: value.phonetic,
+    difficulty: value.difficulty,
+    context: signature
+  });
+  return senses.slice(-MAX_SENSES);
+}
 
 /**
  * 词汇缓存服务类
@@ -13,6 +115,11 @@ class CacheService {
   constructor() {
     this.cache = new Map();
     this.maxSize = CACHE_CONFIG.maxSize;
+    this.ttlMs = 0; // 0 表示永不过期
+    this.policy = 'lru';
+    this.pinWords = true;    // 是否固定需记忆和已学会的词
+    this.pinnedWords = [];   // 需记忆和已学会的词（原文）
+    this.pinnedLemmas = new Map(); // 源语言 -> 词元集合，按需生成
     this.initialized = false;
     this.initPromise = null;
   }
@@ -27,21 +134,32 @@ class CacheService {
 
     this.initPromise = (async () => {
       try {
-        const data = await storage.getLocal(CACHE_CONFIG.storageKey);
-        const cached = data[CACHE_CONFIG.storageKey];
-        
-        if (cached && Array.isArray(cached)) {
-          // 恢复缓存，按添加顺序
-          cached.forEach(item => {
-            this.cache.set(item.key, {
-              translation: item.translation,
-              phonetic: item.phonetic,
-              difficulty: item.difficulty,
-              timestamp: item.timestamp
-            });
+        const settings = await storage.get([
+          'cacheMaxSize', 'cacheTtlDays', 'cacheEvictionPolicy', 'cachePinWords', 'memorizeList', 'learnedWords'
+        ]);
+        this.maxSize = settings.cacheMaxSize || CACHE_CONFIG.maxSize;
+        this.ttlMs = (settings.cacheTtlDays || 0) * DAY_MS;
+        this.setEvictionPolicy(settings.cacheEvictionPolicy, settings.cachePinWords);
+        this.setPinnedWords(settings.memorizeList, settings.learnedWords);
+
+        // 恢复缓存，按最近访问时间从旧到新
+        const records = await wordCacheStore.getAll();
+        records.forEach(item => {
+          this.cache.set(item.key, {
+            translation: item.translation,
+            phonetic: item.phonetic,
+            difficulty: item.difficulty,
+            timestamp: item.timestamp,
+            accessedAt: item.accessedAt,
+            hits: item.hits || 0,
+            ...(item.surface ? { surface: item.surface } : {}),
+            ...(item.model ? { model: item.model } : {}),
+            ...(item.promptVersion ? { promptVersion: item.promptVersion } : {}),
+            ...(item.senses ? { senses: item.senses } : {})
           });
-        }
-        
+        });
+        await this.pruneExpired();
+
         this.initialized = true;
         console.log(`[VocabMeld] Cache initialized with ${this.cache.size} items`);
       } catch (error) {
@@ -64,6 +182,124 @@ class CacheService {
     return `${word.toLowerCase()}:${sourceLang}:${targetLang}`;
   }
 
+  /**
+   * 是否超过有效期（从译文写入时算起）
+   * @param {object} value - 缓存值
+   * @returns {boolean}
+   */
+  isExpired(value) {
+    return this.ttlMs > 0 && Date.now() - (value.timestamp || 0) > this.ttlMs;
+  }
+
+  /**
+   * 读取缓存项；过期的项删除并视为未命中
+   * @param {string} key
+   * @returns {object|null}
+   */
+  lookup(key) {
+    const item = this.cache.get(key);
+    if (!item) return null;
+    if (this.isExpired(item)) {
+      this.remove([key]);
+      return null;
+    }
+    return item;
+  }
+
+  /**
+   * 记录命中：移到 LRU 末尾、累计命中次数并更新访问时间，再写入存储（失败只记录日志）
+   * @param {string[]} keys
+   */
+  hit(keys) {
+    const now = Date.now();
+    for (const key of keys) {
+      const item = this.cache.get(key);
+      if (!item) continue;
+      item.hits = (item.hits || 0) + 1;
+      item.accessedAt = now;
+      this.cache.delete(key);
+      this.cache.set(key, item);
+    }
+    wordCacheStore.touch(keys).catch(error => {
+      console.error('[VocabMeld] Failed to update cache access time:', error);
+    });
+  }
+
+  /**
+   * 设置淘汰策略
+   * @param {string} policy - lru | lfu | weighted
+   * @param {boolean} [pinWords] - 是否固定需记忆和已学会的词
+   */
+  setEvictionPolicy(policy, pinWords) {
+    this.policy = EVICTION_POLICIES.includes(policy) ? policy : 'lru';
+    if (pinWords !== undefined) this.pinWords = pinWords !== false;
+  }
+
+  /**
+   * 更新固定的词：需记忆列表和已学会词汇
+   * @param {Array<{ word: string }>} memorizeList
+   * @param {Array<{ original: string }>} learnedWords
+   */
+  setPinnedWords(memorizeList = [], learnedWords = []) {
+    this.pinnedWords = [
+      ...(memorizeList || []).map(w => w.word),
+      ...(learnedWords || []).map(w => w.original)
+    ].filter(Boolean);
+    this.pinnedLemmas.clear();
+  }
+
+  /**
+   * 缓存项是否固定：按缓存键中的源语言还原词形后比较（缓存键使用词元）
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isPinned(key) {
+    if (!this.pinWords || this.pinnedWords.length === 0) return false;
+    const [word, sourceLang] = key.split(':');
+    if (!this.pinnedLemmas.has(sourceLang)) {
+      const { lemmatize } = globalThis.VocabMeldLemmatizer;
+      this.pinnedLemmas.set(sourceLang, new Set(this.pinnedWords.map(w => lemmatize(w, sourceLang))));
+    }
+    return this.pinnedLemmas.get(sourceLang).has(word);
+  }
+
+  /**
+   * 按淘汰策略选出要淘汰的键；固定的项不参与，全部固定时退回淘汰最久未访问的项
+   * Map 按最近访问从旧到新排列，得分相同时淘汰较久未访问的
+   * @returns {string|undefined}
+   */
+  selectVictim() {
+    const now = Date.now();
+    let victim;
+    let victimScore = Infinity;
+    for (const [key, value] of this.cache) {
+      if (this.isPinned(key)) continue;
+      if (this.policy === 'lru') return key;
+
+      const hits = value.hits || 0;
+      const score = this.policy === 'lfu'
+        ? hits
+        : (hits + 1) * 0.5 ** ((now - (value.accessedAt || value.timestamp || now)) / WEIGHT_HALF_LIFE_MS);
+      if (score < victimScore) {
+        victim = key;
+        victimScore = score;
+      }
+    }
+    return victim ?? this.cache.keys().next().value;
+  }
+
+  /**
+   * 读取缓存项及其语言信息，不影响 LRU 顺序
+   * @param {string} key - 完整的缓存键
+   * @returns {object|null} - { word, sourceLang, targetLang, translation, ... }
+   */
+  peek(key) {
+    const item = this.cache.get(key);
+    if (!item) return null;
+    const [word, sourceLang, targetLang] = key.split(':');
+    return { word, sourceLang, targetLang, ...item };
+  }
+
   /**
    * 获取缓存项
    * @param {string} word - 原词
@@ -73,16 +309,9 @@ class CacheService {
    */
   get(word, sourceLang, targetLang) {
     const key = this.generateKey(word, sourceLang, targetLang);
-    const item = this.cache.get(key);
-    
-    if (item) {
-      // LRU: 将访问的项移到末尾
-      this.cache.delete(key);
-      this.cache.set(key, item);
-      return item;
-    }
-    
-    return null;
+    const item = this.lookup(key);
+    if (item) this.hit([key]);
+    return item;
   }
 
   /**
@@ -90,104 +319,173 @@ class CacheService {
    * @param {string} word - 原词
    * @param {string} sourceLang - 源语言
    * @param {string} targetLang - 目标语言
-   * @param {object} data - { translation, phonetic, difficulty }
+   * @param {object} data - { translation, phonetic, difficulty, model?, promptVersion? }
    * @returns {Promise<void>}
    */
   async set(word, sourceLang, targetLang, data) {
-    const key = this.generateKey(word, sourceLang, targetLang);
-    
-    // 如果已存在，先删除（LRU）
-    if (this.cache.has(key)) {
-      this.cache.delete(key);
-    }
-    
-    // 如果达到上限，删除最早的项
-    while (this.cache.size >= this.maxSize) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-    }
-    
-    // 添加新项
-    this.cache.set(key, {
-      translation: data.translation,
-      phonetic: data.phonetic || '',
-      difficulty: data.difficulty || 'B1',
-      timestamp: Date.now()
-    });
-    
-    // 异步持久化
-    this.persist();
+    await this.setMany([{ word, sourceLang, targetLang, ...data }]);
   }
 
   /**
    * 批量设置缓存
-   * @param {Array} items - [{ word, sourceLang, targetLang, translation, phonetic, difficulty }]
+   * 条目带 context（所在段落原文）时按语境记录义项，同一个词在不同语境下可保存多个释义
+   * model / promptVersion 记录生成译文的模型和提示词版本；word 为词元（缓存键），surface 为页面中出现的原词形，用于显示和重新翻译
+   * @param {Array} items - [{ word, surface?, sourceLang, targetLang, translation, phonetic, difficulty, model?, promptVersion?, context? }]
    * @returns {Promise<void>}
    */
   async setMany(items) {
+    const written = new Map();
+    const evicted = [];
+    const keywordsByContext = new Map();
+
     for (const item of items) {
       const key = this.generateKey(item.word, item.sourceLang, item.targetLang);
-      
-      if (this.cache.has(key)) {
+      const existing = this.cache.get(key);
+
+      // 如果已存在，先删除（LRU）
+      if (existing) {
         this.cache.delete(key);
       }
-      
+
+      // 如果达到上限，按淘汰策略删除
       while (this.cache.size >= this.maxSize) {
-        const firstKey = this.cache.keys().next().value;
-        this.cache.delete(firstKey);
+        const victim = this.selectVictim();
+        this.cache.delete(victim);
+        written.delete(victim);
+        evicted.push(victim);
       }
-      
-      this.cache.set(key, {
+
+      const now = Date.now();
+      const value = {
         translation: item.translation,
         phonetic: item.phonetic || '',
         difficulty: item.difficulty || 'B1',
-        timestamp: Date.now()
-      });
+        timestamp: item.timestamp || now,
+        accessedAt: now,
+        hits: existing?.hits || item.hits || 0
+      };
+      if (item.surface || existing?.surface) value.surface = item.surface || existing.surface;
+      if (item.model) value.model = item.model;
+      if (item.promptVersion) value.promptVersion = item.promptVersion;
+      if (item.context) {
+        if (!keywordsByContext.has(item.context)) {
+          keywordsByContext.set(item.context, extractKeywords(item.context));
+        }
+        const signature = contextSignature(keywordsByContext.get(item.context), item.word);
+        value.senses = mergeSenses(existing, value, signature);
+      } else if (item.senses || existing?.senses) {
+        value.senses = item.senses || existing.senses;
+      }
+      this.cache.set(key, value);
+      written.set(key, value);
     }
-    
-    await this.persist();
+
+    await this.persist(written, evicted);
   }
 
   /**
    * 检查缓存中的词汇
+   * 中文候选词由内容脚本分词得到，这里只按键查找，不再扫描整个缓存
+   * 开启 senses 时按原文语境选择义项，无法判断的词视为未缓存，交给 AI 按语境重新翻译
    * @param {string[]} words - 词汇列表
    * @param {string} sourceLang - 源语言
    * @param {string} targetLang - 目标语言
+   * @param {string} [text] - 原文
+   * @param {object} [options] - { senses: boolean }
    * @returns {{ cached: Map, uncached: string[] }}
    */
-  checkWords(words, sourceLang, targetLang) {
+  checkWords(words, sourceLang, targetLang, text = '', options = {}) {
     const cached = new Map();
     const uncached = [];
-    
+    const hitKeys = [];
+    const seen = new Set(); // 不区分大小写去重
+    const keywords = options.senses && text ? extractKeywords(text) : null;
+    const resolve = (item, word) => (keywords ? chooseSense(item, contextSignature(keywords, word)) : item);
+
     for (const word of words) {
-      const item = this.get(word, sourceLang, targetLang);
-      if (item) {
-        cached.set(word, item);
-      } else {
+      const key = this.generateKey(word, sourceLang, targetLang);
+      const item = this.lookup(key);
+      const sense = item && resolve(item, word);
+      if (!sense) {
         uncached.push(word);
+      } else if (!seen.has(word.toLowerCase())) {
+        cached.set(word, sense);
+        seen.add(word.toLowerCase());
+        hitKeys.push(key);
       }
     }
-    
+
+    if (hitKeys.length > 0) this.hit(hitKeys);
     return { cached, uncached };
   }
 
   /**
-   * 持久化缓存到存储
+   * 修改容量上限，超出部分按淘汰策略删除
+   * @param {number} maxSize
+   * @returns {Promise<void>}
+   */
+  async setMaxSize(maxSize) {
+    this.maxSize = maxSize || CACHE_CONFIG.maxSize;
+    const evicted = [];
+    while (this.cache.size > this.maxSize) {
+      const victim = this.selectVictim();
+      this.cache.delete(victim);
+      evicted.push(victim);
+    }
+    await this.persist(new Map(), evicted);
+  }
+
+  /**
+   * 修改有效期并删除已过期的项
+   * @param {number} days - 0 表示永不过期
+   * @returns {Promise<void>}
+   */
+  async setTtl(days) {
+    this.ttlMs = (days || 0) * DAY_MS;
+    await this.pruneExpired();
+  }
+
+  /**
+   * 删除所有过期的项
+   * @returns {Promise<void>}
+   */
+  async pruneExpired() {
+    if (this.ttlMs <= 0) return;
+    const expired = [...this.cache].filter(([, value]) => this.isExpired(value)).map(([key]) => key);
+    if (expired.length > 0) await this.remove(expired);
+  }
+
+  /**
+   * 作废某个模型生成的所有译文
+   * @param {string} model - 模型名，空字符串表示未记录模型的旧条目
+   * @returns {Promise<number>} 删除的条目数
+   */
+  async removeByModel(model) {
+    const keys = [...this.cache].filter(([, value]) => (value.model || '') === model).map(([key]) => key);
+    await this.remove(keys);
+    return keys.length;
+  }
+
+  /**
+   * 删除指定缓存项
+   * @param {string[]} keys - 完整的缓存键
+   * @returns {Promise<void>}
+   */
+  async remove(keys) {
+    keys.forEach(key => this.cache.delete(key));
+    await this.persist(new Map(), keys);
+  }
+
+  /**
+   * 只持久化变化的条目：写入新增/更新的键，删除被淘汰的键
+   * @param {Map<string, object>} written
+   * @param {string[]} evicted
    * @returns {Promise<void>}
    */
-  async persist() {
+  async persist(written, evicted) {
     try {
-      const data = [];
-      for (const [key, value] of this.cache) {
-        data.push({
-          key,
-          ...value
-        });
-      }
-      
-      await storage.setLocal({
-        [CACHE_CONFIG.storageKey]: data
-      });
+      await wordCacheStore.deleteMany(evicted);
+      await wordCacheStore.putMany([...written].map(([key, value]) => ({ key, ...value })));
     } catch (error) {
       console.error('[VocabMeld] Failed to persist cache:', error);
     }
@@ -199,10 +497,26 @@ class CacheService {
    */
   async clear() {
     this.cache.clear();
-    await storage.removeLocal(CACHE_CONFIG.storageKey);
+    await wordCacheStore.clear();
     console.log('[VocabMeld] Cache cleared');
   }
 
+  /**
+   * 导入备份：清空现有缓存后写入，键与迁移旧缓存一样按词元重写，备份中的原词保留为原词形
+   * @param {Array} items - 导出的条目 [{ key, original?, translation, phonetic, difficulty, ... }]
+   * @returns {Promise<number>} 导入的条目数
+   */
+  async importAll(items) {
+    await this.clear();
+    const entries = items.filter(item => item?.key && item.translation).map(item => {
+      const [word, sourceLang, targetLang] = toLemmaKey(item.key).split(':');
+      const surface = item.surface || item.original || item.key.split(':')[0];
+      return { ...item, word, surface, sourceLang, targetLang };
+    });
+    await this.setMany(entries);
+    return entries.length;
+  }
+
   /**
    * 获取缓存统计
    * @returns {object}
@@ -215,7 +529,7 @@ class CacheService {
   }
 
   /**
-   * 获取所有缓存词汇
+   * 获取所有缓存词汇（按最近访问从旧到新）
    * @returns {Array}
    */
   getAllWords() {
@@ -223,10 +537,17 @@ class CacheService {
     for (const [key, value] of this.cache) {
       const [word, sourceLang, targetLang] = key.split(':');
       words.push({
-        original: word,
+        key,
+        original: value.surface || word,
         translation: value.translation,
         phonetic: value.phonetic,
         difficulty: value.difficulty,
+        timestamp: value.timestamp,
+        model: value.model || '',
+        promptVersion: value.promptVersion || '',
+        hits: value.hits || 0,
+        pinned: this.isPinned(key),
+        senses: value.senses || [],
         sourceLang,
         targetLang
       });
@@ -238,4 +559,3 @@ class CacheService {
 // 导出单例
 export const cacheService = new CacheService();
 export default cacheService;
-
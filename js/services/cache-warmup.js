@@ -0,0 +1,277 @@
+/**
+ * VocabMeld 缓存预热模块
+ * 按高频词表分批请求翻译并写入缓存，新安装后不必等浏览网页时逐步积累
+ * 进度保存在 chrome.storage.local 中，设置页监听其变化显示进度；
+ * service worker 重启后继续未完成的任务
+ */
+
+import { storage } from '../core/storage.js';
+import { getFrequencyList } from '../core/frequency-lists.js';
+import { cacheService } from './cache-service.js';
+import '../lemmatizer.js';
+
+// 预热状态存储键：{ status, sourceLang, targetLang, pending, total, done, cached, tokensUsed, tokenBudget, reason?, error? }
+export const WARMUP_STATE_KEY = 'vocabmeld_warmup';
+
+export const DEFAULT_WARMUP_TOKEN_BUDGET = 50000;
+
+const BATCH_SIZE = 40;           // 每个请求翻译的词数
+const MAX_WARMUP_WORDS = 20000;  // 单次预热的词数上限
+
+/**
+ * 是否会被缓存：与内容脚本写入缓存时的过滤保持一致（中文至少 2 个字，英文至少 5 个字母）
+ * @param {string} word
+ * @returns {boolean}
+ */
+function isCacheable(word) {
+  if (/[\u4e00-\u9fff]/.test(word)) return word.length >= 2;
+  if (/^[a-zA-Z]+$/.test(word)) return word.length >= 5;
+  return word.length >= 2;
+}
+
+/**
+ * 缓存预热类
+ */
+class CacheWarmup {
+  constructor() {
+    this.state = null;
+    this.running = false;
+    this.controller = null;
+    // (words, sourceLang, targetLang, signal) => Promise<{ items, usage, model, promptVersion, budgetExceeded }>
+    this.translate = null;
+  }
+
+  /**
+   * 设置翻译函数（由 background 提供，走与页面翻译相同的 API 路径）
+   * @param {function} translate
+   */
+  setTranslator(translate) {
+    this.translate = translate;
+  }
+
+  /**
+   * 读取预热状态
+   * @returns {Promise<object>}
+   */
+  async getState() {
+    if (!this.state) {
+      const data = await storage.getLocal(WARMUP_STATE_KEY);
+      this.state = data[WARMUP_STATE_KEY] || { status: 'idle' };
+    }
+    return this.state;
+  }
+
+  /**
+   * 更新并保存预热状态
+   * @param {object} changes
+   * @returns {Promise<object>}
+   */
+  async update(changes) {
+    this.state = { ...(await this.getState()), ...changes };
+    await storage.setLocal({ [WARMUP_STATE_KEY]: this.state });
+    return this.state;
+  }
+
+  /**
+   * 开始预热：去掉不会被缓存、重复和已缓存的词，按词元写入
+   * @param {object} options - { source: 'bundled' | 'file', words?, sourceLang, targetLang, tokenBudget }
+   * @returns {Promise<object>} 预热状态
+   */
+  async start({ source, words, sourceLang, targetLang, tokenBudget }) {
+    const current = await this.getState();
+    if (current.status === 'running') {
+      throw new Error('已有预热任务在进行');
+    }
+
+    await cacheService.init();
+    const list = source === 'bundled' ? getFrequencyList(sourceLang) : (words || []);
+    if (list.length === 0) {
+      throw new Error('没有该语言的内置词表，请导入词表文件');
+    }
+
+    const { lemmatize } = globalThis.VocabMeldLemmatizer;
+    const seen = new Set();
+    const pending = [];
+    for (const raw of list) {
+      const word = String(raw).trim();
+      if (!word || !isCacheable(word)) continue;
+      const lemma = lemmatize(word, sourceLang);
+      if (seen.has(lemma)) continue;
+      seen.add(lemma);
+      if (cacheService.peek(cacheService.generateKey(lemma, sourceLang, targetLang))) continue;
+      pending.push(lemma);
+      if (pending.length >= MAX_WARMUP_WORDS) break;
+    }
+    if (pending.length === 0) {
+      throw new Error('词表中的词汇都已缓存');
+    }
+
+    const state = await this.update({
+      status: 'running',
+      sourceLang,
+      targetLang,
+      pending,
+      total: pending.length,
+      done: 0,
+      cached: 0,
+      tokensUsed: 0,
+      tokenBudget: tokenBudget > 0 ? tokenBudget : DEFAULT_WARMUP_TOKEN_BUDGET,
+      reason: null,
+      error: null,
+      startedAt: Date.now()
+    });
+    this.run();
+    return state;
+  }
+
+  /**
+   * 暂停：进行中的请求会被取消，其中的词在继续时重新请求
+   * @returns {Promise<object>}
+   */
+  async pause() {
+    const state = await this.getState();
+    if (state.status !== 'running') return state;
+    this.controller?.abort();
+    return this.update({ status: 'paused', reason: 'user' });
+  }
+
+  /**
+   * 继续：因 token 预算暂停时可同时提高预算
+   * @param {number} [tokenBudget]
+   * @returns {Promise<object>}
+   */
+  async resume(tokenBudget) {
+    const state = await this.getState();
+    if (state.status !== 'paused') return state;
+    const updated = await this.update({
+      status: 'running',
+      reason: null,
+      error: null,
+      ...(tokenBudget > 0 ? { tokenBudget } : {})
+    });
+    this.run();
+    return updated;
+  }
+
+  /**
+   * 停止并丢弃剩余的词，已写入缓存的结果保留
+   * @returns {Promise<object>}
+   */
+  async cancel() {
+    this.controller?.abort();
+    return this.update({ status: 'idle', pending: [], reason: null, error: null });
+  }
+
+  /**
+   * service worker 启动时继续未完成的任务
+   * @returns {Promise<void>}
+   */
+  async restore() {
+    const state = await this.getState();
+    if (state.status === 'running') this.run();
+  }
+
+  /**
+   * 逐批翻译，直到完成、暂停、取消或用完 token 预算
+   * @returns {Promise<void>}
+   */
+  async run() {
+    if (this.running || !this.translate) return;
+    this.running = true;
+
+    try {
+      await cacheService.init();
+      let state = await this.getState();
+      while (state.status === 'running' && state.pending.length > 0) {
+        if (state.tokensUsed >= state.tokenBudget) {
+          await this.update({ status: 'paused', reason: 'budget' });
+          return;
+        }
+
+        const batch = state.pending.slice(0, BATCH_SIZE);
+        this.controller = new AbortController();
+        let result;
+        try {
+          result = await this.translate(batch, state.sourceLang, state.targetLang, this.controller.signal);
+        } catch (error) {
+          // 暂停或取消引起的中止不记为错误；期间已继续或重新开始时接着处理
+          if (error.name === 'AbortError') {
+            state = await this.getState();
+            continue;
+          }
+          await this.update({ status: 'paused', reason: 'error', error: error.message });
+          return;
+        } finally {
+          this.controller = null;
+        }
+
+        const cached = await this.store(batch, result, state);
+        const usage = result.usage || {};
+        const { startedAt } = state;
+        state = await this.getState();
+        // 期间已停止，或已开始新的预热任务
+        if (state.status === 'idle') return;
+        if (state.startedAt !== startedAt) continue;
+        state = await this.update({
+          pending: state.pending.slice(batch.length),
+          done: state.done + batch.length,
+          cached: state.cached + cached,
+          tokensUsed: state.tokensUsed + (usage.promptTokens || 0) + (usage.completionTokens || 0)
+        });
+
+        // 月度预算用完时与页面自动处理一样暂停
+        if (result.budgetExceeded && state.status === 'running' && state.pending.length > 0) {
+          await this.update({ status: 'paused', reason: 'monthlyBudget' });
+          return;
+        }
+      }
+
+      if (state.status === 'running') {
+        await this.update({ status: 'done', finishedAt: Date.now() });
+      }
+    } catch (error) {
+      console.error('[VocabMeld] Cache warm-up failed:', error);
+      await this.update({ status: 'paused', reason: 'error', error: error.message });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 写入一批结果：只保留本批请求的词，模型返回的变形按词元对应
+   * @param {string[]} batch
+   * @param {object} result - { items, model, promptVersion }
+   * @param {object} state - { sourceLang, targetLang }
+   * @returns {Promise<number>} 写入的词数
+   */
+  async store(batch, result, { sourceLang, targetLang }) {
+    const { lemmatize } = globalThis.VocabMeldLemmatizer;
+    const requested = new Set(batch);
+    const written = new Set();
+    const entries = [];
+
+    for (const item of result.items || []) {
+      if (!item?.original || !item.translation) continue;
+      const lemma = lemmatize(String(item.original), sourceLang);
+      if (!requested.has(lemma) || written.has(lemma)) continue;
+      written.add(lemma);
+      entries.push({
+        word: lemma,
+        sourceLang,
+        targetLang,
+        translation: String(item.translation),
+        phonetic: item.phonetic || '',
+        difficulty: /^[ABC][12]$/.test(item.difficulty) ? item.difficulty : 'B1',
+        model: result.model,
+        promptVersion: result.promptVersion
+      });
+    }
+
+    await cacheService.setMany(entries);
+    return entries.length;
+  }
+}
+
+// 导出单例
+export const cacheWarmup = new CacheWarmup();
+export default cacheWarmup;
@@ -0,0 +1,429 @@
+/**
+ * VocabMeld 词典格式解析模块
+ * 将 StarDict、CC-CEDICT、JMdict、FreeDict (TEI) 和 TSV 词表解析为统一的词条：
+ * { term, headword, translation, reading, readingLang, sourceLang, targetLang, rank, cefr }
+ * 运行在 background（service worker 没有 DOMParser），XML 格式使用正则逐条提取
+ */
+
+// 译文最长保留的字符数
+const MAX_TRANSLATION_LENGTH = 60;
+
+/**
+ * 将 UTF-8 字节解码为文本
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function decodeText(bytes) {
+  return new TextDecoder('utf-8').decode(bytes);
+}
+
+/**
+ * 解压 gzip / dictzip（.gz、.dz）文件
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+export async function gunzip(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * 解码 XML 实体
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 去掉标签，只保留文本
+ * @param {string} markup
+ * @returns {string}
+ */
+function stripTags(markup) {
+  return decodeXmlEntities(markup.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, ''));
+}
+
+/**
+ * 截断过长的译文
+ * @param {string} text
+ * @returns {string}
+ */
+function shortenTranslation(text) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_TRANSLATION_LENGTH ? clean.slice(0, MAX_TRANSLATION_LENGTH - 1) + '…' : clean;
+}
+
+/**
+ * 构造词条，term 为查询用的小写形式
+ * @param {object} fields
+ * @returns {object|null}
+ */
+function makeEntry(fields) {
+  const headword = (fields.headword || '').trim();
+  const translation = shortenTranslation(fields.translation || '');
+  if (!headword || !translation) return null;
+  return {
+    term: headword.toLowerCase(),
+    headword,
+    translation,
+    reading: (fields.reading || '').trim(),
+    readingLang: fields.readingLang || '',
+    sourceLang: fields.sourceLang,
+    targetLang: fields.targetLang,
+    rank: fields.rank || 0,
+    cefr: fields.cefr || ''
+  };
+}
+
+// ============ CC-CEDICT ============
+
+const PINYIN_TONE_MARKS = {
+  a: 'āáǎà', e: 'ēéěè', i: 'īíǐì', o: 'ōóǒò', u: 'ūúǔù', ü: 'ǖǘǚǜ'
+};
+
+/**
+ * 数字声调拼音转为声调符号：zhong1 guo2 → zhōng guó
+ * @param {string} pinyin
+ * @returns {string}
+ */
+export function numberedPinyinToMarks(pinyin) {
+  return pinyin.split(/\s+/).map(syllable => {
+    const match = /^([a-zü:]+)([1-5])$/i.exec(syllable);
+    if (!match) return syllable.replace(/u:/g, 'ü');
+    const letters = match[1].replace(/u:/gi, 'ü');
+    const tone = Number(match[2]);
+    if (tone === 5) return letters;
+
+    // a、e 优先；ou 标在 o 上；否则标在最后一个元音上
+    const lower = letters.toLowerCase();
+    let index = lower.search(/[ae]/);
+    if (index < 0) index = lower.indexOf('ou');
+    if (index < 0) {
+      for (let i = lower.length - 1; i >= 0; i--) {
+        if (PINYIN_TONE_MARKS[lower[i]]) {
+          index = i;
+          break;
+        }
+      }
+    }
+    if (index < 0) return letters;
+
+    const vowel = lower[index];
+    let marked = PINYIN_TONE_MARKS[vowel][tone - 1];
+    if (letters[index] !== vowel) marked = marked.toUpperCase();
+    return letters.slice(0, index) + marked + letters.slice(index + 1);
+  }).join(' ');
+}
+
+// 不适合作为译文的释义
+const CEDICT_SKIP_GLOSS = /^(variant of|old variant of|see |surname |CL:|abbr\. for|used in )/i;
+
+/**
+ * 解析 CC-CEDICT：繁体 简体 [pin1 yin1] /释义1/释义2/
+ * 生成中文 → 英文词条（简体、繁体各一），以及首个简短释义的英文 → 中文反向词条
+ * @param {string} text
+ * @returns {Array<object>}
+ */
+export function parseCedict(text) {
+  const entries = [];
+  const push = (fields) => {
+    const entry = makeEntry(fields);
+    if (entry) entries.push(entry);
+  };
+
+  for (const line of text.split('\n')) {
+    if (!line || line.startsWith('#')) continue;
+    const match = /^(\S+) (\S+) \[([^\]]*)\] \/(.+)\/\s*$/.exec(line);
+    if (!match) continue;
+    const [, traditional, simplified, numbered, glossText] = match;
+    const glosses = glossText.split('/').filter(g => g && !CEDICT_SKIP_GLOSS.test(g));
+    if (glosses.length === 0) continue;
+
+    const reading = numberedPinyinToMarks(numbered);
+    const translation = glosses.slice(0, 2).join('; ');
+    push({ headword: simplified, translation, reading, readingLang: 'zh-CN', sourceLang: 'zh-CN', targetLang: 'en' });
+    push({ headword: traditional, translation, reading, readingLang: 'zh-TW', sourceLang: 'zh-TW', targetLang: 'en' });
+
+    // 反向词条只取一两个单词的释义，去掉括号说明和动词前的 to
+    const reverse = glosses[0].replace(/\([^)]*\)/g, '').replace(/^to /, '').trim();
+    if (/^[a-z]+(?: [a-z]+)?$/i.test(reverse)) {
+      push({ headword: reverse, translation: simplified, reading, readingLang: 'zh-CN', sourceLang: 'en', targetLang: 'zh-CN' });
+      push({ headword: reverse, translation: traditional, reading, readingLang: 'zh-TW', sourceLang: 'en', targetLang: 'zh-TW' });
+    }
+  }
+
+  return entries;
+}
+
+// ============ JMdict ============
+
+/**
+ * JMdict 优先级标记估算词频排名：nfXX 表示按频率每 500 词一组
+ * @param {Array<string>} tags
+ * @returns {number}
+ */
+function jmdictRank(tags) {
+  let rank = 0;
+  for (const tag of tags) {
+    const nf = /^nf(\d+)$/.exec(tag);
+    let value = 0;
+    if (nf) value = Number(nf[1]) * 500;
+    else if (/^(news|ichi|spec|gai)1$/.test(tag)) value = 12000;
+    else if (/^(news|ichi|spec|gai)2$/.test(tag)) value = 24000;
+    if (value && (!rank || value < rank)) rank = value;
+  }
+  return rank;
+}
+
+/**
+ * 解析 JMdict XML（JMdict_e 或含多语言释义的 JMdict）
+ * 生成日语 → 目标语言词条，reading 为假名读音
+ * @param {string} xml
+ * @param {string} targetLang - 释义语言（默认英语）
+ * @returns {Array<object>}
+ */
+export function parseJmdict(xml, targetLang = 'en') {
+  // JMdict 的 xml:lang 使用 ISO 639-2 代码
+  const glossLang = { en: 'eng', de: 'ger', fr: 'fre', es: 'spa' }[targetLang] || 'eng';
+  const entries = [];
+  const entryPattern = /<entry>([\s\S]*?)<\/entry>/g;
+  let match;
+
+  while ((match = entryPattern.exec(xml))) {
+    const body = match[1];
+    const kanji = /<keb>([^<]+)<\/keb>/.exec(body)?.[1];
+    const kana = /<reb>([^<]+)<\/reb>/.exec(body)?.[1];
+    const headword = decodeXmlEntities(kanji || kana || '');
+
+    const glosses = [];
+    const glossPattern = /<gloss(?:\s+xml:lang="(\w+)")?[^>]*>([^<]+)<\/gloss>/g;
+    let gloss;
+    while ((gloss = glossPattern.exec(body))) {
+      if ((gloss[1] || 'eng') === glossLang) glosses.push(decodeXmlEntities(gloss[2]));
+    }
+    if (glosses.length === 0) continue;
+
+    const tags = [...body.matchAll(/<(?:ke_pri|re_pri)>([^<]+)<\/(?:ke_pri|re_pri)>/g)].map(m => m[1]);
+    const entry = makeEntry({
+      headword,
+      translation: glosses.slice(0, 2).join('; '),
+      reading: kanji ? decodeXmlEntities(kana || '') : '',
+      readingLang: 'ja',
+      sourceLang: 'ja',
+      targetLang,
+      rank: jmdictRank(tags)
+    });
+    if (entry) entries.push(entry);
+  }
+
+  return entries;
+}
+
+// ============ FreeDict (TEI) ============
+
+/**
+ * 解析 FreeDict TEI XML：<orth> 为词头，<cit type="trans"><quote> 或 <tr> 为译文
+ * @param {string} xml
+ * @param {string} sourceLang
+ * @param {string} targetLang
+ * @returns {Array<object>}
+ */
+export function parseFreedict(xml, sourceLang, targetLang) {
+  const entries = [];
+  const entryPattern = /<entry\b[^>]*>([\s\S]*?)<\/entry>/g;
+  let match;
+
+  while ((match = entryPattern.exec(xml))) {
+    const body = match[1];
+    const orth = /<orth>([\s\S]*?)<\/orth>/.exec(body)?.[1];
+    const pron = /<pron>([\s\S]*?)<\/pron>/.exec(body)?.[1];
+    const translations = [...body.matchAll(/<cit[^>]*type="trans(?:lation)?"[^>]*>[\s\S]*?<quote>([\s\S]*?)<\/quote>/g)]
+      .map(m => stripTags(m[1]));
+    if (translations.length === 0) {
+      translations.push(...[...body.matchAll(/<tr>([\s\S]*?)<\/tr>/g)].map(m => stripTags(m[1])));
+    }
+    if (!orth || translations.length === 0) continue;
+
+    const entry = makeEntry({
+      headword: stripTags(orth),
+      translation: translations.slice(0, 2).join('; '),
+      reading: pron ? stripTags(pron) : '',
+      readingLang: sourceLang,
+      sourceLang,
+      targetLang
+    });
+    if (entry) entries.push(entry);
+  }
+
+  return entries;
+}
+
+// ============ StarDict ============
+
+/**
+ * 解析 .ifo 文件
+ * @param {string} text
+ * @returns {object} - { bookname, wordcount, idxoffsetbits, sametypesequence, ... }
+ */
+export function parseStardictInfo(text) {
+  const info = {};
+  for (const line of text.split('\n')) {
+    const index = line.indexOf('=');
+    if (index > 0) info[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+  }
+  return info;
+}
+
+/**
+ * 从释义数据中取出第一个文本字段
+ * @param {Uint8Array} data
+ * @param {string} sameTypeSequence
+ * @returns {string}
+ */
+function readStardictDefinition(data, sameTypeSequence) {
+  if (sameTypeSequence) {
+    // 只有一种类型时数据即为内容；多种类型时第一个字段以 \0 结尾
+    if (sameTypeSequence.length === 1) return decodeText(data);
+    const end = data.indexOf(0);
+    return decodeText(end >= 0 ? data.subarray(0, end) : data);
+  }
+  // 未指定时每个字段以类型字符开头，小写类型以 \0 结尾
+  const type = String.fromCharCode(data[0]);
+  if (type !== type.toLowerCase()) return '';
+  const end = data.indexOf(0, 1);
+  return decodeText(data.subarray(1, end >= 0 ? end : data.length));
+}
+
+/**
+ * 解析 StarDict 词典（.ifo + .idx + .dict，.dict.dz 需先解压）
+ * 释义取第一行去掉标记后的文本
+ * @param {object} files - { ifo: string, idx: Uint8Array, dict: Uint8Array }
+ * @param {string} sourceLang
+ * @param {string} targetLang
+ * @returns {Array<object>}
+ */
+export function parseStardict(files, sourceLang, targetLang) {
+  const info = parseStardictInfo(files.ifo);
+  const offsetBytes = info.idxoffsetbits === '64' ? 8 : 4;
+  const sameTypeSequence = info.sametypesequence || '';
+  const { idx, dict } = files;
+  const view = new DataView(idx.buffer, idx.byteOffset, idx.byteLength);
+  const entries = [];
+
+  let pos = 0;
+  while (pos < idx.length) {
+    const end = idx.indexOf(0, pos);
+    if (end < 0) break;
+    const word = decodeText(idx.subarray(pos, end));
+    pos = end + 1;
+
+    const offset = offsetBytes === 8
+      ? Number(view.getBigUint64(pos))
+      : view.getUint32(pos);
+    const size = view.getUint32(pos + offsetBytes);
+    pos += offsetBytes + 4;
+
+    const definition = stripTags(readStardictDefinition(dict.subarray(offset, offset + size), sameTypeSequence));
+    const firstLine = definition.split('\n').map(l => l.trim()).find(Boolean) || '';
+    const entry = makeEntry({ headword: word, translation: firstLine, sourceLang, targetLang });
+    if (entry) entries.push(entry);
+  }
+
+  return entries;
+}
+
+// ============ TSV 词表 ============
+
+/**
+ * 解析制表符分隔的词表：词 译文 [读音] [词频排名] [CEFR 等级]
+ * 以 # 开头的行为注释
+ * @param {string} text
+ * @param {string} sourceLang
+ * @param {string} targetLang
+ * @returns {Array<object>}
+ */
+export function parseTsv(text, sourceLang, targetLang) {
+  const entries = [];
+  const lines = text.split('\n');
+  // 首行为表头（第四列不是数字、第五列不是等级）时跳过
+  const [, , , firstRank = '', firstCefr = ''] = (lines[0] || '').split('\t').map(c => c.trim());
+  if (/^[a-z_ ]+$/i.test(firstRank) && !/^[ABC][12]$/i.test(firstCefr)) lines.shift();
+
+  for (const line of lines) {
+    if (!line.trim() || line.startsWith('#')) continue;
+    const [headword, translation, reading, rank, cefr] = line.split('\t').map(c => (c || '').trim());
+    const entry = makeEntry({
+      headword,
+      translation,
+      reading,
+      readingLang: sourceLang,
+      sourceLang,
+      targetLang,
+      rank: parseInt(rank) || 0,
+      cefr: /^[ABC][12]$/i.test(cefr) ? cefr.toUpperCase() : ''
+    });
+    if (entry) entries.push(entry);
+  }
+  return entries;
+}
+
+// ============ 格式识别 ============
+
+/**
+ * 根据文件名和内容识别词典格式
+ * @param {object} files - { [文件名]: Uint8Array }（已解压）
+ * @returns {string} - stardict | cedict | jmdict | freedict | tsv
+ */
+export function detectFormat(files) {
+  const names = Object.keys(files);
+  if (names.some(name => name.endsWith('.ifo'))) return 'stardict';
+
+  const head = decodeText(files[names[0]].subarray(0, 4096));
+  if (/<JMdict>|<!DOCTYPE JMdict/.test(head)) return 'jmdict';
+  if (/<TEI\b/.test(head)) return 'freedict';
+  if (/CC-CEDICT|^\S+ \S+ \[[^\]]*\] \//m.test(head)) return 'cedict';
+  return 'tsv';
+}
+
+/**
+ * 解析导入的文件
+ * @param {object} files - { [文件名]: Uint8Array }（已解压）
+ * @param {object} options - { format, sourceLang, targetLang }
+ * @returns {{ format: string, entries: Array<object> }}
+ */
+export function parseDictionaryFiles(files, options) {
+  const format = options.format && options.format !== 'auto' ? options.format : detectFormat(files);
+  const { sourceLang, targetLang } = options;
+  const names = Object.keys(files);
+  const text = () => decodeText(files[names[0]]);
+
+  switch (format) {
+    case 'stardict': {
+      const find = (pattern) => files[names.find(name => pattern.test(name))];
+      const ifo = find(/\.ifo$/);
+      const idx = find(/\.idx$/);
+      const dict = find(/\.dict$/);
+      if (!ifo || !idx || !dict) {
+        throw new Error('StarDict 词典需要同时选择 .ifo、.idx 和 .dict（或 .dict.dz）文件');
+      }
+      return { format, entries: parseStardict({ ifo: decodeText(ifo), idx, dict }, sourceLang, targetLang) };
+    }
+    case 'cedict':
+      return { format, entries: parseCedict(text()) };
+    case 'jmdict':
+      return { format, entries: parseJmdict(text(), targetLang) };
+    case 'freedict':
+      return { format, entries: parseFreedict(text(), sourceLang, targetLang) };
+    default:
+      return { format: 'tsv', entries: parseTsv(text(), sourceLang, targetLang) };
+  }
+}
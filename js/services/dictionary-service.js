@@ -0,0 +1,455 @@
+/**
+ * VocabMeld 本地词典服务
+ * 用户导入的词典保存在 IndexedDB 中，与内置词表一起在本地选词和翻译，
+ * 可以完全替代 LLM，也可以作为 LLM 之前的第一层（见 background 中的 callApi）
+ */
+
+import { MOCK_WORD_LIST } from '../core/mock-word-list.js';
+import { parseBatchText } from '../core/prompt-templates.js';
+import { promisify, transactionDone } from '../core/idb.js';
+import { parseDictionaryFiles, gunzip } from './dictionary-parsers.js';
+
+const DB_NAME = 'vocabmeld_dictionary';
+const DB_VERSION = 1;
+const ENTRY_STORE = 'entries';
+const DICTIONARY_STORE = 'dictionaries';
+const WRITE_BATCH_SIZE = 5000;      // 每个事务写入的词条数
+
+export const BUILTIN_DICTIONARY_ID = 'builtin';
+
+// 本地词典模式：off 不使用；first 先查词典，不足时再请求 LLM；only 只用词典
+export const DICTIONARY_MODES = ['off', 'first', 'only'];
+
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// 按词频排名估算 CEFR 等级的上界
+const RANK_CEFR_THRESHOLDS = [
+  [1000, 'A1'],
+  [2000, 'A2'],
+  [4000, 'B1'],
+  [8000, 'B2'],
+  [16000, 'C1']
+];
+
+/**
+ * Base64 转字节
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * 拼接多个分块
+ * @param {Array<Uint8Array>} chunks
+ * @returns {Uint8Array}
+ */
+function concatChunks(chunks) {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * 中文简繁体视为同一种语言比较读音
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isSameLanguage(a = '', b = '') {
+  return a === b || (a.startsWith('zh') && b.startsWith('zh'));
+}
+
+/**
+ * 按词条的 CEFR 标记或词频排名得到难度，二者都没有时视为 B1
+ * @param {object} entry
+ * @returns {string}
+ */
+export function getEntryDifficulty(entry) {
+  if (entry.cefr) return entry.cefr;
+  if (entry.rank > 0) {
+    const match = RANK_CEFR_THRESHOLDS.find(([limit]) => entry.rank <= limit);
+    return match ? match[1] : 'C2';
+  }
+  return 'B1';
+}
+
+/**
+ * 读音属于学习语言时才作为音标显示
+ * @param {object} entry
+ * @param {string} learningLang
+ * @returns {string}
+ */
+function getEntryPhonetic(entry, learningLang) {
+  if (entry.readings) {
+    const lang = Object.keys(entry.readings).find(code => isSameLanguage(code, learningLang));
+    return lang ? entry.readings[lang] : '';
+  }
+  return isSameLanguage(entry.readingLang, learningLang) ? entry.reading : '';
+}
+
+/**
+ * 分词：中日文等无空格语言使用 Intl.Segmenter，其余按字母序列切分
+ * @param {string} text
+ * @param {string} lang
+ * @returns {Array<{ word: string, index: number }>}
+ */
+function tokenize(text, lang) {
+  if (typeof Intl.Segmenter === 'function') {
+    const segmenter = new Intl.Segmenter(lang, { granularity: 'word' });
+    return Array.from(segmenter.segment(text))
+      .filter(segment => segment.isWordLike)
+      .map(segment => ({ word: segment.segment, index: segment.index }));
+  }
+  return Array.from(text.matchAll(/\p{L}+(?:['-]\p{L}+)*/gu), match => ({ word: match[0], index: match.index }));
+}
+
+/**
+ * 太短的词不值得替换：中日韩单字、其余语言少于 3 个字母
+ * @param {string} word
+ * @returns {boolean}
+ */
+function isTooShort(word) {
+  return /[\u3040-\u30ff\u4e00-\u9fff\uac00-\ud7af]/.test(word) ? word.length < 2 : word.length < 3;
+}
+
+/**
+ * 本地词典服务类
+ */
+class DictionaryService {
+  constructor() {
+    this.dbPromise = null;
+    this.builtin = null;
+    // 导入中的文件分块：importId -> { [文件名]: Uint8Array[] }
+    this.pendingImports = new Map();
+  }
+
+  /**
+   * 打开数据库
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const entries = db.createObjectStore(ENTRY_STORE, { autoIncrement: true });
+          entries.createIndex('lookup', ['sourceLang', 'targetLang', 'term']);
+          entries.createIndex('dictId', 'dictId');
+          db.createObjectStore(DICTIONARY_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * 内置词表索引：`${sourceLang}|${targetLang}|${term}` -> 词条
+   * @returns {Map<string, object>}
+   */
+  getBuiltin() {
+    if (!this.builtin) {
+      this.builtin = new Map();
+      for (const word of MOCK_WORD_LIST) {
+        const readings = { en: word.ipa, 'zh-CN': word.pinyin };
+        this.builtin.set(`en|zh-CN|${word.en}`, { translation: word.zh, cefr: word.difficulty, readings });
+        this.builtin.set(`zh-CN|en|${word.zh}`, { translation: word.en, cefr: word.difficulty, readings });
+      }
+    }
+    return this.builtin;
+  }
+
+  /**
+   * 读取本地词典模式
+   * @returns {Promise<string>}
+   */
+  async getMode() {
+    const result = await new Promise(resolve => chrome.storage.sync.get('dictionaryMode', resolve));
+    return DICTIONARY_MODES.includes(result.dictionaryMode) ? result.dictionaryMode : 'off';
+  }
+
+  /**
+   * 列出词典（内置词表在最前）
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    const db = await this.openDb();
+    const tx = db.transaction(DICTIONARY_STORE, 'readonly');
+    const dictionaries = await promisify(tx.objectStore(DICTIONARY_STORE).getAll());
+    return [
+      {
+        id: BUILTIN_DICTIONARY_ID,
+        name: '内置中英词表',
+        format: 'builtin',
+        pairs: ['en ↔ zh-CN'],
+        entryCount: MOCK_WORD_LIST.length,
+        enabled: true,
+        builtin: true
+      },
+      ...dictionaries.sort((a, b) => a.importedAt - b.importedAt)
+    ];
+  }
+
+  /**
+   * 接收导入文件的一个分块（设置页按 Base64 分块发送）
+   * @param {string} importId
+   * @param {string} fileName
+   * @param {string} base64
+   */
+  appendImportChunk(importId, fileName, base64) {
+    const files = this.pendingImports.get(importId) || {};
+    (files[fileName] = files[fileName] || []).push(base64ToBytes(base64));
+    this.pendingImports.set(importId, files);
+  }
+
+  /**
+   * 完成导入：解压、解析并写入词条
+   * @param {string} importId
+   * @param {object} options - { name, format, sourceLang, targetLang }
+   * @returns {Promise<object>} - 词典信息
+   */
+  async finishImport(importId, options) {
+    const chunks = this.pendingImports.get(importId);
+    this.pendingImports.delete(importId);
+    if (!chunks) throw new Error('没有收到词典文件');
+
+    // .gz / .dz 先解压，文件名去掉压缩后缀以便识别格式
+    const files = {};
+    for (const [fileName, parts] of Object.entries(chunks)) {
+      const bytes = concatChunks(parts);
+      if (/\.(gz|dz)$/i.test(fileName)) {
+        files[fileName.replace(/\.(gz|dz)$/i, '')] = await gunzip(bytes);
+      } else {
+        files[fileName] = bytes;
+      }
+    }
+
+    const { format, entries } = parseDictionaryFiles(files, options);
+    if (entries.length === 0) throw new Error('未能从文件中解析出词条，请检查格式和语言设置');
+
+    const id = `dict_${Date.now()}`;
+    const pairs = [...new Set(entries.map(e => `${e.sourceLang} → ${e.targetLang}`))];
+    const db = await this.openDb();
+    for (let i = 0; i < entries.length; i += WRITE_BATCH_SIZE) {
+      const tx = db.transaction(ENTRY_STORE, 'readwrite');
+      const store = tx.objectStore(ENTRY_STORE);
+      for (const entry of entries.slice(i, i + WRITE_BATCH_SIZE)) {
+        store.add({ ...entry, dictId: id });
+      }
+      await transactionDone(tx);
+    }
+
+    const dictionary = {
+      id,
+      name: options.name || Object.keys(files)[0],
+      format,
+      pairs,
+      entryCount: entries.length,
+      importedAt: Date.now(),
+      enabled: true
+    };
+    const tx = db.transaction(DICTIONARY_STORE, 'readwrite');
+    tx.objectStore(DICTIONARY_STORE).put(dictionary);
+    await transactionDone(tx);
+    return dictionary;
+  }
+
+  /**
+   * 取消未完成的导入
+   * @param {string} importId
+   */
+  cancelImport(importId) {
+    this.pendingImports.delete(importId);
+  }
+
+  /**
+   * 启用或停用词典
+   * @param {string} id
+   * @param {boolean} enabled
+   * @returns {Promise<void>}
+   */
+  async setEnabled(id, enabled) {
+    const db = await this.openDb();
+    const tx = db.transaction(DICTIONARY_STORE, 'readwrite');
+    const store = tx.objectStore(DICTIONARY_STORE);
+    const dictionary = await promisify(store.get(id));
+    if (dictionary) store.put({ ...dictionary, enabled });
+    await transactionDone(tx);
+  }
+
+  /**
+   * 删除词典及其全部词条
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const db = await this.openDb();
+    const tx = db.transaction([ENTRY_STORE, DICTIONARY_STORE], 'readwrite');
+    const index = tx.objectStore(ENTRY_STORE).index('dictId');
+    index.openKeyCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      tx.objectStore(ENTRY_STORE).delete(cursor.primaryKey);
+      cursor.continue();
+    };
+    tx.objectStore(DICTIONARY_STORE).delete(id);
+    await transactionDone(tx);
+  }
+
+  /**
+   * 批量查询词条，每个词取词频排名最靠前的释义
+   * @param {Array<string>} terms - 小写形式
+   * @param {string} sourceLang
+   * @param {string} targetLang
+   * @returns {Promise<Map<string, object>>}
+   */
+  async lookup(terms, sourceLang, targetLang) {
+    const found = new Map();
+    const builtin = this.getBuiltin();
+    for (const term of terms) {
+      const entry = builtin.get(`${sourceLang}|${targetLang}|${term}`);
+      if (entry) found.set(term, entry);
+    }
+
+    const db = await this.openDb();
+    const tx = db.transaction([ENTRY_STORE, DICTIONARY_STORE], 'readonly');
+    const dictionaries = await promisify(tx.objectStore(DICTIONARY_STORE).getAll());
+    const enabled = new Set(dictionaries.filter(d => d.enabled).map(d => d.id));
+    if (enabled.size === 0) return found;
+
+    const index = tx.objectStore(ENTRY_STORE).index('lookup');
+    await Promise.all(terms.map(async (term) => {
+      const candidates = (await promisify(index.getAll([sourceLang, targetLang, term])))
+        .filter(entry => enabled.has(entry.dictId));
+      if (candidates.length === 0) return;
+      candidates.sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity) || a.translation.length - b.translation.length);
+      // 内置词表带 CEFR 等级，导入的词典只补充内置词表没有的词
+      if (!found.has(term)) found.set(term, candidates[0]);
+    }));
+    return found;
+  }
+
+  /**
+   * 在文本中选词并翻译，结果格式与 LLM 返回的一致
+   * 优先选择接近用户难度的词，其次是更常用的词
+   * @param {string} text
+   * @param {object} options - { sourceLang, targetLang, learningLang, level, limit }
+   * @returns {Promise<Array<object>>}
+   */
+  async pickWords(text, { sourceLang, targetLang, learningLang, level, limit }) {
+    const tokens = tokenize(text, sourceLang).filter(token => !isTooShort(token.word));
+    const firstByTerm = new Map();
+    for (const token of tokens) {
+      const term = token.word.toLowerCase();
+      if (!firstByTerm.has(term)) firstByTerm.set(term, token);
+    }
+
+    const entries = await this.lookup([...firstByTerm.keys()], sourceLang, targetLang);
+    const levelIndex = Math.max(0, CEFR_LEVELS.indexOf(level));
+    const candidates = [];
+    for (const [term, entry] of entries) {
+      if (entry.translation.toLowerCase() === term) continue;
+      const difficulty = getEntryDifficulty(entry);
+      const distance = CEFR_LEVELS.indexOf(difficulty) - levelIndex;
+      if (level && distance < 0) continue;
+      const token = firstByTerm.get(term);
+      candidates.push({
+        item: {
+          original: token.word,
+          translation: entry.translation,
+          phonetic: getEntryPhonetic(entry, learningLang),
+          difficulty,
+          position: token.index
+        },
+        distance,
+        rank: entry.rank || Infinity
+      });
+    }
+
+    return candidates
+      .sort((a, b) => a.distance - b.distance || a.rank - b.rank || a.item.position - b.item.position)
+      .slice(0, limit)
+      .map(candidate => candidate.item)
+      .sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * 翻译指定词汇：先按 源语言 → 目标语言 查，查不到再反向查
+   * @param {Array<string>} words
+   * @param {object} options - { sourceLang, targetLang, learningLang }
+   * @returns {Promise<Array<object>>}
+   */
+  async lookupWords(words, { sourceLang, targetLang, learningLang }) {
+    const terms = words.map(word => word.toLowerCase());
+    const forward = await this.lookup(terms, sourceLang, targetLang);
+    const reverse = await this.lookup(terms.filter(term => !forward.has(term)), targetLang, sourceLang);
+
+    const results = [];
+    words.forEach((word, i) => {
+      const entry = forward.get(terms[i]) || reverse.get(terms[i]);
+      if (!entry) return;
+      results.push({
+        original: word,
+        translation: entry.translation,
+        phonetic: getEntryPhonetic(entry, learningLang),
+        difficulty: getEntryDifficulty(entry)
+      });
+    });
+    return results;
+  }
+
+  /**
+   * 根据结构化提示词在本地生成结果
+   * complete 表示词典结果已满足请求的数量，无需再请求 LLM
+   * @param {object} prompt - { kind, language, variables }
+   * @returns {Promise<{ items: Array<object>, complete: boolean }>}
+   */
+  async answerPrompt(prompt) {
+    const { kind, language: learningLang, variables = {} } = prompt;
+    const { sourceLang, targetLang, level, text = '' } = variables;
+
+    if (kind === 'specificWords') {
+      const words = text.split(',').map(w => w.trim()).filter(Boolean);
+      const items = await this.lookupWords(words, { sourceLang, targetLang, learningLang });
+      return { items, complete: items.length >= words.length };
+    }
+
+    if (kind === 'batch') {
+      const segments = parseBatchText(text);
+      let complete = true;
+      const items = [];
+      for (const segment of segments) {
+        const picked = await this.pickWords(segment.text, {
+          sourceLang, targetLang, learningLang, level, limit: segment.maxCount
+        });
+        if (picked.length < segment.count) complete = false;
+        items.push(...picked.map(item => ({ segment: segment.id, ...item })));
+      }
+      return { items, complete };
+    }
+
+    const items = await this.pickWords(text, {
+      sourceLang, targetLang, learningLang, level, limit: variables.maxCount || variables.count
+    });
+    return { items, complete: items.length >= (variables.count || 1) };
+  }
+}
+
+// 导出单例
+export const dictionaryService = new DictionaryService();
+export default dictionaryService;
@@ -0,0 +1,94 @@
+/**
+ * VocabMeld 增量 JSON 数组解析模块
+ * 流式响应逐块到达时，从顶层 JSON 数组中解析出每个已完整输出的对象
+ */
+
+/**
+ * 增量 JSON 数组解析器
+ * 忽略数组开始前的说明文字或代码块标记，只解析顶层数组中的对象元素
+ */
+export class JsonArrayStreamParser {
+  constructor() {
+    this.buffer = '';
+    this.index = 0;         // 下一个待扫描字符的位置
+    this.depth = 0;         // 当前嵌套深度，顶层数组内为 1
+    this.inString = false;
+    this.escaped = false;
+    this.itemStart = -1;    // 当前顶层对象的起始位置
+    this.done = false;      // 顶层数组已结束
+  }
+
+  /**
+   * 追加一段文本，返回本次新完成的对象
+   * @param {string} chunk
+   * @returns {Array<object>}
+   */
+  push(chunk) {
+    const items = [];
+    if (this.done || !chunk) return items;
+    this.buffer += chunk;
+
+    for (; this.index < this.buffer.length; this.index++) {
+      const char = this.buffer[this.index];
+
+      // 数组开始之前的内容全部跳过
+      if (this.depth === 0) {
+        if (char === '[') this.depth = 1;
+        continue;
+      }
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        this.inString = true;
+      } else if (char === '{' || char === '[') {
+        if (this.depth === 1 && char === '{') this.itemStart = this.index;
+        this.depth++;
+      } else if (char === '}' || char === ']') {
+        this.depth--;
+        if (this.depth === 1 && char === '}' && this.itemStart >= 0) {
+          const item = this.parseItem(this.buffer.slice(this.itemStart, this.index + 1));
+          if (item) items.push(item);
+          this.itemStart = -1;
+        } else if (this.depth === 0) {
+          this.done = true;
+          break;
+        }
+      }
+    }
+
+    // 丢弃已解析的内容，避免缓冲区无限增长
+    const keepFrom = this.itemStart >= 0 ? this.itemStart : this.index;
+    if (keepFrom > 0) {
+      this.buffer = this.buffer.slice(keepFrom);
+      this.index -= keepFrom;
+      if (this.itemStart >= 0) this.itemStart = 0;
+    }
+
+    return items;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {object|null}
+   */
+  parseItem(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      console.warn('[VocabMeld] Skipping malformed streamed item:', text);
+      return null;
+    }
+  }
+}
+
+export default JsonArrayStreamParser;
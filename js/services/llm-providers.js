@@ -0,0 +1,511 @@
+/**
+ * VocabMeld LLM 协议适配模块
+ * 为不同服务商构建请求与鉴权头，并将响应统一解析为 { content, usage }
+ */
+
+import { mockProvider } from './mock-provider.js';
+import '../providers.js';
+
+const { DEFAULT_ENDPOINTS } = globalThis.VocabMeldProviders;
+
+/**
+ * API 错误，携带 HTTP 状态码
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {number} status - HTTP 状态码（网络错误为 0）
+   * @param {number} retryAfter - 服务端要求的等待时间（毫秒），未提供为 0
+   */
+  constructor(message, status = 0, retryAfter = 0) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * 服务商在超时时间内无响应
+ */
+export class TimeoutError extends ApiError {
+  /**
+   * @param {number} timeoutMs - 超时时长（毫秒）
+   */
+  constructor(timeoutMs) {
+    super(`请求超时：服务商 ${Math.round(timeoutMs / 1000)} 秒内无响应`, 0);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * 请求被调用方取消（标签页关闭、导航、禁用或恢复页面）
+ */
+export class AbortError extends Error {
+  constructor(message = '请求已取消') {
+    super(message);
+    this.name = 'AbortError';
+  }
+}
+
+// 未设置时的请求超时（毫秒）
+export const DEFAULT_REQUEST_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * 判断错误是否值得重试或切换到下一个配置
+ * 429 限流、5xx 服务端错误、网络错误和超时可重试；其余 4xx 说明请求本身有问题
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error.name === 'AbortError') return false;
+  if (error.name === 'TimeoutError') return true;
+  if (!(error instanceof ApiError)) return false;
+  return error.status === 0 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * 解析 Retry-After 响应头（秒数或 HTTP 日期）
+ * @param {string|null} value
+ * @returns {number} - 毫秒
+ */
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+/**
+ * 统一的用量结构
+ * @param {number} promptTokens
+ * @param {number} completionTokens
+ * @returns {{ promptTokens: number, completionTokens: number }}
+ */
+function normalizeUsage(promptTokens, completionTokens) {
+  return {
+    promptTokens: promptTokens || 0,
+    completionTokens: completionTokens || 0
+  };
+}
+
+/**
+ * 去掉 Gemini responseSchema 不支持的字段
+ * @param {object} schema - JSON Schema
+ * @returns {object}
+ */
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'additionalProperties' || key === '$schema') continue;
+    result[key] = toGeminiSchema(value);
+  }
+  return result;
+}
+
+/**
+ * OpenAI chat/completions 协议（DeepSeek、Moonshot、Groq、Ollama 等兼容服务）
+ */
+const openaiProvider = {
+  name: 'OpenAI 兼容',
+  defaultEndpoint: DEFAULT_ENDPOINTS.openai,
+
+  // 兼容服务对 json_schema 的支持参差不齐，只对已知支持的服务启用
+  supportsSchema(apiConfig) {
+    return /api\.openai\.com|localhost:11434|127\.0\.0\.1:11434/.test(apiConfig.endpoint || '');
+  },
+
+  buildRequest(apiConfig, request) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiConfig.apiKey) headers['Authorization'] = `Bearer ${apiConfig.apiKey}`;
+
+    const body = {
+      model: apiConfig.model,
+      messages: request.messages,
+      temperature: request.temperature ?? 0.3,
+      max_tokens: request.maxTokens ?? 2000,
+      ...(request.stream && { stream: true, stream_options: { include_usage: true } })
+    };
+    if (request.responseSchema && this.supportsSchema(apiConfig)) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: request.responseSchema.name, schema: request.responseSchema.schema, strict: true }
+      };
+    }
+
+    return {
+      url: apiConfig.endpoint,
+      init: { method: 'POST', headers, body: JSON.stringify(body) }
+    };
+  },
+
+  parseResponse(data) {
+    return {
+      content: data.choices?.[0]?.message?.content || '',
+      usage: normalizeUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens)
+    };
+  },
+
+  parseStreamEvent(data) {
+    return {
+      text: data.choices?.[0]?.delta?.content || '',
+      promptTokens: data.usage?.prompt_tokens,
+      completionTokens: data.usage?.completion_tokens
+    };
+  },
+
+  parseError(data) {
+    return data?.error?.message;
+  }
+};
+
+/**
+ * Anthropic Messages 协议
+ */
+const anthropicProvider = {
+  name: 'Anthropic Claude',
+  defaultEndpoint: DEFAULT_ENDPOINTS.anthropic,
+
+  buildRequest(apiConfig, request) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'anthropic-version': '2023-06-01',
+      // 扩展从浏览器环境直接调用，需要显式声明
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+    if (apiConfig.apiKey) headers['x-api-key'] = apiConfig.apiKey;
+
+    // system 消息在 Messages 协议中是独立字段
+    const system = request.messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+    const messages = request.messages
+      .filter(m => m.role !== 'system')
+      .map(m => ({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content }));
+
+    const body = {
+      model: apiConfig.model,
+      messages,
+      temperature: request.temperature ?? 0.3,
+      max_tokens: request.maxTokens ?? 2000
+    };
+    if (system) body.system = system;
+    if (request.stream) body.stream = true;
+
+    // 通过强制调用工具获得符合 schema 的结构化输出，工具参数即结果
+    if (request.responseSchema) {
+      body.tools = [{
+        name: request.responseSchema.name,
+        description: '输出结果',
+        input_schema: request.responseSchema.schema
+      }];
+      body.tool_choice = { type: 'tool', name: request.responseSchema.name };
+    }
+
+    return {
+      url: apiConfig.endpoint,
+      init: { method: 'POST', headers, body: JSON.stringify(body) }
+    };
+  },
+
+  parseResponse(data) {
+    const blocks = data.content || [];
+    const toolUse = blocks.find(block => block.type === 'tool_use');
+    const content = toolUse
+      ? JSON.stringify(toolUse.input)
+      : blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+    return {
+      content,
+      usage: normalizeUsage(data.usage?.input_tokens, data.usage?.output_tokens)
+    };
+  },
+
+  parseStreamEvent(data) {
+    if (data.type === 'error') {
+      throw new ApiError(data.error?.message || 'Stream error', 0);
+    }
+    let text = '';
+    if (data.type === 'content_block_delta') {
+      // 文本输出为 text_delta，工具参数为 input_json_delta
+      text = data.delta?.text || data.delta?.partial_json || '';
+    }
+    return {
+      text,
+      promptTokens: data.message?.usage?.input_tokens,
+      completionTokens: data.usage?.output_tokens
+    };
+  },
+
+  parseError(data) {
+    return data?.error?.message;
+  }
+};
+
+/**
+ * Google Gemini generateContent 协议
+ * 端点中的 {model} 会被替换为模型名称
+ */
+const geminiProvider = {
+  name: 'Google Gemini',
+  defaultEndpoint: DEFAULT_ENDPOINTS.gemini,
+
+  buildRequest(apiConfig, request) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiConfig.apiKey) headers['x-goog-api-key'] = apiConfig.apiKey;
+
+    const system = request.messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+    const contents = request.messages
+      .filter(m => m.role !== 'system')
+      .map(m => ({
+        role: m.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: m.content }]
+      }));
+
+    const body = {
+      contents,
+      generationConfig: {
+        temperature: request.temperature ?? 0.3,
+        maxOutputTokens: request.maxTokens ?? 2000
+      }
+    };
+    if (system) body.systemInstruction = { parts: [{ text: system }] };
+    if (request.responseSchema) {
+      body.generationConfig.responseMimeType = 'application/json';
+      body.generationConfig.responseSchema = toGeminiSchema(request.responseSchema.schema);
+    }
+
+    let url = apiConfig.endpoint.replace('{model}', encodeURIComponent(apiConfig.model));
+    if (request.stream) {
+      url = url.replace(':generateContent', ':streamGenerateContent');
+      url += (url.includes('?') ? '&' : '?') + 'alt=sse';
+    }
+
+    return {
+      url,
+      init: { method: 'POST', headers, body: JSON.stringify(body) }
+    };
+  },
+
+  parseResponse(data) {
+    const parts = data.candidates?.[0]?.content?.parts || [];
+    return {
+      content: parts.map(part => part.text || '').join(''),
+      usage: normalizeUsage(data.usageMetadata?.promptTokenCount, data.usageMetadata?.candidatesTokenCount)
+    };
+  },
+
+  // 每个事件都是一个完整的 GenerateContentResponse，usageMetadata 为累计值
+  parseStreamEvent(data) {
+    const { content } = this.parseResponse(data);
+    return {
+      text: content,
+      promptTokens: data.usageMetadata?.promptTokenCount,
+      completionTokens: data.usageMetadata?.candidatesTokenCount
+    };
+  },
+
+  parseError(data) {
+    return data?.error?.message;
+  }
+};
+
+// 已支持的协议
+export const PROVIDERS = {
+  openai: openaiProvider,
+  anthropic: anthropicProvider,
+  gemini: geminiProvider,
+  mock: mockProvider
+};
+
+/**
+ * 根据端点推断协议类型（兼容未记录协议的旧配置）
+ * @param {string} endpoint - API 端点
+ * @returns {string}
+ */
+export function detectProviderType(endpoint = '') {
+  return globalThis.VocabMeldProviders.detectProviderType(endpoint);
+}
+
+/**
+ * 获取协议适配器
+ * @param {object} apiConfig - { provider, endpoint }
+ * @returns {object}
+ */
+export function getProvider(apiConfig) {
+  const type = apiConfig.provider || detectProviderType(apiConfig.endpoint);
+  return PROVIDERS[type] || PROVIDERS.openai;
+}
+
+/**
+ * 逐个读取 SSE（text/event-stream）事件的 data 字段
+ * @param {Response} response
+ * @param {function(string): void} onData
+ * @returns {Promise<void>}
+ */
+async function readEventStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let dataLines = [];
+
+  const handleLine = (line) => {
+    if (line === '') {
+      // 空行表示一个事件结束
+      if (dataLines.length > 0) onData(dataLines.join('\n'));
+      dataLines = [];
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      handleLine(buffer.slice(0, newline).replace(/\r$/, ''));
+      buffer = buffer.slice(newline + 1);
+    }
+  }
+
+  handleLine(buffer.replace(/\r$/, ''));
+  handleLine('');
+}
+
+/**
+ * 读取流式响应，每收到一段文本就回调一次，结束后返回完整结果
+ * @param {object} provider - 协议适配器
+ * @param {Response} response
+ * @param {function(string): void} onText
+ * @returns {Promise<{ content: string, usage: object }>}
+ */
+async function readStreamResponse(provider, response, onText) {
+  let content = '';
+  let promptTokens = 0;
+  let completionTokens = 0;
+
+  await readEventStream(response, (data) => {
+    if (data === '[DONE]') return;
+
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (e) {
+      return;
+    }
+
+    const delta = provider.parseStreamEvent(event);
+    if (delta.promptTokens) promptTokens = delta.promptTokens;
+    if (delta.completionTokens) completionTokens = delta.completionTokens;
+    if (delta.text) {
+      content += delta.text;
+      onText(delta.text);
+    }
+  });
+
+  return { content, usage: normalizeUsage(promptTokens, completionTokens) };
+}
+
+/**
+ * 发送请求并返回统一格式的结果
+ * request.stream 为 true 时使用 SSE 流式响应，每收到一段文本调用 onText
+ * 超时按无响应时长计算：流式响应每收到一段文本重新计时
+ * @param {object} apiConfig - { provider, endpoint, apiKey, model, timeoutMs }
+ * @param {object} request - { messages, temperature, maxTokens, stream, responseSchema }
+ * @param {function(string): void} [onText] - 流式文本回调
+ * @param {AbortSignal} [signal] - 调用方取消信号
+ * @returns {Promise<{ content: string, usage: object }>}
+ */
+export async function sendChatRequest(apiConfig, request, onText, signal) {
+  if (signal?.aborted) throw new AbortError();
+
+  const timeoutMs = apiConfig.timeoutMs || DEFAULT_REQUEST_TIMEOUT_MS;
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+  const resetTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  resetTimer();
+
+  try {
+    return await performRequest(apiConfig, request, controller.signal, onText && ((text) => {
+      resetTimer();
+      onText(text);
+    }));
+  } catch (error) {
+    if (timedOut) throw new TimeoutError(timeoutMs);
+    if (signal?.aborted) throw new AbortError();
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * 执行一次 HTTP 请求（超时与取消由 sendChatRequest 通过 signal 控制）
+ * @param {object} apiConfig
+ * @param {object} request
+ * @param {AbortSignal} signal
+ * @param {function(string): void} [onText]
+ * @returns {Promise<{ content: string, usage: object }>}
+ */
+async function performRequest(apiConfig, request, signal, onText) {
+  const provider = getProvider(apiConfig);
+  const stream = Boolean(request.stream && onText);
+
+  // 本地生成结果的协议（离线模拟）不发起网络请求
+  if (provider.respond) {
+    return provider.respond(apiConfig, { ...request, stream }, signal, onText);
+  }
+
+  const { url, init } = provider.buildRequest(apiConfig, { ...request, stream });
+  init.signal = signal;
+
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    throw new ApiError(error.message || 'Network error', 0);
+  }
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new ApiError(
+      provider.parseError(error) || `API Error: ${response.status}`,
+      response.status,
+      parseRetryAfter(response.headers.get('Retry-After'))
+    );
+  }
+
+  // 服务端忽略了 stream 参数时按普通响应处理
+  if (stream && response.headers.get('Content-Type')?.includes('text/event-stream')) {
+    try {
+      return await readStreamResponse(provider, response, onText);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(error.message || 'Stream interrupted', 0);
+    }
+  }
+
+  const result = provider.parseResponse(await response.json());
+  if (stream && result.content) onText(result.content);
+  return result;
+}
@@ -0,0 +1,182 @@
+/**
+ * VocabMeld 离线模拟服务
+ * 不发起网络请求，由 background 根据内置中英词表在本地生成与 LLM 相同格式的结果，
+ * 用于在没有 API 的情况下演示、测试和开发替换流程。相同输入总是得到相同输出
+ */
+
+import { MOCK_WORD_LIST } from '../core/mock-word-list.js';
+import { parseBatchText } from '../core/prompt-templates.js';
+import '../providers.js';
+
+export const MOCK_ENDPOINT = globalThis.VocabMeldProviders.DEFAULT_ENDPOINTS.mock;
+
+const FIRST_TOKEN_DELAY_MS = 300; // 模拟首字延迟
+const ITEM_DELAY_MS = 80;         // 流式输出时每个词汇之间的间隔
+
+/**
+ * 等待一段时间，取消时立即结束
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Aborted'));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new Error('Aborted'));
+    }, { once: true });
+  });
+}
+
+const isChinese = (lang = '') => lang.startsWith('zh');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 在文本中查找词表中的词，按出现位置排序
+ * @param {string} text
+ * @param {string} sourceLang - 文本语言
+ * @param {string} targetLang - 翻译目标语言
+ * @param {string} learningLang - 学习语言（决定音标类型）
+ * @param {number} limit - 最多返回的词汇数
+ * @returns {Array<object>}
+ */
+function findWords(text, sourceLang, targetLang, learningLang, limit) {
+  const fromChinese = isChinese(sourceLang);
+  // 词表只有中英两种语言
+  if (fromChinese === isChinese(targetLang)) return [];
+  if (!fromChinese && sourceLang !== 'en') return [];
+  if (fromChinese && targetLang !== 'en') return [];
+
+  const found = [];
+  for (const entry of MOCK_WORD_LIST) {
+    let position = -1;
+    let original = '';
+    if (fromChinese) {
+      position = text.indexOf(entry.zh);
+      original = entry.zh;
+    } else {
+      const match = new RegExp(`\\b${escapeRegExp(entry.en)}\\b`, 'i').exec(text);
+      if (match) {
+        position = match.index;
+        original = match[0];
+      }
+    }
+    if (position < 0) continue;
+
+    found.push({
+      original,
+      translation: fromChinese ? entry.en : entry.zh,
+      phonetic: isChinese(learningLang) ? entry.pinyin : learningLang === 'en' ? entry.ipa : '',
+      difficulty: entry.difficulty,
+      position
+    });
+  }
+
+  return found.sort((a, b) => a.position - b.position).slice(0, limit);
+}
+
+/**
+ * 指定词汇：两个方向都查，找不到的词不返回
+ * @param {string} text - 逗号分隔的词汇
+ * @param {string} learningLang
+ * @returns {Array<object>}
+ */
+function lookupWords(text, learningLang) {
+  const results = [];
+  for (const word of text.split(',').map(w => w.trim()).filter(Boolean)) {
+    const lower = word.toLowerCase();
+    const entry = MOCK_WORD_LIST.find(e => e.en === lower || e.zh === word);
+    if (!entry) continue;
+    const fromChinese = entry.zh === word;
+    results.push({
+      original: word,
+      translation: fromChinese ? entry.en : entry.zh,
+      phonetic: isChinese(learningLang) ? entry.pinyin : learningLang === 'en' ? entry.ipa : '',
+      difficulty: entry.difficulty
+    });
+  }
+  return results;
+}
+
+/**
+ * 根据结构化提示词生成结果条目
+ * @param {object} prompt - { kind, language, variables }
+ * @returns {Array<object>}
+ */
+function buildItems(prompt) {
+  const { kind, language, variables = {} } = prompt;
+  const { sourceLang, targetLang, text = '' } = variables;
+
+  if (kind === 'specificWords') {
+    return lookupWords(text, language);
+  }
+  if (kind === 'batch') {
+    return parseBatchText(text).flatMap(segment => (
+      findWords(segment.text, sourceLang, targetLang, language, segment.maxCount)
+        .map(item => ({ segment: segment.id, ...item }))
+    ));
+  }
+  return findWords(text, sourceLang, targetLang, language, variables.maxCount || variables.count || 8);
+}
+
+/**
+ * 粗略估算 token 数，供用量统计使用
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * 离线模拟协议：与其他协议相同的接口，但由 respond 在本地直接生成结果
+ */
+export const mockProvider = {
+  name: '离线模拟',
+  defaultEndpoint: MOCK_ENDPOINT,
+
+  /**
+   * @param {object} apiConfig
+   * @param {object} request - { messages, prompt, stream, responseSchema }
+   * @param {AbortSignal} signal
+   * @param {function(string): void} [onText] - 流式输出时逐个词汇回调
+   * @returns {Promise<{ content: string, usage: object }>}
+   */
+  async respond(apiConfig, request, signal, onText) {
+    const input = (request.messages || []).map(m => m.content).join('\n');
+    await delay(FIRST_TOKEN_DELAY_MS, signal);
+
+    // 没有结构化提示词（如测试连接）时简单回应
+    if (!request.prompt) {
+      if (request.stream) onText?.('OK');
+      return { content: 'OK', usage: { promptTokens: estimateTokens(input), completionTokens: 1 } };
+    }
+
+    const items = buildItems(request.prompt);
+    const [open, close] = request.responseSchema ? ['{"items":[', ']}'] : ['[', ']'];
+    const parts = items.map(item => JSON.stringify(item));
+    const content = open + parts.join(',') + close;
+
+    if (request.stream && onText) {
+      onText(open);
+      for (let i = 0; i < parts.length; i++) {
+        await delay(ITEM_DELAY_MS, signal);
+        onText((i > 0 ? ',' : '') + parts[i]);
+      }
+      onText(close);
+    }
+
+    return {
+      content,
+      usage: { promptTokens: estimateTokens(input), completionTokens: estimateTokens(content) }
+    };
+  }
+};
+
+export default mockProvider;
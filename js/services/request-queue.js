@@ -0,0 +1,267 @@
+/**
+ * VocabMeld 请求队列模块
+ * 所有标签页的 LLM 请求在 background 中统一排队：全局并发限制、按配置的令牌桶限流、
+ * 遵循 Retry-After 的指数退避重试，以及按优先级调度（可见段落优先于预取）
+ * 请求可通过 AbortSignal 取消：排队或等待重试的请求直接移出队列
+ */
+
+import { isRetryableError, AbortError } from './llm-providers.js';
+
+// 请求优先级（数值越小越优先）
+export const PRIORITY = {
+  visible: 0,   // 当前视口内的段落
+  prefetch: 1   // 视口外预加载的段落
+};
+
+const MAX_CONCURRENT_REQUESTS = 4;  // 全局最大并发请求数
+const MAX_RETRIES = 3;              // 单个请求最多重试次数
+const BACKOFF_BASE_MS = 1000;       // 退避基准时长
+const BACKOFF_MAX_MS = 30 * 1000;   // 退避上限
+const DEFAULT_REQUESTS_PER_MINUTE = 60;
+
+/**
+ * 等待指定时长，signal 取消时以 AbortError 结束
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new AbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 令牌桶：容量为每分钟请求数，令牌随时间匀速补充
+ */
+class TokenBucket {
+  /**
+   * @param {number} requestsPerMinute - 每分钟允许的请求数
+   */
+  constructor(requestsPerMinute) {
+    this.setRate(requestsPerMinute);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * 更新速率（配置修改后生效）
+   * @param {number} requestsPerMinute
+   */
+  setRate(requestsPerMinute) {
+    this.capacity = Math.max(1, requestsPerMinute);
+    this.refillPerMs = this.capacity / 60000;
+    if (this.tokens > this.capacity) this.tokens = this.capacity;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * 获取一个令牌，必要时等待；signal 取消时放弃等待
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  async take(signal) {
+    for (;;) {
+      if (signal?.aborted) throw new AbortError();
+      const pauseMs = this.pausedUntil - Date.now();
+      if (pauseMs > 0) {
+        await sleep(pauseMs, signal);
+        continue;
+      }
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil((1 - this.tokens) / this.refillPerMs), signal);
+    }
+  }
+
+  /**
+   * 服务端要求等待时暂停发放令牌
+   * @param {number} ms
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
+/**
+ * 按 API 配置划分的限流器
+ */
+class RateLimiter {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  /**
+   * @param {object} apiConfig - { name, requestsPerMinute }
+   * @returns {TokenBucket}
+   */
+  getBucket(apiConfig) {
+    const rate = apiConfig.requestsPerMinute || DEFAULT_REQUESTS_PER_MINUTE;
+    let bucket = this.buckets.get(apiConfig.name);
+    if (!bucket) {
+      bucket = new TokenBucket(rate);
+      this.buckets.set(apiConfig.name, bucket);
+    } else if (bucket.capacity !== rate) {
+      bucket.setRate(rate);
+    }
+    return bucket;
+  }
+
+  /**
+   * 等待该配置的令牌，请求取消时以 AbortError 结束
+   * @param {object} apiConfig
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  acquire(apiConfig, signal) {
+    return this.getBucket(apiConfig).take(signal);
+  }
+
+  /**
+   * 收到 429 + Retry-After 时暂停该配置
+   * @param {object} apiConfig
+   * @param {number} ms
+   */
+  pause(apiConfig, ms) {
+    if (ms > 0) this.getBucket(apiConfig).pause(ms);
+  }
+}
+
+/**
+ * 计算第 attempt 次重试前的等待时间
+ * @param {number} attempt - 从 0 开始
+ * @param {Error} error
+ * @returns {number}
+ */
+function getBackoffDelay(attempt, error) {
+  const exponential = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  const jitter = Math.random() * BACKOFF_BASE_MS;
+  return Math.max(error.retryAfter || 0, exponential + jitter);
+}
+
+/**
+ * 全局请求队列类
+ */
+class RequestQueue {
+  constructor() {
+    this.pending = [];
+    this.running = 0;
+    this.sequence = 0;
+  }
+
+  /**
+   * 加入队列
+   * @param {function} task - 返回 Promise 的请求函数
+   * @param {object} options - { priority: 'visible' | 'prefetch', signal?: AbortSignal }
+   * @returns {Promise<any>}
+   */
+  enqueue(task, options = {}) {
+    const priority = PRIORITY[options.priority] ?? PRIORITY.prefetch;
+    const { signal } = options;
+    let onAbort = null;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new AbortError());
+        return;
+      }
+      const job = { task, priority, order: this.sequence++, attempt: 0, signal, resolve, reject };
+      if (signal) {
+        onAbort = () => this.cancel(job);
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      this.pending.push(job);
+      this.pump();
+    }).finally(() => {
+      // 请求结束后移除取消监听，长期存在的 signal 上不会累积监听器
+      if (onAbort) signal.removeEventListener('abort', onAbort);
+    });
+  }
+
+  /**
+   * 取消尚未开始的请求；执行中的请求由 task 自己响应 signal
+   * @param {object} job
+   */
+  cancel(job) {
+    const index = this.pending.indexOf(job);
+    if (index >= 0) {
+      this.pending.splice(index, 1);
+      job.reject(new AbortError());
+    }
+  }
+
+  /**
+   * 在并发上限内启动下一个请求：先比较优先级，同优先级先进先出
+   */
+  pump() {
+    while (this.running < MAX_CONCURRENT_REQUESTS && this.pending.length > 0) {
+      this.pending.sort((a, b) => a.priority - b.priority || a.order - b.order);
+      this.run(this.pending.shift());
+    }
+  }
+
+  /**
+   * 执行请求；可重试的错误在退避后重新入队，等待期间不占用并发名额
+   * @param {object} job
+   */
+  async run(job) {
+    this.running++;
+    try {
+      job.resolve(await job.task());
+    } catch (error) {
+      if (job.attempt < MAX_RETRIES && isRetryableError(error) && !job.signal?.aborted) {
+        const delay = getBackoffDelay(job.attempt, error);
+        console.warn(`[VocabMeld] Request failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+        job.attempt++;
+        setTimeout(() => {
+          // 等待重试期间已被取消
+          if (job.signal?.aborted) {
+            job.reject(new AbortError());
+            return;
+          }
+          this.pending.push(job);
+          this.pump();
+        }, delay);
+      } else {
+        job.reject(error);
+      }
+    } finally {
+      this.running--;
+      this.pump();
+    }
+  }
+
+  /**
+   * 获取队列状态
+   * @returns {{ pending: number, running: number }}
+   */
+  getStats() {
+    return { pending: this.pending.length, running: this.running };
+  }
+}
+
+// 导出单例
+export const rateLimiter = new RateLimiter();
+export const requestQueue = new RequestQueue();
+export default requestQueue;
@@ -0,0 +1,141 @@
+/**
+ * VocabMeld 用量统计模块
+ * 按日期和 API 配置累计 token 用量与花费，并根据月度预算判断是否暂停自动处理
+ */
+
+// 用量存储键：{ days: { 'YYYY-MM-DD': { [配置名]: { requests, promptTokens, completionTokens, cost } } } }
+export const USAGE_KEY = 'vocabmeld_usage';
+
+const KEEP_DAYS = 400; // 保留的历史天数
+
+/**
+ * 当天日期键（与统计的每日重置保持一致）
+ * @returns {string}
+ */
+function getDayKey(date = new Date()) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * 按每百万 token 的价格计算花费
+ * @param {object} apiConfig - { inputPrice, outputPrice }
+ * @param {object} usage - { promptTokens, completionTokens }
+ * @returns {number}
+ */
+export function calculateCost(apiConfig, usage) {
+  const inputPrice = Number(apiConfig.inputPrice) || 0;
+  const outputPrice = Number(apiConfig.outputPrice) || 0;
+  return (usage.promptTokens * inputPrice + usage.completionTokens * outputPrice) / 1e6;
+}
+
+/**
+ * 累加一条用量
+ * @param {object} target
+ * @param {object} entry
+ */
+function addUsage(target, entry) {
+  target.requests += entry.requests || 0;
+  target.promptTokens += entry.promptTokens || 0;
+  target.completionTokens += entry.completionTokens || 0;
+  target.cost += entry.cost || 0;
+}
+
+const emptyUsage = () => ({ requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 });
+
+/**
+ * 用量统计类
+ */
+class UsageTracker {
+  constructor() {
+    // 串行化读写，避免并发请求同时完成时互相覆盖
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * 记录一次请求的用量
+   * @param {object} apiConfig - { name, inputPrice, outputPrice }
+   * @param {object} usage - { promptTokens, completionTokens }
+   * @returns {Promise<void>}
+   */
+  record(apiConfig, usage) {
+    const entry = {
+      requests: 1,
+      promptTokens: usage?.promptTokens || 0,
+      completionTokens: usage?.completionTokens || 0,
+      cost: calculateCost(apiConfig, usage || emptyUsage())
+    };
+
+    this.writeChain = this.writeChain.then(async () => {
+      const result = await new Promise(resolve => chrome.storage.local.get(USAGE_KEY, resolve));
+      const data = result[USAGE_KEY] || { days: {} };
+      const dayKey = getDayKey();
+
+      data.days[dayKey] = data.days[dayKey] || {};
+      const day = data.days[dayKey];
+      day[apiConfig.name] = day[apiConfig.name] || emptyUsage();
+      addUsage(day[apiConfig.name], entry);
+
+      // 清理过期记录
+      const cutoff = getDayKey(new Date(Date.now() - KEEP_DAYS * 24 * 60 * 60 * 1000));
+      for (const key of Object.keys(data.days)) {
+        if (key < cutoff) delete data.days[key];
+      }
+
+      await new Promise(resolve => chrome.storage.local.set({ [USAGE_KEY]: data }, resolve));
+    }).catch(error => {
+      console.error('[VocabMeld] Failed to record usage:', error);
+    });
+
+    return this.writeChain;
+  }
+
+  /**
+   * 汇总今日、本月用量及预算状态
+   * @returns {Promise<{ today: object, month: object, byConfig: object, monthlyBudget: number, overBudget: boolean }>}
+   */
+  async getSummary() {
+    await this.writeChain;
+    const [local, sync] = await Promise.all([
+      new Promise(resolve => chrome.storage.local.get(USAGE_KEY, resolve)),
+      new Promise(resolve => chrome.storage.sync.get('monthlyBudget', resolve))
+    ]);
+    const days = local[USAGE_KEY]?.days || {};
+    const todayKey = getDayKey();
+    const monthPrefix = todayKey.slice(0, 7);
+
+    const today = emptyUsage();
+    const month = emptyUsage();
+    const byConfig = {};
+    for (const [dayKey, configs] of Object.entries(days)) {
+      if (!dayKey.startsWith(monthPrefix)) continue;
+      for (const [name, entry] of Object.entries(configs)) {
+        addUsage(month, entry);
+        if (dayKey === todayKey) addUsage(today, entry);
+        byConfig[name] = byConfig[name] || emptyUsage();
+        addUsage(byConfig[name], entry);
+      }
+    }
+
+    const monthlyBudget = Number(sync.monthlyBudget) || 0;
+    return {
+      today,
+      month,
+      byConfig,
+      monthlyBudget,
+      overBudget: monthlyBudget > 0 && month.cost >= monthlyBudget
+    };
+  }
+
+  /**
+   * 清空用量记录
+   * @returns {Promise<void>}
+   */
+  clear() {
+    this.writeChain = this.writeChain.then(() => new Promise(resolve => chrome.storage.local.remove(USAGE_KEY, resolve)));
+    return this.writeChain;
+  }
+}
+
+// 导出单例
+export const usageTracker = new UsageTracker();
+export default usageTracker;
@@ -0,0 +1,186 @@
+/**
+ * VocabMeld 词汇缓存存储
+ * 缓存保存在后台拥有的 IndexedDB 中，每个词一条记录、按键增量写入，
+ * 避免各标签页整体重写 chrome.storage.local 中的数组而互相覆盖
+ */
+
+import { CACHE_CONFIG } from '../core/config.js';
+import { storage } from '../core/storage.js';
+import { promisify, transactionDone } from '../core/idb.js';
+import '../lemmatizer.js';
+
+const DB_NAME = 'vocabmeld_cache';
+const DB_VERSION = 1;
+const WORD_STORE = 'words';
+
+/**
+ * 由缓存键生成记录：键格式为 `${word}:${sourceLang}:${targetLang}`，word 为词元，surface 为原词形
+ * @param {string} key
+ * @param {object} value - { translation, phonetic, difficulty, timestamp, accessedAt, hits, surface?, model?, promptVersion?, senses? }
+ * @returns {object}
+ */
+function toRecord(key, value) {
+  const [word, sourceLang, targetLang] = key.split(':');
+  const now = Date.now();
+  return {
+    key,
+    word,
+    sourceLang,
+    targetLang,
+    translation: value.translation,
+    phonetic: value.phonetic || '',
+    difficulty: value.difficulty || 'B1',
+    timestamp: value.timestamp || now,
+    accessedAt: value.accessedAt || now,
+    hits: value.hits || 0,
+    ...(value.surface ? { surface: value.surface } : {}),
+    ...(value.model ? { model: value.model } : {}),
+    ...(value.promptVersion ? { promptVersion: value.promptVersion } : {}),
+    ...(value.senses?.length ? { senses: value.senses } : {})
+  };
+}
+
+/**
+ * 旧缓存键按词元重写：旧版本以小写原词为键，现在以词元为键（running → run）
+ * 迁移旧缓存和导入备份共用
+ * @param {string} key
+ * @returns {string}
+ */
+export function toLemmaKey(key) {
+  const [word, sourceLang, targetLang] = key.split(':');
+  return `${globalThis.VocabMeldLemmatizer.lemmatize(word, sourceLang)}:${sourceLang}:${targetLang}`;
+}
+
+/**
+ * 词汇缓存存储类
+ */
+class WordCacheStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * 打开数据库，首次打开时从旧的 chrome.storage.local 数组迁移
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const words = request.result.createObjectStore(WORD_STORE, { keyPath: 'key' });
+          words.createIndex('accessedAt', 'accessedAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      })
+        .then(db => this.migrate(db).then(() => db))
+        .catch(error => {
+          this.dbPromise = null;
+          throw error;
+        });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * 迁移旧格式：[{ key, translation, phonetic, difficulty, timestamp }]，数组顺序即 LRU 顺序
+   * 键按词元重写，同一个词的多个变形合并为一条，保留最近访问的那条
+   * @param {IDBDatabase} db
+   * @returns {Promise<void>}
+   */
+  async migrate(db) {
+    const data = await storage.getLocal(CACHE_CONFIG.storageKey);
+    const legacy = data[CACHE_CONFIG.storageKey];
+    if (!Array.isArray(legacy)) return;
+
+    const tx = db.transaction(WORD_STORE, 'readwrite');
+    const store = tx.objectStore(WORD_STORE);
+    const base = Date.now() - legacy.length;
+    legacy.forEach((item, i) => {
+      if (item?.key && item.translation) {
+        store.put(toRecord(toLemmaKey(item.key), { ...item, accessedAt: base + i }));
+      }
+    });
+    await transactionDone(tx);
+    await storage.removeLocal(CACHE_CONFIG.storageKey);
+    console.log(`[VocabMeld] Migrated ${legacy.length} cache items to IndexedDB`);
+  }
+
+  /**
+   * 读取全部记录，按最近访问时间从旧到新排列
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    const db = await this.openDb();
+    const tx = db.transaction(WORD_STORE, 'readonly');
+    return promisify(tx.objectStore(WORD_STORE).index('accessedAt').getAll());
+  }
+
+  /**
+   * 按键写入或更新记录
+   * @param {Array<{ key: string }>} items - { key, translation, phonetic, difficulty, timestamp?, accessedAt? }
+   * @returns {Promise<void>}
+   */
+  async putMany(items) {
+    if (items.length === 0) return;
+    const db = await this.openDb();
+    const tx = db.transaction(WORD_STORE, 'readwrite');
+    const store = tx.objectStore(WORD_STORE);
+    for (const item of items) {
+      store.put(toRecord(item.key, item));
+    }
+    await transactionDone(tx);
+  }
+
+  /**
+   * 记录命中：更新访问时间并累计命中次数
+   * @param {string[]} keys
+   * @returns {Promise<void>}
+   */
+  async touch(keys) {
+    if (keys.length === 0) return;
+    const db = await this.openDb();
+    const tx = db.transaction(WORD_STORE, 'readwrite');
+    const store = tx.objectStore(WORD_STORE);
+    const now = Date.now();
+    for (const key of keys) {
+      store.get(key).onsuccess = (event) => {
+        const record = event.target.result;
+        if (record) store.put({ ...record, accessedAt: now, hits: (record.hits || 0) + 1 });
+      };
+    }
+    await transactionDone(tx);
+  }
+
+  /**
+   * 删除记录
+   * @param {string[]} keys
+   * @returns {Promise<void>}
+   */
+  async deleteMany(keys) {
+    if (keys.length === 0) return;
+    const db = await this.openDb();
+    const tx = db.transaction(WORD_STORE, 'readwrite');
+    const store = tx.objectStore(WORD_STORE);
+    for (const key of keys) {
+      store.delete(key);
+    }
+    await transactionDone(tx);
+  }
+
+  /**
+   * 清空缓存
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this.openDb();
+    const tx = db.transaction(WORD_STORE, 'readwrite');
+    tx.objectStore(WORD_STORE).clear();
+    await transactionDone(tx);
+  }
+}
+
+// 导出单例
+export const wordCacheStore = new WordCacheStore();
+export default wordCacheStore;
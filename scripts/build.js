@@ -3,8 +3,11 @@
  * 生成不同尺寸的图标
  */
 
-const fs = require('fs');
-const path = require('path');
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // 创建简单的 PNG 图标（使用 canvas 库或手动创建）
 // 由于不想引入额外依赖，这里创建一个简单的生成器
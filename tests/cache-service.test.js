@@ -0,0 +1,138 @@
+/**
+ * 后台缓存服务测试：查找、写入、容量上限、有效期与淘汰策略
+ * IndexedDB 存储替换为空实现，只验证内存中的缓存
+ * 运行：npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { cacheService } from '../js/services/cache-service.js';
+import { wordCacheStore } from '../js/services/word-cache-store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 每个测试使用空缓存和默认设置，存储操作不落盘
+function reset(t, { maxSize = 100 } = {}) {
+  for (const method of ['putMany', 'deleteMany', 'touch', 'clear']) {
+    t.mock.method(wordCacheStore, method, async () => {});
+  }
+  cacheService.cache = new Map();
+  cacheService.maxSize = maxSize;
+  cacheService.ttlMs = 0;
+  cacheService.setEvictionPolicy('lru', true);
+  cacheService.setPinnedWords([], []);
+}
+
+const entry = (word, translation = `${word}-译文`) => ({ word, sourceLang: 'en', targetLang: 'zh-CN', translation });
+
+test('按词和语言对查找，不区分大小写并去重', async (t) => {
+  reset(t);
+  await cacheService.setMany([entry('run', '跑')]);
+  const { cached, uncached } = cacheService.checkWords(['Run', 'run', 'walk'], 'en', 'zh-CN');
+  assert.deepStrictEqual([...cached.keys()], ['Run']);
+  assert.strictEqual(cached.get('Run').translation, '跑');
+  assert.deepStrictEqual(uncached, ['walk']);
+  assert.strictEqual(cacheService.checkWords(['run'], 'en', 'ja').cached.size, 0);
+});
+
+test('以词元为键保存原词形，更新译文时保留，列表显示原词形', async (t) => {
+  reset(t);
+  await cacheService.setMany([{ ...entry('run'), surface: 'Running' }]);
+  await cacheService.setMany([entry('run', '跑')]);
+  assert.strictEqual(cacheService.peek('run:en:zh-CN').surface, 'Running');
+  assert.strictEqual(cacheService.getAllWords()[0].original, 'Running');
+});
+
+test('导入备份时清空现有缓存，键按词元重写', async (t) => {
+  reset(t);
+  await cacheService.setMany([entry('walk')]);
+  const count = await cacheService.importAll([
+    { key: 'running:en:zh-CN', original: 'running', translation: '跑', hits: 3 },
+    { key: 'swim:en:zh-CN', translation: '' }
+  ]);
+  assert.strictEqual(count, 1);
+  assert.strictEqual(wordCacheStore.clear.mock.callCount(), 1);
+  assert.deepStrictEqual([...cacheService.cache.keys()], ['run:en:zh-CN']);
+  assert.strictEqual(cacheService.peek('run:en:zh-CN').surface, 'running');
+  assert.strictEqual(cacheService.peek('run:en:zh-CN').hits, 3);
+});
+
+test('命中累计次数并写入存储', async (t) => {
+  reset(t);
+  await cacheService.setMany([entry('run')]);
+  cacheService.checkWords(['run'], 'en', 'zh-CN');
+  assert.strictEqual(cacheService.peek('run:en:zh-CN').hits, 1);
+  assert.deepStrictEqual(wordCacheStore.touch.mock.calls[0].arguments, [['run:en:zh-CN']]);
+});
+
+test('超过容量时淘汰最久未访问的项', async (t) => {
+  reset(t, { maxSize: 2 });
+  await cacheService.setMany([entry('one'), entry('two')]);
+  cacheService.checkWords(['one'], 'en', 'zh-CN');
+  await cacheService.setMany([entry('three')]);
+  assert.deepStrictEqual([...cacheService.cache.keys()], ['one:en:zh-CN', 'three:en:zh-CN']);
+  assert.deepStrictEqual(wordCacheStore.deleteMany.mock.calls.at(-1).arguments, [['two:en:zh-CN']]);
+});
+
+test('缩小容量时立即淘汰', async (t) => {
+  reset(t);
+  await cacheService.setMany([entry('one'), entry('two'), entry('three')]);
+  await cacheService.setMaxSize(1);
+  assert.deepStrictEqual([...cacheService.cache.keys()], ['three:en:zh-CN']);
+});
+
+test('过期的项视为未命中并删除', async (t) => {
+  reset(t);
+  await cacheService.setMany([{ ...entry('old'), timestamp: Date.now() - 3 * DAY_MS }, entry('new')]);
+  await cacheService.setTtl(2);
+  assert.deepStrictEqual(cacheService.checkWords(['old', 'new'], 'en', 'zh-CN').uncached, ['old']);
+  assert.strictEqual(cacheService.cache.has('old:en:zh-CN'), false);
+});
+
+test('lfu 淘汰命中次数最少的项', async (t) => {
+  reset(t, { maxSize: 3 });
+  cacheService.setEvictionPolicy('lfu');
+  await cacheService.setMany([{ ...entry('one'), hits: 5 }, { ...entry('two'), hits: 1 }, { ...entry('three'), hits: 3 }]);
+  await cacheService.setMany([entry('four')]);
+  assert.deepStrictEqual([...cacheService.cache.keys()], ['one:en:zh-CN', 'three:en:zh-CN', 'four:en:zh-CN']);
+});
+
+test('weighted 的命中次数随距上次访问的时间衰减', async (t) => {
+  reset(t, { maxSize: 2 });
+  cacheService.setEvictionPolicy('weighted');
+  await cacheService.setMany([{ ...entry('old'), hits: 10 }, { ...entry('recent'), hits: 2 }]);
+  // 四周未访问：10 次命中衰减到 (10 + 1) / 16，低于最近访问的 2 次命中
+  cacheService.cache.get('old:en:zh-CN').accessedAt = Date.now() - 28 * DAY_MS;
+  await cacheService.setMany([entry('new')]);
+  assert.deepStrictEqual([...cacheService.cache.keys()], ['recent:en:zh-CN', 'new:en:zh-CN']);
+});
+
+test('未知策略按 lru 处理', (t) => {
+  reset(t);
+  cacheService.setEvictionPolicy('random');
+  assert.strictEqual(cacheService.policy, 'lru');
+});
+
+test('需记忆和已学会的词按词元固定，不被淘汰', async (t) => {
+  reset(t, { maxSize: 2 });
+  cacheService.setPinnedWords([{ word: 'Running' }], [{ original: 'walked' }]);
+  await cacheService.setMany([entry('run'), entry('walk')]);
+  await cacheService.setMany([entry('swim')]);
+  // 全部固定时退回淘汰最久未访问的项
+  assert.deepStrictEqual([...cacheService.cache.keys()], ['walk:en:zh-CN', 'swim:en:zh-CN']);
+
+  reset(t, { maxSize: 2 });
+  cacheService.setPinnedWords([{ word: 'Running' }], []);
+  await cacheService.setMany([entry('run'), entry('walk')]);
+  await cacheService.setMany([entry('swim')]);
+  assert.deepStrictEqual([...cacheService.cache.keys()], ['run:en:zh-CN', 'swim:en:zh-CN']);
+});
+
+test('关闭固定后固定的词也参与淘汰', async (t) => {
+  reset(t, { maxSize: 1 });
+  cacheService.setEvictionPolicy('lru', false);
+  cacheService.setPinnedWords([{ word: 'run' }], []);
+  await cacheService.setMany([entry('run')]);
+  await cacheService.setMany([entry('walk')]);
+  assert.deepStrictEqual([...cacheService.cache.keys()], ['walk:en:zh-CN']);
+});
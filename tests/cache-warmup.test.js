@@ -0,0 +1,83 @@
+/**
+ * 缓存预热测试：词表过滤、按词元写入和 token 预算
+ * 存储与翻译替换为内存实现
+ * 运行：npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { cacheWarmup } from '../js/services/cache-warmup.js';
+import { cacheService } from '../js/services/cache-service.js';
+import { wordCacheStore } from '../js/services/word-cache-store.js';
+import { storage } from '../js/core/storage.js';
+
+function reset(t) {
+  t.mock.method(storage, 'getLocal', async () => ({}));
+  t.mock.method(storage, 'setLocal', async () => {});
+  t.mock.method(cacheService, 'init', async () => {});
+  for (const method of ['putMany', 'deleteMany', 'touch']) {
+    t.mock.method(wordCacheStore, method, async () => {});
+  }
+  cacheService.cache = new Map();
+  cacheService.maxSize = 1000;
+  cacheWarmup.state = null;
+  cacheWarmup.setTranslator(null);
+}
+
+// 按请求的词返回译文，模型返回的是变形（walk → walking）时也能对应
+function fakeTranslator(calls, tokensPerBatch = 10) {
+  return async (words) => {
+    calls.push(words);
+    return {
+      items: words.map(word => ({ original: `${word}ing`, translation: `${word}-译文`, difficulty: 'X9' })),
+      usage: { promptTokens: tokensPerBatch, completionTokens: 0 },
+      model: 'test-model',
+      promptVersion: 2
+    };
+  };
+}
+
+test('开始预热时去掉过短、重复和已缓存的词，按词元排队', async (t) => {
+  reset(t);
+  await cacheService.setMany([{ word: 'improve', sourceLang: 'en', targetLang: 'zh-CN', translation: '改善' }]);
+  const state = await cacheWarmup.start({
+    source: 'file',
+    words: ['running', 'runs', 'cat', 'walked', 'walking', 'improved', ''],
+    sourceLang: 'en',
+    targetLang: 'zh-CN'
+  });
+  assert.strictEqual(state.status, 'running');
+  assert.deepStrictEqual(state.pending, ['run', 'walk']);
+});
+
+test('逐批翻译并按词元写入缓存', async (t) => {
+  reset(t);
+  await cacheWarmup.start({ source: 'file', words: ['walked', 'jumped'], sourceLang: 'en', targetLang: 'zh-CN' });
+  const calls = [];
+  cacheWarmup.setTranslator(fakeTranslator(calls));
+  await cacheWarmup.run();
+
+  assert.deepStrictEqual(calls, [['walk', 'jump']]);
+  const state = await cacheWarmup.getState();
+  assert.strictEqual(state.status, 'done');
+  assert.strictEqual(state.cached, 2);
+  const item = cacheService.peek('walk:en:zh-CN');
+  assert.strictEqual(item.translation, 'walk-译文');
+  assert.strictEqual(item.difficulty, 'B1');
+  assert.strictEqual(item.model, 'test-model');
+});
+
+test('用完 token 预算时暂停', async (t) => {
+  reset(t);
+  const words = Array.from({ length: 50 }, (_, i) => `zorb${String.fromCharCode(97 + Math.floor(i / 26))}${String.fromCharCode(97 + (i % 26))}k`);
+  await cacheWarmup.start({ source: 'file', words, sourceLang: 'en', targetLang: 'zh-CN', tokenBudget: 5 });
+  const calls = [];
+  cacheWarmup.setTranslator(fakeTranslator(calls));
+  await cacheWarmup.run();
+
+  assert.strictEqual(calls.length, 1);
+  const state = await cacheWarmup.getState();
+  assert.strictEqual(state.status, 'paused');
+  assert.strictEqual(state.reason, 'budget');
+  assert.strictEqual(state.pending.length, 50 - calls[0].length);
+});
@@ -0,0 +1,47 @@
+/**
+ * 词典导入解析测试：CC-CEDICT、TSV 与格式识别
+ * 运行：npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { numberedPinyinToMarks, parseCedict, parseTsv, detectFormat } from '../js/services/dictionary-parsers.js';
+
+test('数字声调拼音转为声调符号', () => {
+  assert.strictEqual(numberedPinyinToMarks('zhong1 guo2'), 'zhōng guó');
+  assert.strictEqual(numberedPinyinToMarks('gou3 lu:4 ma5'), 'gǒu lǜ ma');
+  assert.strictEqual(numberedPinyinToMarks('Xue2 xi2'), 'Xué xí');
+  assert.strictEqual(numberedPinyinToMarks('dou1'), 'dōu');
+});
+
+test('CC-CEDICT 生成简繁词条和反向词条', () => {
+  const entries = parseCedict('# comment\n學習 学习 [xue2 xi2] /to learn/to study/\n');
+  assert.deepStrictEqual(entries.map(e => [e.sourceLang, e.targetLang, e.headword, e.translation]), [
+    ['zh-CN', 'en', '学习', 'to learn; to study'],
+    ['zh-TW', 'en', '學習', 'to learn; to study'],
+    ['en', 'zh-CN', 'learn', '学习'],
+    ['en', 'zh-TW', 'learn', '學習']
+  ]);
+  assert.strictEqual(entries[0].reading, 'xué xí');
+});
+
+test('CC-CEDICT 跳过异体字等不适合作为译文的释义', () => {
+  assert.deepStrictEqual(parseCedict('着 着 [zhe5] /variant of 著/\n'), []);
+});
+
+test('TSV 跳过表头并读取词频和 CEFR 等级', () => {
+  const entries = parseTsv('word\ttranslation\treading\trank\tcefr\nrun\t跑\t/rʌn/\t120\tA1\nwalk\t走\n', 'en', 'zh-CN');
+  assert.deepStrictEqual(entries.map(e => [e.term, e.translation, e.rank, e.cefr]), [
+    ['run', '跑', 120, 'A1'],
+    ['walk', '走', 0, '']
+  ]);
+});
+
+test('按文件名和内容识别格式', () => {
+  const encode = text => new TextEncoder().encode(text);
+  assert.strictEqual(detectFormat({ 'a.ifo': encode(''), 'a.idx': encode('') }), 'stardict');
+  assert.strictEqual(detectFormat({ 'dict.txt': encode('學習 学习 [xue2 xi2] /to learn/\n') }), 'cedict');
+  assert.strictEqual(detectFormat({ 'JMdict_e': encode('<!DOCTYPE JMdict [\n]>') }), 'jmdict');
+  assert.strictEqual(detectFormat({ 'eng-fra.tei': encode('<TEI xmlns="http://www.tei-c.org/ns/1.0">') }), 'freedict');
+  assert.strictEqual(detectFormat({ 'words.tsv': encode('run\t跑\n') }), 'tsv');
+});
@@ -0,0 +1,54 @@
+/**
+ * 增量 JSON 数组解析测试：任意切分的流式文本得到与整体解析相同的对象
+ * 运行：npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { JsonArrayStreamParser } from '../js/services/json-stream-parser.js';
+
+const ITEMS = [
+  { original: 'run', translation: '跑', phonetic: '/rʌn/', difficulty: 'A1' },
+  { original: 'say "hi"', translation: '打招呼 {问候}', phonetic: '', difficulty: 'A2' },
+  { original: 'back\\slash', translation: '反斜杠 [符号]', senses: [{ context: 'a]b' }], difficulty: 'B1' }
+];
+const TEXT = '以下是结果：\n```json\n' + JSON.stringify(ITEMS, null, 2) + '\n```\n说明文字 [1] {2}';
+
+// 按固定长度切分后逐段输入，返回全部解析出的对象
+function parseInChunks(text, size) {
+  const parser = new JsonArrayStreamParser();
+  const items = [];
+  for (let i = 0; i < text.length; i += size) {
+    items.push(...parser.push(text.slice(i, i + size)));
+  }
+  return items;
+}
+
+test('整段输入解析出全部对象', () => {
+  assert.deepStrictEqual(new JsonArrayStreamParser().push(TEXT), ITEMS);
+});
+
+test('任意切分位置得到相同结果', () => {
+  for (const size of [1, 2, 3, 7, 16, 64]) {
+    assert.deepStrictEqual(parseInChunks(TEXT, size), ITEMS, `chunk size ${size}`);
+  }
+});
+
+test('对象在完整输出后才返回', () => {
+  const parser = new JsonArrayStreamParser();
+  assert.deepStrictEqual(parser.push('[{"original": "ru'), []);
+  assert.deepStrictEqual(parser.push('n"}, {"orig'), [{ original: 'run' }]);
+  assert.deepStrictEqual(parser.push('inal": "walk"}]'), [{ original: 'walk' }]);
+});
+
+test('顶层数组结束后忽略后续内容', () => {
+  const parser = new JsonArrayStreamParser();
+  assert.deepStrictEqual(parser.push('[{"a": 1}] [{"b": 2}]'), [{ a: 1 }]);
+  assert.deepStrictEqual(parser.push('{"c": 3}'), []);
+});
+
+test('跳过格式错误的对象，继续解析后面的对象', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const parser = new JsonArrayStreamParser();
+  assert.deepStrictEqual(parser.push('[{"a": 1,}, {"b": 2}]'), [{ b: 2 }]);
+});
@@ -0,0 +1,55 @@
+/**
+ * 语言检测测试：按文字、虚词和声明的 lang 判断段落语言，以及书写方向
+ * 运行：npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import '../js/language-detector.js';
+const { detect, direction, normalizeLang } = globalThis.VocabMeldLanguageDetector;
+
+test('按文字判断语言', () => {
+  assert.strictEqual(detect('今日はいい天気ですね。散歩に行きましょう。'), 'ja');
+  assert.strictEqual(detect('오늘은 날씨가 좋습니다. 산책하러 갑시다.'), 'ko');
+  assert.strictEqual(detect('今天天气很好，我们去散步吧。'), 'zh');
+  assert.strictEqual(detect('Сегодня хорошая погода, пойдём гулять.'), 'ru');
+  assert.strictEqual(detect('Сьогодні гарна погода, ходімо гуляти.'), 'uk');
+  assert.strictEqual(detect('الطقس جميل اليوم، لنذهب في نزهة.'), 'ar');
+  assert.strictEqual(detect('מזג האוויר יפה היום.'), 'he');
+  assert.strictEqual(detect('Ο καιρός είναι ωραίος σήμερα.'), 'el');
+});
+
+test('拉丁字母文本按虚词和特有字母判断', () => {
+  assert.strictEqual(detect('The weather is nice today and we will go for a walk in the park.'), 'en');
+  assert.strictEqual(detect('Il fait beau aujourd\'hui et nous allons nous promener dans le parc.'), 'fr');
+  assert.strictEqual(detect('Das Wetter ist heute schön und wir gehen in den Park, weil es nicht regnet.'), 'de');
+  assert.strictEqual(detect('El tiempo es bueno hoy y vamos a pasear por el parque con los niños.'), 'es');
+});
+
+test('文本特征不明显时采用声明的语言，明显是另一种语言时以文本为准', () => {
+  assert.strictEqual(detect('Hamburg Berlin München', 'de-DE'), 'de');
+  assert.strictEqual(detect('The weather is nice today and we will go for a walk in the park.', 'fr'), 'en');
+  // 只有汉字的片段在日语页面按日语处理
+  assert.strictEqual(detect('東京都', 'ja'), 'ja');
+  // 同一种文字的语言只能靠声明区分
+  assert.strictEqual(detect('Добрий день', 'bg'), 'bg');
+});
+
+test('没有文字时采用声明的语言，否则按英语', () => {
+  assert.strictEqual(detect('12345 !!!', 'fr'), 'fr');
+  assert.strictEqual(detect(''), 'en');
+});
+
+test('规范化声明的语言', () => {
+  assert.strictEqual(normalizeLang('zh-Hant-TW'), 'zh');
+  assert.strictEqual(normalizeLang('EN_us'), 'en');
+  assert.strictEqual(normalizeLang('und'), '');
+  assert.strictEqual(normalizeLang(null), '');
+});
+
+test('书写方向按从右到左字母是否占多数判断', () => {
+  assert.strictEqual(direction('مرحبا بالعالم'), 'rtl');
+  assert.strictEqual(direction('Hello مرحبا world'), 'ltr');
+  assert.strictEqual(direction('שלום'), 'rtl');
+  assert.strictEqual(direction('123'), '');
+});
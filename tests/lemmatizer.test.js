@@ -0,0 +1,108 @@
+/**
+ * 词形还原测试：同一个词的原形和各种变形必须得到同一个结果
+ * 运行：npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import '../js/lemmatizer.js';
+const { lemmatize, isPhrase } = globalThis.VocabMeldLemmatizer;
+
+// [原形, ...变形]
+const ENGLISH_FAMILIES = [
+  ['create', 'creates', 'created', 'creating'],
+  ['cause', 'causes', 'caused', 'causing'],
+  ['agree', 'agrees', 'agreed', 'agreeing'],
+  ['free', 'frees', 'freed', 'freeing'],
+  ['use', 'uses', 'used', 'using'],
+  ['make', 'makes', 'made', 'making'],
+  ['improve', 'improves', 'improved', 'improving'],
+  ['change', 'changes', 'changed', 'changing'],
+  ['operate', 'operates', 'operated', 'operating'],
+  ['require', 'requires', 'required', 'requiring'],
+  ['continue', 'continues', 'continued', 'continuing'],
+  ['enable', 'enables', 'enabled', 'enabling'],
+  ['produce', 'produces', 'produced', 'producing'],
+  ['organize', 'organizes', 'organized', 'organizing'],
+  ['share', 'shares', 'shared', 'sharing'],
+  ['write', 'writes', 'wrote', 'written', 'writing'],
+  ['age', 'ages', 'aged'],
+  ['run', 'runs', 'ran', 'running'],
+  ['stop', 'stops', 'stopped', 'stopping'],
+  ['fall', 'falls', 'fell', 'fallen', 'falling'],
+  ['visit', 'visits', 'visited', 'visiting'],
+  ['treat', 'treats', 'treated', 'treating'],
+  ['repeat', 'repeats', 'repeated', 'repeating'],
+  ['study', 'studies', 'studied', 'studying'],
+  ['watch', 'watches', 'watched', 'watching'],
+  ['pass', 'passes', 'passed', 'passing'],
+  ['feed', 'feeds', 'fed', 'feeding'],
+  ['see', 'sees', 'saw', 'seen', 'seeing'],
+  ['go', 'goes', 'went', 'gone', 'going'],
+  ['release', 'releases', 'released', 'releasing'],
+  ['unite', 'unites', 'united', 'uniting'],
+  ['hope', 'hopes', 'hoped', 'hoping'],
+  ['hop', 'hops', 'hopped', 'hopping'],
+  ['focus', 'focuses', 'focused', 'focusing'],
+  ['control', 'controls', 'controlled', 'controlling'],
+  ['movie', 'movies'],
+  ['hero', 'heroes'],
+  ['shoe', 'shoes'],
+  ['building', 'buildings'],
+  ['child', 'children']
+];
+
+// 看起来有屈折后缀、实际不是变形的词保持不变
+const ENGLISH_INVARIANT = ['does', 'has', 'bias', 'this', 'news', 'need', 'indeed', 'morning', 'hundred', 'lens'];
+
+// 词义不同的词不合并：interesting 不是 interest，building 不是 build
+const ENGLISH_DISTINCT = [['interesting', 'interest'], ['building', 'build'], ['united', 'unit'], ['meeting', 'meet']];
+
+test('英语原形与变形得到同一个结果', () => {
+  for (const [base, ...forms] of ENGLISH_FAMILIES) {
+    const expected = lemmatize(base, 'en');
+    for (const form of forms) {
+      assert.strictEqual(lemmatize(form, 'en'), expected, `${form} → ${base}`);
+    }
+  }
+});
+
+test('英语补回省略的 e 时结果为原形', () => {
+  for (const word of ['create', 'cause', 'agree', 'free', 'use', 'make', 'improve', 'change', 'release', 'unite']) {
+    assert.strictEqual(lemmatize(word, 'en'), word);
+    assert.strictEqual(lemmatize(`${word}d`, 'en'), word);
+  }
+});
+
+test('英语原形保持不变', () => {
+  for (const word of ['before', 'machine', 'blue', 'base', 'house', 'interest', 'unit', 'build']) {
+    assert.strictEqual(lemmatize(word, 'en'), word);
+  }
+});
+
+test('英语不变词保持原样', () => {
+  for (const word of ENGLISH_INVARIANT) {
+    assert.strictEqual(lemmatize(word, 'en'), word);
+  }
+});
+
+test('英语不把词义不同的词合并', () => {
+  for (const [word, other] of ENGLISH_DISTINCT) {
+    assert.notStrictEqual(lemmatize(word, 'en'), lemmatize(other, 'en'), `${word} ≠ ${other}`);
+  }
+});
+
+test('短语逐词还原', () => {
+  assert.strictEqual(lemmatize('Took Over', 'en'), 'take over');
+  assert.strictEqual(lemmatize('looking  forward', 'en'), 'look forward');
+});
+
+test('以空白分隔的多个词为短语', () => {
+  assert.strictEqual(isPhrase('give up'), true);
+  assert.strictEqual(isPhrase(' running '), false);
+  assert.strictEqual(isPhrase(''), false);
+});
+
+test('没有规则的语言只转为小写', () => {
+  assert.strictEqual(lemmatize('Привет', 'xx'), 'привет');
+});
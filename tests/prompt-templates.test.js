@@ -0,0 +1,34 @@
+/**
+ * 批量模板文本拆分测试：本地生成结果的服务按内容脚本拼接的格式拆回各段落
+ * 运行：npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { parseBatchText, renderTemplate } from '../js/core/prompt-templates.js';
+
+test('按段落编号拆分并读取词汇数量', () => {
+  const text = '[s1]（约 3 个词汇，不超过 6 个）\nThe first paragraph.\n\n[s2]（约 5 个词汇，不超过 8 个）\n第二段\n包含换行';
+  assert.deepStrictEqual(parseBatchText(text), [
+    { id: 's1', count: 3, maxCount: 6, text: 'The first paragraph.' },
+    { id: 's2', count: 5, maxCount: 8, text: '第二段\n包含换行' }
+  ]);
+});
+
+test('段落内的空行不会拆开段落', () => {
+  const [segment] = parseBatchText('[s1]（约 2 个词汇，不超过 4 个）\nline one\n\nline two');
+  assert.strictEqual(segment.text, 'line one\n\nline two');
+});
+
+test('缺少数量时按 1 个、上限为数量的两倍', () => {
+  assert.deepStrictEqual(parseBatchText('[s1]\ntext'), [{ id: 's1', count: 1, maxCount: 2, text: 'text' }]);
+  assert.strictEqual(parseBatchText('[s1]（约 4 个词汇）\ntext')[0].maxCount, 8);
+});
+
+test('没有段落编号的内容被忽略', () => {
+  assert.deepStrictEqual(parseBatchText('plain text without header'), []);
+});
+
+test('渲染模板时未知变量保持原样', () => {
+  assert.strictEqual(renderTemplate('{{ a }} {{b}}\n\n\n{{c}}', { a: 1, b: 0 }), '1 0\n\n{{c}}');
+});